@@ -1,10 +1,13 @@
 from fastapi import FastAPI, UploadFile, File, HTTPException
 from fastapi.middleware.cors import CORSMiddleware
+from fastapi.responses import FileResponse, Response
+from starlette.concurrency import run_in_threadpool
 from pydantic import BaseModel
 from pdf2image import convert_from_bytes
 from datetime import datetime
-import uuid, os, json
-from typing import Dict, List
+import uuid, os, json, re
+import http.client, ipaddress, socket, urllib.error, urllib.parse, urllib.request
+from typing import Any, Dict, List
 
 app = FastAPI(
     title="PDF Region Selector API",
@@ -21,33 +24,113 @@ app.add_middleware(
 
 UPLOAD_DIR = "uploads"
 OUTPUT_DIR = "outputs"
+TEMPLATE_DIR = f"{OUTPUT_DIR}/templates"
 os.makedirs(UPLOAD_DIR, exist_ok=True)
 os.makedirs(OUTPUT_DIR, exist_ok=True)
+os.makedirs(TEMPLATE_DIR, exist_ok=True)
 
 # Pydantic model for field mappings validation
 class FieldMapping(BaseModel):
     field_name: str
     coordinates: List[int]  # [y1, x1, y2, x2, pageNumber]
 
+# DocuSign tab collections accepted by /save-tabs
+TAB_TYPES = ["signHereTabs", "initialHereTabs", "dateSignedTabs", "textTabs", "checkboxTabs"]
+# Placement tab types as sent in /save-fields field_details
+FIELD_TAB_TYPES = ["signHere", "initialHere", "dateSigned", "text", "checkbox"]
+# Timestamped files written by /save-fields, e.g. fields_20240101_120000.json
+SAVED_FIELDS_PATTERN = re.compile(r"^fields_\d{8}_\d{6}(_\d+)?\.json$")
+# Template ids are uuid4 hex strings (also their file names in TEMPLATE_DIR)
+TEMPLATE_ID_PATTERN = re.compile(r"^[0-9a-f]{32}$")
+PLACEMENT_KINDS = ["point", "region"]
+# /upload ids are uuid4 strings; the original PDF is kept as UPLOAD_DIR/<pdf_id>.pdf
+PDF_ID_PATTERN = re.compile(r"^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$")
+# Same limit as the frontend's file picker
+MAX_PDF_SIZE = 50 * 1024 * 1024
+PROXY_TIMEOUT = 30  # seconds
+FIELD_CATALOG_FILE = f"{OUTPUT_DIR}/field_catalog.json"
+REQUIRED_TAB_KEYS = ["documentId", "pageNumber", "xPosition", "yPosition", "tabLabel"]
+# Anchor tabs are positioned relative to every occurrence of anchorString instead
+REQUIRED_ANCHOR_TAB_KEYS = ["documentId", "anchorString", "tabLabel"]
+
+def parse_tab_number(value: Any):
+    """DocuSign sends positions as strings; accept numeric strings or numbers."""
+    if isinstance(value, bool):
+        return None
+    if isinstance(value, (int, float)):
+        return value
+    if isinstance(value, str):
+        try:
+            return float(value)
+        except ValueError:
+            return None
+    return None
+
+def validate_documents(documents: Any) -> set:
+    """Validate an envelope's document list and return its documentIds."""
+    if not isinstance(documents, list) or not documents:
+        raise HTTPException(status_code=400, detail="'documents' must be a non-empty list")
+
+    document_ids = set()
+    for index, document in enumerate(documents):
+        location = f"documents[{index}]"
+        if not isinstance(document, dict):
+            raise HTTPException(status_code=400, detail=f"{location} must be an object")
+        document_id = str(document.get("documentId", ""))
+        if not document_id.isdigit() or int(document_id) < 1:
+            raise HTTPException(status_code=400, detail=f"{location}.documentId must be a positive integer")
+        if document_id in document_ids:
+            raise HTTPException(status_code=400, detail=f"{location}.documentId {document_id} is used twice")
+        if not isinstance(document.get("name"), str) or not document["name"].strip():
+            raise HTTPException(status_code=400, detail=f"{location} must have a non-empty name")
+        document_ids.add(document_id)
+    return document_ids
+
 @app.get("/")
 async def root():
     return {
         "message": "PDF Region Selector API",
         "endpoints": {
-            "/upload": "POST - Upload PDF and convert to images (legacy)",
-            "/save-fields": "POST - Save field mappings in DocuSign format"
+            "/upload": "POST - Upload PDF, keep it and convert it to images",
+            "/uploads/{pdf_id}": "GET - Info about an uploaded PDF",
+            "/uploads/{pdf_id}/pdf": "GET - The uploaded PDF itself",
+            "/proxy-pdf": "GET - Fetch a PDF from a URL (?url=) for the editor",
+            "/save-fields": "POST - Save field mappings in DocuSign format",
+            "/save-tabs": "POST - Save a DocuSign eSignature tabs object",
+            "/fields": "GET - List saved field mapping files",
+            "/fields/latest": "GET - Most recently saved field mappings",
+            "/fields/{filename}": "GET - One saved field mapping file",
+            "/templates": "GET - List templates (optionally ?fingerprint=), POST - Create a template",
+            "/templates/{template_id}": "GET / PUT / DELETE - One template",
+            "/field-catalog": "GET - The stored field catalog, PUT - Replace it"
         }
     }
 
+def is_pdf(data: bytes) -> bool:
+    """pdf.js, like most readers, accepts a %PDF header anywhere in the first 1024 bytes."""
+    return b"%PDF" in data[:1024]
+
+def upload_paths(pdf_id: str):
+    """The stored original and its info file for an /upload id."""
+    # Only uuid ids, so the paths can't leave UPLOAD_DIR
+    if not PDF_ID_PATTERN.match(pdf_id):
+        raise HTTPException(status_code=400, detail="Invalid upload id")
+    return f"{UPLOAD_DIR}/{pdf_id}.pdf", f"{UPLOAD_DIR}/{pdf_id}.json"
+
 @app.post("/upload")
 async def upload_pdf(file: UploadFile = File(...)):
     """
-    Legacy endpoint: Upload PDF and convert to images.
-    Note: Frontend now uses pdf.js for rendering, but this endpoint
-    remains for backward compatibility or server-side processing.
+    Upload a PDF and convert it to images (legacy).
+    The original is kept too, so the editor can reopen it by its pdf_id
+    (GET /uploads/{pdf_id} and /uploads/{pdf_id}/pdf).
     """
     try:
         pdf_bytes = await file.read()
+        if not is_pdf(pdf_bytes):
+            raise HTTPException(status_code=400, detail="The file is not a PDF")
+        if len(pdf_bytes) > MAX_PDF_SIZE:
+            raise HTTPException(status_code=400, detail="The PDF is larger than 50MB")
+
         pdf_id = str(uuid.uuid4())
 
         images = convert_from_bytes(pdf_bytes)
@@ -58,16 +141,158 @@ async def upload_pdf(file: UploadFile = File(...)):
             img.save(path)
             pages.append(path)
 
+        pdf_path, info_path = upload_paths(pdf_id)
+        with open(pdf_path, "wb") as f:
+            f.write(pdf_bytes)
+        with open(info_path, "w") as f:
+            json.dump({
+                "pdf_id": pdf_id,
+                "filename": os.path.basename(file.filename or "") or "document.pdf",
+                "total_pages": len(pages),
+                "size": len(pdf_bytes),
+                "uploaded_at": datetime.now().isoformat()
+            }, f, indent=2)
+
         return {
             "pdf_id": pdf_id,
             "pages": pages,
-            "total_pages": len(pages)
+            "total_pages": len(pages),
+            "pdf_url": f"/uploads/{pdf_id}/pdf"
         }
+    except HTTPException:
+        raise
     except Exception as e:
         raise HTTPException(status_code=500, detail=f"Error processing PDF: {str(e)}")
 
+@app.get("/uploads/{pdf_id}")
+async def get_upload(pdf_id: str):
+    """Info about an uploaded PDF: { pdf_id, filename, total_pages, size, uploaded_at }."""
+    pdf_path, info_path = upload_paths(pdf_id)
+    # Uploads from before originals were kept only have their page images
+    if not os.path.exists(pdf_path) or not os.path.exists(info_path):
+        raise HTTPException(status_code=404, detail=f"No uploaded PDF with id {pdf_id}")
+
+    with open(info_path, "r") as f:
+        return json.load(f)
+
+@app.get("/uploads/{pdf_id}/pdf")
+async def get_upload_pdf(pdf_id: str):
+    """The original PDF of an upload."""
+    pdf_path, _ = upload_paths(pdf_id)
+    if not os.path.exists(pdf_path):
+        raise HTTPException(status_code=404, detail=f"No uploaded PDF with id {pdf_id}")
+    return FileResponse(pdf_path, media_type="application/pdf")
+
+def check_public_url(url: str):
+    """
+    Only http(s) URLs can be proxied. Whether the host is on a public address is
+    checked when connecting (see connect_public).
+    """
+    parsed = urllib.parse.urlparse(url)
+    if parsed.scheme not in ("http", "https") or not parsed.hostname:
+        raise HTTPException(status_code=400, detail="Expected an http or https URL")
+
+def public_address(hostname: str) -> str:
+    """Resolve a host name to an address to connect to, if every address it has is public."""
+    try:
+        addresses = [info[4][0] for info in socket.getaddrinfo(hostname, None)]
+    except socket.gaierror:
+        raise HTTPException(status_code=400, detail=f"Could not resolve {hostname}")
+    if not addresses or any(not ipaddress.ip_address(address).is_global for address in addresses):
+        raise HTTPException(status_code=400, detail="URLs on private or local networks can't be proxied")
+    return addresses[0]
+
+def connect_public(address, timeout, source_address=None):
+    """
+    socket.create_connection for the proxy's HTTP(S) connections, so the backend's own
+    network stays out of reach: the host is resolved once and the connection goes to
+    the address that was checked. Resolving again to connect would let a host answer
+    with a public address for the check and a private one for the connection.
+    """
+    host, port = address
+    return socket.create_connection((public_address(host), port), timeout, source_address)
+
+class PublicConnectionMixin:
+    """An http.client connection that connects through connect_public. The Host header and TLS server name stay the URL's host."""
+    def __init__(self, *args, **kwargs):
+        super().__init__(*args, **kwargs)
+        self._create_connection = connect_public
+
+class PublicHTTPConnection(PublicConnectionMixin, http.client.HTTPConnection):
+    pass
+
+class PublicHTTPSConnection(PublicConnectionMixin, http.client.HTTPSConnection):
+    pass
+
+class PublicHTTPHandler(urllib.request.HTTPHandler):
+    def http_open(self, req):
+        return self.do_open(PublicHTTPConnection, req)
+
+class PublicHTTPSHandler(urllib.request.HTTPSHandler):
+    def https_open(self, req):
+        return self.do_open(PublicHTTPSConnection, req, context=self._context)
+
+class PublicRedirectHandler(urllib.request.HTTPRedirectHandler):
+    """Follow redirects only to http(s) URLs; their hosts are checked when connecting."""
+    def redirect_request(self, req, fp, code, msg, headers, newurl):
+        check_public_url(newurl)
+        return super().redirect_request(req, fp, code, msg, headers, newurl)
+
+def fetch_pdf(url: str) -> bytes:
+    """Download a PDF for /proxy-pdf. Blocking, so run it in the thread pool."""
+    check_public_url(url)
+    # No proxies from the environment: the connection must go to the checked address
+    opener = urllib.request.build_opener(
+        urllib.request.ProxyHandler({}),
+        PublicHTTPHandler,
+        PublicHTTPSHandler,
+        PublicRedirectHandler
+    )
+    request = urllib.request.Request(url, headers={"User-Agent": "PDF-Region-Selector"})
+    try:
+        with opener.open(request, timeout=PROXY_TIMEOUT) as response:
+            data = response.read(MAX_PDF_SIZE + 1)
+    except urllib.error.HTTPError as e:
+        raise HTTPException(status_code=502, detail=f"The URL returned status {e.code}")
+    except (urllib.error.URLError, TimeoutError) as e:
+        reason = getattr(e, "reason", e)
+        raise HTTPException(status_code=502, detail=f"Could not fetch the URL: {reason}")
+
+    if len(data) > MAX_PDF_SIZE:
+        raise HTTPException(status_code=400, detail="The PDF is larger than 50MB")
+    if not is_pdf(data):
+        raise HTTPException(status_code=400, detail="The URL did not return a PDF")
+    return data
+
+@app.get("/proxy-pdf")
+async def proxy_pdf(url: str):
+    """
+    Fetch a PDF from a URL on behalf of the editor, which can't read most
+    other sites' files directly (CORS).
+    """
+    try:
+        data = await run_in_threadpool(fetch_pdf, url)
+        return Response(content=data, media_type="application/pdf")
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=f"Error fetching PDF: {str(e)}")
+
+def timestamped_output_path(prefix: str) -> str:
+    """
+    A new OUTPUT_DIR/<prefix>_<timestamp>.json path. Every save is kept, so saves
+    within the same second get a suffix: <prefix>_<timestamp>_2.json, ...
+    """
+    timestamp = datetime.now().strftime("%Y%m%d_%H%M%S")
+    filename = f"{OUTPUT_DIR}/{prefix}_{timestamp}.json"
+    suffix = 2
+    while os.path.exists(filename):
+        filename = f"{OUTPUT_DIR}/{prefix}_{timestamp}_{suffix}.json"
+        suffix += 1
+    return filename
+
 @app.post("/save-fields")
-async def save_fields(payload: Dict[str, List[int]]):
+async def save_fields(payload: Dict[str, Any]):
     """
     Save field mappings in DocuSign-compatible format.
     
@@ -76,16 +301,38 @@ async def save_fields(payload: Dict[str, List[int]]):
         "Field Name": [y1, x1, y2, x2, pageNumber],
         ...
     }
+
+    or, with tab types and recipients:
+    {
+        "fields": { "Field Name": [y1, x1, y2, x2, pageNumber], ... },
+        "field_details": { "Field Name": {"tabType": "text", "recipientId": "r1", "documentId": "1"}, ... },
+        "recipients": [ {"id": "r1", "name": "Jane Doe", "role": "Borrower", "routingOrder": 1}, ... ],
+        "documents": [ {"documentId": "1", "name": "contract.pdf", "order": "1", "pageCount": 3}, ... ]
+    }
     
-    Coordinates are normalized to 0-1000 scale.
+    Coordinates are normalized to 0-1000 scale. With several documents, a field's
+    pageNumber is a page of the document named by its documentId.
     """
     try:
         # Validate payload structure
         if not isinstance(payload, dict):
             raise HTTPException(status_code=400, detail="Payload must be a dictionary")
+
+        if isinstance(payload.get("fields"), dict):
+            fields = payload["fields"]
+            field_details = payload.get("field_details") or {}
+            recipients = payload.get("recipients") or []
+            documents = payload.get("documents")
+        else:
+            fields = payload
+            field_details = {}
+            recipients = []
+            documents = None
+
+        document_ids = validate_documents(documents) if documents is not None else None
         
         validated_mappings = {}
-        for field_name, coords in payload.items():
+        for field_name, coords in fields.items():
             if not isinstance(coords, list) or len(coords) != 5:
                 raise HTTPException(
                     status_code=400,
@@ -94,7 +341,7 @@ async def save_fields(payload: Dict[str, List[int]]):
             
             # Validate coordinate values
             y1, x1, y2, x2, page_num = coords
-            if not all(isinstance(c, (int, float)) for c in coords[:4]):
+            if not all(isinstance(c, (int, float)) and not isinstance(c, bool) for c in coords):
                 raise HTTPException(
                     status_code=400,
                     detail=f"Coordinates must be numbers for field '{field_name}'"
@@ -120,10 +367,47 @@ async def save_fields(payload: Dict[str, List[int]]):
                 )
             
             validated_mappings[field_name] = coords
+
+        # Validate recipients and per-field tab details
+        if not isinstance(recipients, list):
+            raise HTTPException(status_code=400, detail="Recipients must be a list")
+
+        recipient_ids = set()
+        for index, recipient in enumerate(recipients):
+            if not isinstance(recipient, dict) or not recipient.get("id") or not str(recipient.get("name", "")).strip():
+                raise HTTPException(
+                    status_code=400,
+                    detail=f"Recipient {index + 1} must have an id and a name"
+                )
+            recipient_ids.add(recipient["id"])
+
+        if not isinstance(field_details, dict):
+            raise HTTPException(status_code=400, detail="Field details must be a dictionary")
+
+        for field_name, details in field_details.items():
+            if field_name not in validated_mappings:
+                raise HTTPException(
+                    status_code=400,
+                    detail=f"Field details given for unmapped field '{field_name}'"
+                )
+            if not isinstance(details, dict) or details.get("tabType") not in FIELD_TAB_TYPES:
+                raise HTTPException(
+                    status_code=400,
+                    detail=f"Invalid tab type for field '{field_name}'. Expected one of {', '.join(FIELD_TAB_TYPES)}"
+                )
+            if recipient_ids and details.get("recipientId") not in recipient_ids:
+                raise HTTPException(
+                    status_code=400,
+                    detail=f"Field '{field_name}' is assigned to an unknown recipient"
+                )
+            if document_ids is not None and "documentId" in details and str(details["documentId"]) not in document_ids:
+                raise HTTPException(
+                    status_code=400,
+                    detail=f"Field '{field_name}' is on document {details['documentId']}, which isn't in 'documents'"
+                )
         
-        # Save with timestamp
-        timestamp = datetime.now().strftime("%Y%m%d_%H%M%S")
-        filename = f"{OUTPUT_DIR}/fields_{timestamp}.json"
+        # Save with timestamp: each save is a version in the history
+        filename = timestamped_output_path("fields")
         
         output_data = {
             "timestamp": datetime.now().isoformat(),
@@ -131,6 +415,12 @@ async def save_fields(payload: Dict[str, List[int]]):
             "coordinate_scale": "0-1000",
             "fields": validated_mappings
         }
+        if field_details:
+            output_data["field_details"] = field_details
+        if recipients:
+            output_data["recipients"] = recipients
+        if documents is not None:
+            output_data["documents"] = documents
         
         with open(filename, "w") as f:
             json.dump(output_data, f, indent=2)
@@ -160,3 +450,486 @@ async def get_latest_fields():
     
     with open(latest_file, "r") as f:
         return json.load(f)
+
+def saved_fields_summary(filename: str, data: Dict[str, Any]) -> Dict[str, Any]:
+    """Metadata of a saved field mapping file for the version history."""
+    fields = data.get("fields") or {}
+    details = data.get("field_details") or {}
+
+    tab_types = {}
+    for field_name in fields:
+        tab_type = (details.get(field_name) or {}).get("tabType", "text")
+        tab_types[tab_type] = tab_types.get(tab_type, 0) + 1
+
+    pages = sorted({coords[4] for coords in fields.values() if isinstance(coords, list) and len(coords) == 5})
+
+    return {
+        "filename": filename,
+        "timestamp": data.get("timestamp"),
+        "fields_count": len(fields),
+        "tab_types": tab_types,
+        "pages": pages,
+        "recipients": [recipient.get("name") for recipient in data.get("recipients") or []],
+        "documents": [document.get("name") for document in data.get("documents") or []],
+        "size": os.path.getsize(f"{OUTPUT_DIR}/{filename}")
+    }
+
+@app.get("/fields")
+async def list_saved_fields():
+    """
+    List the timestamped field mapping files (the saved versions), newest first,
+    with what each one holds: field count, tab types, pages, recipient and document names.
+    """
+    try:
+        saved = []
+        for filename in sorted(os.listdir(OUTPUT_DIR), reverse=True):
+            if not SAVED_FIELDS_PATTERN.match(filename):
+                continue
+            with open(f"{OUTPUT_DIR}/{filename}", "r") as f:
+                data = json.load(f)
+            saved.append(saved_fields_summary(filename, data))
+        return {"files": saved}
+
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=f"Error listing saved fields: {str(e)}")
+
+@app.get("/fields/{filename}")
+async def get_saved_fields(filename: str):
+    """Get one timestamped field mapping file by name (as listed by GET /fields)."""
+    # Only plain fields_<timestamp>.json names, so the path can't leave OUTPUT_DIR
+    if not SAVED_FIELDS_PATTERN.match(filename):
+        raise HTTPException(status_code=400, detail="Invalid file name. Expected fields_YYYYMMDD_HHMMSS.json or fields_YYYYMMDD_HHMMSS_N.json")
+
+    path = f"{OUTPUT_DIR}/{filename}"
+    if not os.path.exists(path):
+        raise HTTPException(status_code=404, detail=f"No saved fields named {filename}")
+
+    with open(path, "r") as f:
+        return json.load(f)
+
+def validate_tabs(tabs: Any, location: str, document_ids: set = None) -> int:
+    """
+    Validate a DocuSign tabs object and return the number of tabs in it.
+    With `document_ids`, every tab must be on one of those documents.
+    """
+    if not isinstance(tabs, dict):
+        raise HTTPException(status_code=400, detail=f"{location} must be an object")
+
+    unknown_types = [tab_type for tab_type in tabs if tab_type not in TAB_TYPES]
+    if unknown_types:
+        raise HTTPException(
+            status_code=400,
+            detail=f"Unsupported tab types in {location}: {', '.join(unknown_types)}. Expected one of {', '.join(TAB_TYPES)}"
+        )
+
+    tabs_count = 0
+    for tab_type, tab_list in tabs.items():
+        if not isinstance(tab_list, list):
+            raise HTTPException(status_code=400, detail=f"{location}.{tab_type} must be a list of tabs")
+
+        for index, tab in enumerate(tab_list):
+            tab_location = f"{location}.{tab_type}[{index}]"
+            if not isinstance(tab, dict):
+                raise HTTPException(status_code=400, detail=f"{tab_location} must be an object")
+
+            is_anchor = "anchorString" in tab
+            required_keys = REQUIRED_ANCHOR_TAB_KEYS if is_anchor else REQUIRED_TAB_KEYS
+            missing = [key for key in required_keys if key not in tab]
+            if missing:
+                raise HTTPException(
+                    status_code=400,
+                    detail=f"{tab_location} is missing required keys: {', '.join(missing)}"
+                )
+
+            if not str(tab["tabLabel"]).strip():
+                raise HTTPException(status_code=400, detail=f"{tab_location} must have a non-empty tabLabel")
+
+            for key in ["documentId", "pageNumber", "xPosition", "yPosition", "width", "height"]:
+                if key not in tab:
+                    continue
+                value = parse_tab_number(tab[key])
+                if value is None or value < 0:
+                    raise HTTPException(
+                        status_code=400,
+                        detail=f"{tab_location}.{key} must be a non-negative number"
+                    )
+
+            if document_ids is not None and str(tab["documentId"]) not in document_ids:
+                raise HTTPException(
+                    status_code=400,
+                    detail=f"{tab_location} is on document {tab['documentId']}, which isn't in 'documents'"
+                )
+
+            if is_anchor:
+                if not str(tab["anchorString"]).strip():
+                    raise HTTPException(status_code=400, detail=f"{tab_location} must have a non-empty anchorString")
+                # Offsets may be negative (left of / above the anchor text)
+                for key in ["anchorXOffset", "anchorYOffset"]:
+                    if key in tab and parse_tab_number(tab[key]) is None:
+                        raise HTTPException(status_code=400, detail=f"{tab_location}.{key} must be a number")
+            elif parse_tab_number(tab["pageNumber"]) < 1:
+                raise HTTPException(status_code=400, detail=f"{tab_location}.pageNumber must be >= 1")
+
+            tabs_count += 1
+
+    return tabs_count
+
+@app.post("/save-tabs")
+async def save_tabs(payload: Dict[str, Any]):
+    """
+    Save DocuSign eSignature tabs.
+
+    Expected format, either a single tabs object:
+    {
+        "tabs": {
+            "signHereTabs": [
+                {"documentId": "1", "pageNumber": "1", "xPosition": "100",
+                 "yPosition": "200", "tabLabel": "Signature"}
+            ],
+            "textTabs": [...],
+            ...
+        }
+    }
+
+    or tabs grouped by signer, as in an envelope/template definition, optionally
+    with the envelope's documents:
+    {
+        "documents": [
+            {"documentId": "1", "name": "contract.pdf", "order": "1"}
+        ],
+        "recipients": {
+            "signers": [
+                {"recipientId": "1", "name": "Jane Doe", "roleName": "Borrower",
+                 "routingOrder": "1", "tabs": {...}}
+            ]
+        }
+    }
+
+    Positions are in PDF points (72 DPI) from the top-left of the page.
+    """
+    try:
+        document_ids = validate_documents(payload["documents"]) if "documents" in payload else None
+
+        if "recipients" in payload:
+            signers = payload["recipients"].get("signers") if isinstance(payload["recipients"], dict) else None
+            if not isinstance(signers, list):
+                raise HTTPException(status_code=400, detail="'recipients' must contain a 'signers' list")
+
+            tabs_count = 0
+            for index, signer in enumerate(signers):
+                location = f"recipients.signers[{index}]"
+                if not isinstance(signer, dict):
+                    raise HTTPException(status_code=400, detail=f"{location} must be an object")
+
+                missing = [key for key in ["recipientId", "name", "roleName", "routingOrder"] if key not in signer]
+                if missing:
+                    raise HTTPException(
+                        status_code=400,
+                        detail=f"{location} is missing required keys: {', '.join(missing)}"
+                    )
+
+                tabs_count += validate_tabs(signer.get("tabs", {}), f"{location}.tabs", document_ids)
+
+            saved = {"recipients": payload["recipients"]}
+        elif "tabs" in payload:
+            tabs_count = validate_tabs(payload["tabs"], "tabs", document_ids)
+            saved = {"tabs": payload["tabs"]}
+        else:
+            raise HTTPException(status_code=400, detail="Payload must contain a 'tabs' object or 'recipients.signers'")
+
+        # Save with timestamp
+        filename = timestamped_output_path("tabs")
+
+        if document_ids is not None:
+            saved = {"documents": payload["documents"], **saved}
+
+        output_data = {
+            "timestamp": datetime.now().isoformat(),
+            "format": "DocuSign eSignature tabs",
+            "coordinate_scale": "points",
+            **saved
+        }
+
+        with open(filename, "w") as f:
+            json.dump(output_data, f, indent=2)
+
+        # Also save latest version
+        with open(f"{OUTPUT_DIR}/tabs_latest.json", "w") as f:
+            json.dump(output_data, f, indent=2)
+
+        return {
+            "status": "saved",
+            "filename": filename,
+            "tabs_count": tabs_count,
+            "timestamp": output_data["timestamp"]
+        }
+
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=f"Error saving tabs: {str(e)}")
+
+def validate_template(payload: Any) -> Dict[str, Any]:
+    """Validate a template payload and return the fields to store."""
+    if not isinstance(payload, dict):
+        raise HTTPException(status_code=400, detail="Template must be an object")
+
+    name = payload.get("name")
+    if not isinstance(name, str) or not name.strip():
+        raise HTTPException(status_code=400, detail="Template must have a non-empty name")
+
+    fingerprint = payload.get("fingerprint")
+    if not isinstance(fingerprint, str) or not fingerprint.strip():
+        raise HTTPException(status_code=400, detail="Template must have the PDF's fingerprint")
+
+    page_count = payload.get("page_count")
+    if not isinstance(page_count, int) or isinstance(page_count, bool) or page_count < 1:
+        raise HTTPException(status_code=400, detail="page_count must be an integer >= 1")
+
+    page_sizes = payload.get("page_sizes")
+    if not isinstance(page_sizes, list) or len(page_sizes) != page_count:
+        raise HTTPException(status_code=400, detail="page_sizes must list the size of every page")
+    for index, size in enumerate(page_sizes):
+        if not isinstance(size, dict) or not all(
+            (parse_tab_number(size.get(key)) or 0) > 0 for key in ["width", "height"]
+        ):
+            raise HTTPException(
+                status_code=400,
+                detail=f"page_sizes[{index}] must have a positive width and height in points"
+            )
+
+    placements = payload.get("placements")
+    if not isinstance(placements, list):
+        raise HTTPException(status_code=400, detail="placements must be a list")
+    for index, placement in enumerate(placements):
+        location = f"placements[{index}]"
+        if not isinstance(placement, dict):
+            raise HTTPException(status_code=400, detail=f"{location} must be an object")
+        if placement.get("kind") not in PLACEMENT_KINDS:
+            raise HTTPException(status_code=400, detail=f"{location}.kind must be one of {', '.join(PLACEMENT_KINDS)}")
+        if placement.get("tabType") not in FIELD_TAB_TYPES:
+            raise HTTPException(
+                status_code=400,
+                detail=f"{location}.tabType must be one of {', '.join(FIELD_TAB_TYPES)}"
+            )
+        if not str(placement.get("label", "")).strip():
+            raise HTTPException(status_code=400, detail=f"{location} must have a non-empty label")
+
+        page_num = placement.get("pageNum")
+        if not isinstance(page_num, int) or isinstance(page_num, bool) or not 1 <= page_num <= page_count:
+            raise HTTPException(status_code=400, detail=f"{location}.pageNum must be between 1 and {page_count}")
+
+        for key in ["x", "y", "width", "height"]:
+            value = placement.get(key)
+            if isinstance(value, bool) or not isinstance(value, (int, float)) or value < 0:
+                raise HTTPException(status_code=400, detail=f"{location}.{key} must be a non-negative number")
+
+    recipients = payload.get("recipients") or []
+    if not isinstance(recipients, list):
+        raise HTTPException(status_code=400, detail="recipients must be a list")
+    for index, recipient in enumerate(recipients):
+        if not isinstance(recipient, dict) or not recipient.get("id") or not str(recipient.get("name", "")).strip():
+            raise HTTPException(status_code=400, detail=f"Recipient {index + 1} must have an id and a name")
+
+    return {
+        "name": name.strip(),
+        "fingerprint": fingerprint,
+        "page_count": page_count,
+        "page_sizes": page_sizes,
+        "placements": placements,
+        "recipients": recipients
+    }
+
+def template_path(template_id: str) -> str:
+    """Path of a stored template; 404 if it doesn't exist."""
+    if not TEMPLATE_ID_PATTERN.match(template_id):
+        raise HTTPException(status_code=400, detail="Invalid template id")
+
+    path = f"{TEMPLATE_DIR}/{template_id}.json"
+    if not os.path.exists(path):
+        raise HTTPException(status_code=404, detail=f"No template with id {template_id}")
+    return path
+
+def template_summary(template: Dict[str, Any]) -> Dict[str, Any]:
+    return {
+        "id": template["id"],
+        "name": template["name"],
+        "fingerprint": template["fingerprint"],
+        "page_count": template["page_count"],
+        "placements_count": len(template["placements"]),
+        "created_at": template["created_at"],
+        "updated_at": template["updated_at"]
+    }
+
+@app.get("/templates")
+async def list_templates(fingerprint: str = None):
+    """List templates, most recently updated first. Pass ?fingerprint= to find a PDF's templates."""
+    try:
+        templates = []
+        for filename in os.listdir(TEMPLATE_DIR):
+            if not filename.endswith(".json"):
+                continue
+            with open(f"{TEMPLATE_DIR}/{filename}", "r") as f:
+                template = json.load(f)
+            if fingerprint and template["fingerprint"] != fingerprint:
+                continue
+            templates.append(template_summary(template))
+
+        templates.sort(key=lambda t: t["updated_at"], reverse=True)
+        return {"templates": templates}
+
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=f"Error listing templates: {str(e)}")
+
+@app.post("/templates")
+async def create_template(payload: Dict[str, Any]):
+    """
+    Save a named template for a PDF form.
+
+    Expected format:
+    {
+        "name": "Loan application v3",
+        "fingerprint": "<pdf.js document fingerprint>",
+        "page_count": 2,
+        "page_sizes": [{"width": 612, "height": 792}, ...],
+        "placements": [{"pageNum": 1, "kind": "region", "x": 72, "y": 650, "width": 200,
+                        "height": 40, "label": "Signature", "tabType": "signHere", "recipientId": "r1"}, ...],
+        "recipients": [{"id": "r1", "name": "Jane Doe", "role": "Borrower", "routingOrder": 1}, ...]
+    }
+
+    Placement positions are PDF points from the top-left of the page.
+    """
+    try:
+        template = validate_template(payload)
+        now = datetime.now().isoformat()
+        template.update({"id": uuid.uuid4().hex, "created_at": now, "updated_at": now})
+
+        with open(f"{TEMPLATE_DIR}/{template['id']}.json", "w") as f:
+            json.dump(template, f, indent=2)
+
+        return template
+
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=f"Error saving template: {str(e)}")
+
+@app.get("/templates/{template_id}")
+async def get_template(template_id: str):
+    """Get one template with its placements."""
+    with open(template_path(template_id), "r") as f:
+        return json.load(f)
+
+@app.put("/templates/{template_id}")
+async def update_template(template_id: str, payload: Dict[str, Any]):
+    """Replace a template's name, PDF details and placements (same format as POST /templates)."""
+    try:
+        path = template_path(template_id)
+        with open(path, "r") as f:
+            existing = json.load(f)
+
+        template = validate_template(payload)
+        template.update({
+            "id": template_id,
+            "created_at": existing["created_at"],
+            "updated_at": datetime.now().isoformat()
+        })
+
+        with open(path, "w") as f:
+            json.dump(template, f, indent=2)
+
+        return template
+
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=f"Error updating template: {str(e)}")
+
+@app.delete("/templates/{template_id}")
+async def delete_template(template_id: str):
+    """Delete a template."""
+    try:
+        os.remove(template_path(template_id))
+        return {"status": "deleted", "id": template_id}
+
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=f"Error deleting template: {str(e)}")
+
+def validate_field_catalog(payload: Any) -> List[Dict[str, Any]]:
+    """Validate a field catalog ({"fields": [...]}) and return its fields."""
+    fields = payload.get("fields") if isinstance(payload, dict) else None
+    if not isinstance(fields, list):
+        raise HTTPException(status_code=400, detail="Field catalog must have a fields list")
+
+    names = set()
+    for index, field in enumerate(fields):
+        location = f"fields[{index}]"
+        if not isinstance(field, dict):
+            raise HTTPException(status_code=400, detail=f"{location} must be an object")
+
+        name = field.get("name")
+        if not isinstance(name, str) or not name.strip():
+            raise HTTPException(status_code=400, detail=f"{location} must have a non-empty name")
+        if name.strip() in names:
+            raise HTTPException(status_code=400, detail=f"Duplicate field name: {name.strip()}")
+        names.add(name.strip())
+
+        if field.get("tabType") not in FIELD_TAB_TYPES:
+            raise HTTPException(
+                status_code=400,
+                detail=f"{location}.tabType must be one of {', '.join(FIELD_TAB_TYPES)}"
+            )
+        if not isinstance(field.get("required", False), bool):
+            raise HTTPException(status_code=400, detail=f"{location}.required must be true or false")
+
+        for key in ["width", "height"]:
+            value = field.get(key)
+            if isinstance(value, bool) or not isinstance(value, (int, float)) or value <= 0:
+                raise HTTPException(status_code=400, detail=f"{location}.{key} must be a positive number of points")
+
+        for key in ["pattern", "role", "group"]:
+            if not isinstance(field.get(key, ""), str):
+                raise HTTPException(status_code=400, detail=f"{location}.{key} must be a string")
+
+    return fields
+
+@app.get("/field-catalog")
+async def get_field_catalog():
+    """Get the stored field catalog."""
+    if not os.path.exists(FIELD_CATALOG_FILE):
+        raise HTTPException(status_code=404, detail="No field catalog saved yet")
+
+    with open(FIELD_CATALOG_FILE, "r") as f:
+        return json.load(f)
+
+@app.put("/field-catalog")
+async def save_field_catalog(payload: Dict[str, Any]):
+    """
+    Replace the stored field catalog.
+
+    Expected format:
+    {
+        "fields": [
+            {"name": "Email", "tabType": "text", "required": true, "width": 150, "height": 20,
+             "pattern": "^\\S+@\\S+$", "role": "Borrower", "group": "Applicant"},
+            ...
+        ]
+    }
+
+    Fields are listed in display order; width and height are the default size in points.
+    """
+    try:
+        fields = validate_field_catalog(payload)
+        catalog = {"fields": fields, "updated_at": datetime.now().isoformat()}
+
+        with open(FIELD_CATALOG_FILE, "w") as f:
+            json.dump(catalog, f, indent=2)
+
+        return {"status": "success", "fields_count": len(fields), "updated_at": catalog["updated_at"]}
+
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=f"Error saving field catalog: {str(e)}")
@@ -0,0 +1,109 @@
+"""
+Tests for the /proxy-pdf fetcher's guard against reaching the backend's own network.
+Run from backend/ with: python -m unittest
+"""
+import socket
+import threading
+import unittest
+from http.server import BaseHTTPRequestHandler, HTTPServer
+from unittest import mock
+
+from fastapi import HTTPException
+
+import main
+
+PUBLIC_ADDRESS = "93.184.216.34"
+PDF = b"%PDF-1.4\n%%EOF\n"
+
+real_getaddrinfo = socket.getaddrinfo
+real_create_connection = socket.create_connection
+
+def addrinfo(address):
+    return [(socket.AF_INET, socket.SOCK_STREAM, socket.IPPROTO_TCP, "", (address, 0))]
+
+class FakeServer(BaseHTTPRequestHandler):
+    """Serves the PDF at /form.pdf and redirects /redirect to a host on a private network."""
+    hosts = []
+
+    def do_GET(self):
+        FakeServer.hosts.append(self.headers["Host"])
+        if self.path == "/redirect":
+            self.send_response(302)
+            self.send_header("Location", "http://intranet.test/secret.pdf")
+            self.end_headers()
+            return
+        self.send_response(200)
+        self.send_header("Content-Type", "application/pdf")
+        self.send_header("Content-Length", str(len(PDF)))
+        self.end_headers()
+        self.wfile.write(PDF)
+
+    def log_message(self, *args):
+        pass
+
+class ProxyPdfGuardTest(unittest.TestCase):
+    def setUp(self):
+        # files.test is "public" and served locally; intranet.test is private
+        self.resolved = {"files.test": [PUBLIC_ADDRESS], "intranet.test": ["10.0.0.5"], "localhost.test": ["127.0.0.1"]}
+        self.connected = []
+        self.server = HTTPServer(("127.0.0.1", 0), FakeServer)
+        threading.Thread(target=self.server.serve_forever, daemon=True).start()
+        FakeServer.hosts = []
+
+        def getaddrinfo(host, *args, **kwargs):
+            if host in self.resolved:
+                return addrinfo(self.resolved[host].pop(0) if len(self.resolved[host]) > 1 else self.resolved[host][0])
+            return real_getaddrinfo(host, *args, **kwargs)
+
+        def create_connection(address, *args, **kwargs):
+            self.connected.append(address[0])
+            if address[0] == PUBLIC_ADDRESS:
+                return real_create_connection(self.server.server_address, *args, **kwargs)
+            raise AssertionError(f"Connected to {address[0]}")
+
+        patches = [
+            mock.patch.object(main.socket, "getaddrinfo", getaddrinfo),
+            mock.patch.object(main.socket, "create_connection", create_connection),
+        ]
+        for patch in patches:
+            patch.start()
+            self.addCleanup(patch.stop)
+
+    def tearDown(self):
+        self.server.shutdown()
+        self.server.server_close()
+
+    def assert_refused(self, url, detail):
+        with self.assertRaises(HTTPException) as raised:
+            main.fetch_pdf(url)
+        self.assertEqual(raised.exception.status_code, 400)
+        self.assertIn(detail, raised.exception.detail)
+
+    def test_fetches_a_pdf_from_a_public_host_with_its_host_header(self):
+        self.assertEqual(main.fetch_pdf(f"http://files.test:{self.server.server_address[1]}/form.pdf"), PDF)
+        self.assertEqual(self.connected, [PUBLIC_ADDRESS])
+        self.assertEqual(FakeServer.hosts, [f"files.test:{self.server.server_address[1]}"])
+
+    def test_refuses_private_and_local_addresses(self):
+        self.assert_refused("http://intranet.test/secret.pdf", "private or local")
+        self.assert_refused("http://localhost.test/secret.pdf", "private or local")
+        self.assert_refused("http://127.0.0.1/secret.pdf", "private or local")
+        self.assert_refused("http://[::1]/secret.pdf", "private or local")
+        self.assertEqual(self.connected, [])
+
+    def test_refuses_a_redirect_to_a_private_address(self):
+        self.assert_refused(f"http://files.test:{self.server.server_address[1]}/redirect", "private or local")
+        self.assertEqual(self.connected, [PUBLIC_ADDRESS])
+
+    def test_connects_to_the_address_it_checked(self):
+        # DNS rebinding: public for the first lookup, private for any later one
+        self.resolved["files.test"] = [PUBLIC_ADDRESS, "127.0.0.1"]
+        self.assertEqual(main.fetch_pdf(f"http://files.test:{self.server.server_address[1]}/form.pdf"), PDF)
+        self.assertEqual(self.connected, [PUBLIC_ADDRESS])
+
+    def test_refuses_other_schemes(self):
+        self.assert_refused("file:///etc/passwd", "http or https")
+        self.assert_refused("ftp://files.test/form.pdf", "http or https")
+
+if __name__ == "__main__":
+    unittest.main()
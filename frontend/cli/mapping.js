@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+// Check a mapping file against the PDFs it's for, and convert it to another format,
+// without a browser. It reads and writes mappings with the app's own code
+// (src/utils/mappingFormats.js), so it accepts, rejects and converts exactly what the
+// app would, and runs the same checks as the app's Checks panel.
+//
+// Prints a JSON report (or writes it to --report) and exits with 0 when the mapping
+// is valid, 1 when it has errors (or warnings, with --strict) and 2 when the check
+// couldn't run: bad options, or a file that can't be read.
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { parseArgs } from 'node:util';
+import { loadPageGeometries } from '../src/utils/coordinates.js';
+import { createRecipient } from '../src/utils/placements.js';
+import { applyAnchorRule } from '../src/utils/anchors.js';
+import { loadDocumentText } from '../src/utils/textContent.js';
+import { lintPlacements } from '../src/utils/lint.js';
+import {
+  MAPPING_FORMATS,
+  readMapping,
+  writeMapping,
+  countMappingEntries
+} from '../src/utils/mappingFormats.js';
+
+// pdf.js prints warnings with console.log while it loads (e.g. that it can't polyfill
+// DOMMatrix without the optional `canvas` package), before `verbosity` applies. stdout
+// carries the report, so send them to stderr before loading it
+console.log = (...args) => console.error(...args);
+const { default: pdfjs } = await import('pdfjs-dist/legacy/build/pdf.js');
+
+const USAGE = `Usage: node cli/mapping.js <mapping.json> --pdf <file.pdf> [--pdf <file.pdf> ...] [options]
+
+Checks a mapping file against the page sizes and page counts of its PDFs. Several
+--pdf options make an envelope: its documents get documentIds 1, 2, ... in order.
+
+Options:
+  --from <format>   Format of the mapping file (detected when left out)
+  --to <format>     Convert the mapping to this format, written to --out
+  --out <file>      Where to write the converted mapping (not written when it has errors)
+  --report <file>   Write the JSON report here instead of printing it
+  --strict          Fail on warnings too
+  -h, --help        Show this help
+
+Formats: ${Object.entries(MAPPING_FORMATS).map(([format, { label }]) => `${format} (${label})`).join(', ')}`;
+
+const EXIT_VALID = 0;
+const EXIT_INVALID = 1;
+const EXIT_FAILED = 2;
+
+// Bad command-line options: reported with the usage
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+const parseOptions = (args) => {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        pdf: { type: 'string', multiple: true },
+        from: { type: 'string' },
+        to: { type: 'string' },
+        out: { type: 'string' },
+        report: { type: 'string' },
+        strict: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) return { help: true };
+  if (positionals.length !== 1) throw new UsageError('Expected exactly one mapping file');
+  if (!values.pdf || values.pdf.length === 0) throw new UsageError('Expected at least one --pdf');
+  ['from', 'to'].forEach((option) => {
+    if (values[option] !== undefined && !MAPPING_FORMATS[values[option]]) {
+      throw new UsageError(`Unknown --${option} format "${values[option]}"`);
+    }
+  });
+  if (Boolean(values.to) !== Boolean(values.out)) throw new UsageError('--to and --out go together');
+
+  return { ...values, mapping: positionals[0] };
+};
+
+// A PDF as an envelope document: { documentId, name, pdfDoc, pageGeometries }
+const loadPdf = async (path, documentId) => {
+  let pdfDoc;
+  try {
+    const data = new Uint8Array(await readFile(path));
+    pdfDoc = await pdfjs.getDocument({ data, verbosity: 0 }).promise;
+  } catch (error) {
+    throw new Error(`Could not open ${path}: ${error.message}`);
+  }
+  return { documentId, name: basename(path), pdfDoc, pageGeometries: await loadPageGeometries(pdfDoc) };
+};
+
+const readJson = async (path) => {
+  const text = await readFile(path, 'utf8').catch((error) => {
+    throw new Error(`Could not read ${path}: ${error.message}`);
+  });
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${path} is not valid JSON: ${error.message}`);
+  }
+};
+
+// Place the mapping's anchor tabs at their text, as the app does when importing them
+const applyAnchorRules = async (anchorRules, documents, problems) => {
+  let anchored = [];
+  for (const { documentId, ...rule } of anchorRules) {
+    const document = documents.find(d => d.documentId === documentId) || documents[0];
+    if (!document.text) document.text = await loadDocumentText(document.pdfDoc, document.pageGeometries);
+
+    const before = anchored.length;
+    anchored = applyAnchorRule(anchored, rule, document.text, document.pageGeometries, document.documentId);
+    if (anchored.length === before) {
+      problems.push(`Anchor text "${rule.anchorString}" was not found in ${document.name}`);
+    }
+  }
+  return anchored;
+};
+
+// A Checks panel issue (see utils/lint.js) in the report
+const reportIssue = (issue, placements) => ({
+  rule: issue.rule,
+  message: issue.message,
+  documentId: issue.documentId,
+  pageNumber: issue.pageNum,
+  labels: issue.placementIds.map(id => placements.find(p => p.id === id).label)
+});
+
+const describeDocument = ({ documentId, name, pageGeometries }) => ({
+  documentId,
+  name,
+  pageCount: pageGeometries.length,
+  pages: pageGeometries.map((geometry, index) => ({
+    pageNumber: index + 1,
+    width: Math.round(geometry.width * 100) / 100,
+    height: Math.round(geometry.height * 100) / 100,
+    rotation: geometry.rotation
+  }))
+});
+
+const check = async (options) => {
+  const documents = [];
+  for (const [index, path] of options.pdf.entries()) {
+    documents.push(await loadPdf(path, String(index + 1)));
+  }
+
+  try {
+    const data = await readJson(options.mapping);
+    const [first] = documents;
+
+    // Fields and tabs without a recipient of their own go to a default signer
+    const fallback = createRecipient(0);
+    let result;
+    try {
+      result = readMapping(data, first.pageGeometries, {
+        recipientId: fallback.id,
+        recipients: [],
+        documentId: first.documentId,
+        documents: Object.fromEntries(documents.map(d => [d.documentId, d.pageGeometries]))
+      }, options.from);
+    } catch (error) {
+      // Not a mapping in any of the formats: an invalid mapping rather than a failed check
+      result = { format: null, placements: [], recipients: [], anchorRules: [], problems: [error.message] };
+    }
+
+    const problems = [...result.problems];
+    const placements = [...result.placements, ...await applyAnchorRules(result.anchorRules, documents, problems)];
+    const recipients = placements.some(p => p.recipientId === fallback.id)
+      ? [...result.recipients, fallback]
+      : result.recipients;
+
+    const issues = lintPlacements({
+      placements,
+      recipients,
+      geometries: Object.fromEntries(documents.map(d => [d.documentId, d.pageGeometries])),
+      documentNames: documents.length > 1 ? Object.fromEntries(documents.map(d => [d.documentId, d.name])) : {}
+    });
+    const errors = [
+      ...problems.map(message => ({ rule: 'mapping', message })),
+      ...issues.filter(issue => issue.severity === 'error').map(issue => reportIssue(issue, placements))
+    ];
+    const warnings = issues.filter(issue => issue.severity === 'warning').map(issue => reportIssue(issue, placements));
+
+    let output = null;
+    if (options.to) {
+      if (errors.length === 0) {
+        const converted = writeMapping(options.to, { placements, recipients, documents });
+        await writeFile(options.out, `${JSON.stringify(converted, null, 2)}\n`);
+        output = {
+          path: options.out,
+          format: options.to,
+          entries: countMappingEntries(options.to, converted),
+          // Point tabs have no 0-1000 region form, so they're left out of normalized files
+          skipped: MAPPING_FORMATS[options.to].regionsOnly ? placements.filter(p => p.kind !== 'region').length : 0
+        };
+      } else {
+        output = { path: options.out, format: options.to, written: false };
+      }
+    }
+
+    return {
+      ok: errors.length === 0 && !(options.strict && warnings.length > 0),
+      mapping: { path: options.mapping, format: result.format },
+      documents: documents.map(describeDocument),
+      placements: placements.length,
+      errors,
+      warnings,
+      output
+    };
+  } finally {
+    await Promise.all(documents.map(d => d.pdfDoc.destroy()));
+  }
+};
+
+const writeReport = async (report, path) => {
+  const json = `${JSON.stringify(report, null, 2)}\n`;
+  if (path) {
+    await writeFile(path, json);
+  } else {
+    process.stdout.write(json);
+  }
+};
+
+const main = async () => {
+  let options;
+  try {
+    options = parseOptions(process.argv.slice(2));
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return EXIT_FAILED;
+  }
+  if (options.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return EXIT_VALID;
+  }
+
+  let report;
+  try {
+    report = await check(options);
+  } catch (error) {
+    process.stderr.write(`${error.message}\n`);
+    await writeReport({ ok: false, failure: error.message }, options.report).catch(() => {});
+    return EXIT_FAILED;
+  }
+  await writeReport(report, options.report);
+  return report.ok ? EXIT_VALID : EXIT_INVALID;
+};
+
+process.exitCode = await main();
@@ -0,0 +1,112 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtemp, readFile, rm, writeFile, access } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { PDFDocument } from 'pdf-lib';
+
+const CLI = fileURLToPath(new URL('./mapping.js', import.meta.url));
+
+let dir;
+let pdf;
+
+// Two 1000 × 1000 pt pages, so 0-1000 coordinates are whole points and survive the
+// tabs format's rounding
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'mapping-cli-'));
+  const document = await PDFDocument.create();
+  document.addPage([1000, 1000]);
+  document.addPage([1000, 1000]);
+  pdf = join(dir, 'form.pdf');
+  await writeFile(pdf, await document.save());
+});
+
+after(() => rm(dir, { recursive: true, force: true }));
+
+const writeMappingFile = async (name, data) => {
+  const path = join(dir, name);
+  await writeFile(path, JSON.stringify(data));
+  return path;
+};
+
+const run = (...args) => {
+  const { status, stdout, stderr } = spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 60000 });
+  return { status, stdout, stderr };
+};
+
+const exists = (path) => access(path).then(() => true, () => false);
+
+const SIGNED = {
+  fields: { 'Signature 1': [800, 100, 850, 400, 1], 'Full Name': [100, 100, 150, 400, 2] },
+  field_details: { 'Signature 1': { tabType: 'signHere' }, 'Full Name': { tabType: 'text' } }
+};
+
+test('a valid mapping exits 0 with a JSON report on stdout', async () => {
+  const mapping = await writeMappingFile('valid.json', SIGNED);
+  const { status, stdout } = run(mapping, '--pdf', pdf);
+
+  assert.equal(status, 0);
+  const report = JSON.parse(stdout);
+  assert.equal(report.ok, true);
+  assert.equal(report.mapping.format, 'normalized');
+  assert.equal(report.placements, 2);
+  assert.deepEqual(report.documents[0].pages.map(p => [p.width, p.height]), [[1000, 1000], [1000, 1000]]);
+});
+
+test('a field on a page the PDF does not have exits 1', async () => {
+  const mapping = await writeMappingFile('out-of-range.json', { 'Signature 1': [800, 100, 850, 400, 3] });
+  const { status, stdout } = run(mapping, '--pdf', pdf);
+
+  assert.equal(status, 1);
+  const report = JSON.parse(stdout);
+  assert.equal(report.ok, false);
+  assert.match(report.errors[0].message, /page 3/);
+});
+
+test('warnings exit 1 only with --strict', async () => {
+  // A text-only mapping: its signer has no signature tab
+  const mapping = await writeMappingFile('text-only.json', { 'Full Name': [100, 100, 150, 400, 1] });
+
+  assert.equal(run(mapping, '--pdf', pdf).status, 0);
+  const { status, stdout } = run(mapping, '--pdf', pdf, '--strict');
+  assert.equal(status, 1);
+  assert.equal(JSON.parse(stdout).warnings[0].rule, 'missingSignature');
+});
+
+test('a missing PDF or bad options exit 2', async () => {
+  const mapping = await writeMappingFile('missing-pdf.json', SIGNED);
+
+  const missing = run(mapping, '--pdf', join(dir, 'missing.pdf'));
+  assert.equal(missing.status, 2);
+  assert.equal(JSON.parse(missing.stdout).ok, false);
+
+  assert.equal(run(mapping).status, 2);
+  assert.equal(run(mapping, '--pdf', pdf, '--to', 'pdf', '--out', join(dir, 'x.json')).status, 2);
+  assert.equal(run(mapping, '--pdf', pdf, '--to', 'tabs').status, 2);
+});
+
+test('normalized → tabs → normalized gives the same coordinates back', async () => {
+  const mapping = await writeMappingFile('round-trip.json', SIGNED);
+  const tabs = join(dir, 'round-trip-tabs.json');
+  const normalized = join(dir, 'round-trip-normalized.json');
+
+  const toTabs = run(mapping, '--pdf', pdf, '--to', 'tabs', '--out', tabs);
+  assert.equal(toTabs.status, 0);
+  assert.equal(JSON.parse(toTabs.stdout).output.entries, 2);
+
+  assert.equal(run(tabs, '--pdf', pdf, '--to', 'normalized', '--out', normalized).status, 0);
+  const { fields } = JSON.parse(await readFile(normalized, 'utf8'));
+  assert.deepEqual(fields, SIGNED.fields);
+});
+
+test('--out is not written when the mapping has errors', async () => {
+  const mapping = await writeMappingFile('invalid.json', { 'Signature 1': [800, 100, 850, 400, 3] });
+  const out = join(dir, 'not-written.json');
+
+  const { status, stdout } = run(mapping, '--pdf', pdf, '--to', 'points', '--out', out);
+  assert.equal(status, 1);
+  assert.equal(JSON.parse(stdout).output.written, false);
+  assert.equal(await exists(out), false);
+});
@@ -1,174 +1,1364 @@
-import React, { useState, useRef, useEffect } from 'react';
-import PDFViewer from './components/PDFViewer';
+import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
+import PageView from './components/PageView';
+import ThumbnailRail from './components/ThumbnailRail';
+import RecentSessions from './components/RecentSessions';
+import AnchorSearchPanel from './components/AnchorSearchPanel';
+import ImportPanel from './components/ImportPanel';
+import HistoryPanel from './components/HistoryPanel';
+import TemplatePanel from './components/TemplatePanel';
+import RetargetDialog from './components/RetargetDialog';
+import LintPanel from './components/LintPanel';
+import FieldCatalogEditor from './components/FieldCatalogEditor';
+import FieldList from './components/FieldList';
+import FillPreviewPanel from './components/FillPreviewPanel';
+import ExportPanel from './components/ExportPanel';
+import RecipientPanel from './components/RecipientPanel';
+import PlacementList from './components/PlacementList';
+import DocumentSwitcher from './components/DocumentSwitcher';
+import RemotePdfForm from './components/RemotePdfForm';
+import PasswordDialog from './components/PasswordDialog';
+import MeasurePanel from './components/MeasurePanel';
+import DetectPanel from './components/DetectPanel';
+import SyncStatus from './components/SyncStatus';
+import PageRulers from './components/PageRulers';
+import CursorReadout from './components/CursorReadout';
+import {
+  saveFields,
+  getLatestFields,
+  getSavedFields,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  getUpload,
+  uploadedPdfUrl,
+  proxiedPdfUrl
+} from './utils/api';
+import {
+  POINTS_PER_INCH,
+  createPageGeometry,
+  canvasToPoints,
+  pointsToCanvas,
+  canvasRectToPoints,
+  pointsRectToCanvas
+} from './utils/coordinates';
+import {
+  TAB_TYPES,
+  createId,
+  createRecipient,
+  guessTabType,
+  nextLabel,
+  toFieldMappings,
+  toFieldDetails
+} from './utils/placements';
+import { drawMarker, withAlpha, drawSignatureGlyph, drawPreviewText } from './utils/drawing';
+import { loadDocumentText, findTextMatches, pageWords, pageBaselines } from './utils/textContent';
+import { lintPlacements } from './utils/lint';
+import { detectDocumentFields, acceptCandidates } from './utils/detection';
+import { loadFieldCatalog, saveFieldCatalog } from './utils/fieldCatalog';
+import { selectPages, repeatPlacement, syncRepeats, detachCopy } from './utils/repeat';
+import {
+  pdfFilesOf,
+  nextDocumentId,
+  moveDocument,
+  placementsOn,
+  withDocumentId,
+  geometriesByDocument,
+  countByDocument,
+  sessionDocuments,
+  envelopeName
+} from './utils/envelope';
+import { LoadCancelledError, loadDocument, destroyDocuments, pdfLoadErrorMessage, pdfNameFromUrl } from './utils/pdfLoader';
+import {
+  PREVIEW_PADDING,
+  previewFont,
+  generateSampleValues,
+  layoutPreview,
+  createTextMeasurer,
+  loadFillPreview,
+  saveFillPreview
+} from './utils/fillPreview';
+import {
+  createAnchorRule,
+  placementFromMatch,
+  applyAnchorRule,
+  detachAnchor,
+  loadAnchorRules,
+  saveAnchorRules
+} from './utils/anchors';
+import { importAcroFormWidgets } from './utils/importers';
+import { readMapping, writeMapping } from './utils/mappingFormats';
+import { buildTemplate, applyTemplate } from './utils/templates';
+import { withTextContext, retargetTemplate } from './utils/retarget';
+import {
+  listSessions,
+  getSession,
+  getSessionFile,
+  saveSessionFile,
+  deleteSession
+} from './utils/sessionStore';
+import {
+  HANDLE_SIZE,
+  cursorForHandle,
+  getHandlePositions,
+  hitTestPlacements,
+  movePlacement,
+  resizePlacement
+} from './utils/editing';
+import {
+  SNAP_DISTANCE,
+  gridLines,
+  measurePoint,
+  pixelsPerPoint,
+  snapTargets,
+  snapPoint,
+  snapRect,
+  loadMeasureSettings,
+  saveMeasureSettings
+} from './utils/measure';
+import {
+  centerCursor,
+  moveCursor,
+  describePosition,
+  describePlacement,
+  cyclePlacement,
+  readingOrder
+} from './utils/keyboardPlacement';
+import { DIFF_STATUSES, currentVersion, entryRect, versionName } from './utils/versions';
+import usePlacementHistory from './hooks/usePlacementHistory';
+import useZoomPan from './hooks/useZoomPan';
+import useSessionAutosave from './hooks/useSessionAutosave';
+import useBackendSync from './hooks/useBackendSync';
 import './App.css';
 
-// DocuSign coordinate conversion constants
-const DOCUSIGN_DPI = 72; // DocuSign uses 72 DPI (points)
-const UI_DPI = 96; // Standard screen DPI
+// Ignore drags smaller than this (in canvas pixels) so stray clicks don't create regions
+const MIN_REGION_SIZE = 5;
 
-// Convert UI pixels to DocuSign points
-const pixelsToPoints = (pixels) => {
-  if (!isFinite(pixels) || pixels < 0) return 0;
-  return Math.max(0, Math.round((pixels * DOCUSIGN_DPI) / UI_DPI));
+// Arrow-key nudge distance in points (Shift for the large step)
+const NUDGE_STEP = 1;
+const NUDGE_STEP_LARGE = 10;
+
+// Keyboard cursor steps in points: arrows, Shift+arrows (coarse) and Alt+arrows (fine)
+const CURSOR_STEP = 9;
+const CURSOR_STEP_LARGE = POINTS_PER_INCH;
+const CURSOR_STEP_FINE = 1;
+
+// Keyboard shortcuts shouldn't fire while typing in the sidebar
+const isEditableTarget = (target) =>
+  target && (target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName));
+
+// Stand-in for the active document's pages before anything is loaded
+const NO_PAGES = [];
+
+// Check a picked or dropped file before loading it, telling the user why it's refused
+const isAcceptablePdf = (file) => {
+  if (!file.type.includes('pdf')) {
+    alert(`${file.name} is not a PDF file.`);
+    return false;
+  }
+
+  // Limit each PDF to 50MB
+  if (file.size > 50 * 1024 * 1024) {
+    alert(`${file.name} is too large. Please upload PDFs smaller than 50MB.`);
+    return false;
+  }
+  return true;
 };
 
-// Convert DocuSign points to UI pixels for display
-const pointsToPixels = (points) => {
-  if (!isFinite(points) || points < 0) return 0;
-  return Math.max(0, Math.round((points * UI_DPI) / DOCUSIGN_DPI));
+// The newest template made on a document, or null
+const newestTemplateFor = async (document) => {
+  try {
+    const [newest] = await listTemplates(document.fingerprint);
+    return newest ? await getTemplate(newest.id) : null;
+  } catch (error) {
+    console.warn(`Could not look up templates for ${document.name}:`, error);
+    return null;
+  }
 };
 
+// Recipients of `added` that aren't in `recipients` yet
+const mergeRecipients = (recipients, added) => [
+  ...recipients,
+  ...added.filter(recipient => !recipients.some(r => r.id === recipient.id))
+];
+
 function App() {
-  const [pdfFile, setPdfFile] = useState(null);
-  const [pdfFileName, setPdfFileName] = useState(null);
-  const [pdfDoc, setPdfDoc] = useState(null);
+  const [documents, setDocuments] = useState([]); // The envelope's PDFs in order, see utils/envelope.js
+  const [activeDocumentId, setActiveDocumentId] = useState(null); // Document shown in the viewer
+  const [sessionKey, setSessionKey] = useState(null); // Fingerprint keying the autosaved session
+  const [loadProgress, setLoadProgress] = useState(null); // { name, loaded, total } while a PDF loads
+  const [passwordRequest, setPasswordRequest] = useState(null); // { name, incorrect, resolve } while asking
+  const loadAbortRef = useRef(null); // AbortController of the PDFs being loaded
+  const activeDocument = documents.find(d => d.documentId === activeDocumentId) || null;
+  const pdfDoc = activeDocument ? activeDocument.pdfDoc : null;
+  const pdfFileName = activeDocument ? activeDocument.name : null;
+  const fingerprint = activeDocument ? activeDocument.fingerprint : null; // pdf.js fingerprint of the active document
+  const pageGeometries = activeDocument ? activeDocument.pageGeometries : NO_PAGES; // Point-scale geometry for every page
+  const totalPages = pageGeometries.length;
   const [currentPage, setCurrentPage] = useState(1);
-  const [totalPages, setTotalPages] = useState(0);
   const [jumpToPage, setJumpToPage] = useState('');
-  const [signaturePoints, setSignaturePoints] = useState([]); // Array of { x, y, xPoints, yPoints, pageNum, id }
-  const canvasRef = useRef(null);
+  const {
+    placements, // See utils/placements.js
+    setPlacements,
+    previewPlacements,
+    commitPreview,
+    resetPlacements,
+    undo,
+    redo,
+    canUndo,
+    canRedo
+  } = usePlacementHistory();
+  const [selectedPlacementId, setSelectedPlacementId] = useState(null);
+  const [hoverCursor, setHoverCursor] = useState(null); // Cursor over a placement or handle
+  const dragRef = useRef(null); // { id, handle, start, original, snapshot } while moving/resizing
+  const suppressClickRef = useRef(false); // Swallow the click that ends a select/drag
+  const [recipients, setRecipients] = useState(() => [createRecipient(0)]);
+  const [activeRecipientId, setActiveRecipientId] = useState(() => recipients[0].id);
+  const [activeTabType, setActiveTabType] = useState('signHere'); // Tab type for new point placements
+  const [recipientFilter, setRecipientFilter] = useState('all'); // 'all' or a recipient id
   const containerRef = useRef(null);
-  const [pageScale, setPageScale] = useState(1);
-  const [pageDimensions, setPageDimensions] = useState({ width: 0, height: 0 });
+  const viewerRef = useRef(null); // Scrollable .pdf-container
+  const overlayRefs = useRef(new Map()); // pageNum → drawing overlay canvas of each mounted page
+  const slotRefs = useRef(new Map()); // pageNum → .page-wrapper element
+  const navigationTargetRef = useRef(null); // Page being scrolled to by goToPage
+  const scrollFrameRef = useRef(null);
+  const currentPageRef = useRef(currentPage);
+  const [viewMode, setViewMode] = useState('single'); // 'single' | 'continuous'
+  const [showThumbnails, setShowThumbnails] = useState(true);
+  const [renderedGeometries, setRenderedGeometries] = useState({}); // pageNum → geometry at the current zoom
+  const pageGeometry = renderedGeometries[currentPage] || null; // See utils/coordinates.js
+  const [drawMode, setDrawMode] = useState('point'); // 'point' | 'region'
+  const [selectedField, setSelectedField] = useState(null); // Name of the catalog field being mapped
+  const [fieldCatalog, setFieldCatalog] = useState(loadFieldCatalog); // See utils/fieldCatalog.js
+  const [editingCatalog, setEditingCatalog] = useState(false);
+  const [drawingRect, setDrawingRect] = useState(null); // { pageNum, startX, startY, x, y } while dragging
+  const [saveStatus, setSaveStatus] = useState({ state: 'idle', errors: [] });
+  const [recentSessions, setRecentSessions] = useState([]);
+  const [savedState, setSavedState] = useState({ placements: null, recipients: null }); // As last saved or exported
+  const documentTextRef = useRef(new Map()); // documentId → promise of its text, loaded on first use
+  const [textMatches, setTextMatches] = useState([]); // Anchor search results, see utils/textContent.js
+  const [selectedMatchId, setSelectedMatchId] = useState(null);
+  const [searchStatus, setSearchStatus] = useState({ state: 'idle' });
+  const [anchorRules, setAnchorRules] = useState(loadAnchorRules); // See utils/anchors.js
+  const [activeTemplate, setActiveTemplate] = useState(null); // { id, name, autoApplied, documentId } of the template in use
+  const [retarget, setRetarget] = useState(null); // { template, report, resolve } while reviewing a re-target
+  const [lintWords, setLintWords] = useState(null); // { documentId: words of each page }, for the "covers page text" check
+  const [lintTextStatus, setLintTextStatus] = useState('idle'); // 'idle' | 'loading' | 'done' | 'error'
+  const [previewing, setPreviewing] = useState(false); // Fill preview shown over the placements
+  const [fillPreview, setFillPreview] = useState(loadFillPreview); // See utils/fillPreview.js
+  const [measure, setMeasure] = useState(loadMeasureSettings); // Rulers, grid and snapping, see utils/measure.js
+  const [baselines, setBaselines] = useState(null); // { xs, ys } text baselines of each page of the active document
+  const [snapGuides, setSnapGuides] = useState(null); // { pageNum, guides } lines snapped to while dragging
+  const readoutRef = useRef(null); // CursorReadout, updated on mouse moves without re-rendering
+  const [keyboardMode, setKeyboardMode] = useState(false); // Placing with the keyboard cursor
+  const [keyboardCursor, setKeyboardCursor] = useState(null); // { pageNum, x, y } in points
+  const [announcement, setAnnouncement] = useState(''); // Read out by screen readers
+  const [candidates, setCandidates] = useState([]); // Proposed fields of every document, see utils/detection.js
+  const [detection, setDetection] = useState({ state: 'idle' }); // Progress of the last "Detect"
+  const [focusedCandidateId, setFocusedCandidateId] = useState(null);
+  const [comparison, setComparison] = useState(null); // { fromName, toName, rows } of the history panel, see utils/versions.js
+  const measureTextRef = useRef(null);
+  const {
+    zoom,
+    zoomLevel,
+    availableSize,
+    pixelRatio,
+    zoomIn,
+    zoomOut,
+    actualSize,
+    fitWidth,
+    fitPage,
+    handleRendered,
+    panMode,
+    setPanMode,
+    panCursor,
+    panHandlers
+  } = useZoomPan(viewerRef, Boolean(pdfDoc));
+
+  const sync = useBackendSync();
+
+  const geometries = useMemo(() => geometriesByDocument(documents), [documents]);
+  const documentPlacements = useMemo( // Placements on the active document
+    () => placementsOn(placements, activeDocumentId),
+    [placements, activeDocumentId]
+  );
+  const documentCandidates = useMemo( // Proposed fields on the active document
+    () => placementsOn(candidates, activeDocumentId),
+    [candidates, activeDocumentId]
+  );
+  const comparisonShapes = useMemo( // Compared fields on the active document, in points
+    () => (comparison ? comparison.rows : []).map(row => ({
+      label: row.label,
+      status: row.status,
+      before: row.before && entryRect(row.before, geometries, activeDocumentId),
+      after: row.after && entryRect(row.after, geometries, activeDocumentId)
+    })).map(shape => ({
+      ...shape,
+      before: shape.before && shape.before.documentId === activeDocumentId ? shape.before : null,
+      after: shape.after && shape.after.documentId === activeDocumentId ? shape.after : null
+    })),
+    [comparison, geometries, activeDocumentId]
+  );
+  const savedDocuments = useMemo(() => sessionDocuments(documents), [documents]);
+
+  const flushAutosave = useSessionAutosave({
+    fingerprint: sessionKey,
+    fileName: envelopeName(documents),
+    placements,
+    recipients,
+    documents: savedDocuments,
+    activeDocumentId,
+    currentPage,
+    totalPages
+  });
+
+  const hasUnsavedChanges = Boolean(pdfDoc) &&
+    (placements !== savedState.placements || recipients !== savedState.recipients);
+
+  // Ask for an encrypted PDF's password; resolves with it, or null if cancelled
+  const askPassword = (name, incorrect) => new Promise(resolve => setPasswordRequest({ name, incorrect, resolve }));
+
+  const closePasswordDialog = (password) => {
+    passwordRequest.resolve(password);
+    setPasswordRequest(null);
+  };
 
-  // Load PDF file
+  // Load one PDF (see utils/pdfLoader.js), showing its progress and asking for passwords
+  const loadWithProgress = async (source, documentId) => {
+    const name = source.file ? source.file.name : source.name;
+    setLoadProgress({ name, loaded: 0, total: 0 });
+    try {
+      return await loadDocument(source, documentId, {
+        onPassword: askPassword,
+        onProgress: (loaded, total) => setLoadProgress({ name, loaded, total }),
+        signal: loadAbortRef.current.signal
+      });
+    } finally {
+      setLoadProgress(null);
+    }
+  };
+
+  const cancelLoading = () => {
+    if (loadAbortRef.current) loadAbortRef.current.abort();
+  };
+
+  // Load the PDFs picked on the empty state
   const handleFileUpload = async (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
+    const files = Array.from(e.target.files);
+    e.target.value = ''; // Allow picking the same file again
+    const accepted = files.filter(isAcceptablePdf);
+    if (accepted.length > 0) await openEnvelope(accepted.map(file => ({ file })));
+  };
 
-    // Validate file type
-    if (!file.type.includes('pdf')) {
-      alert('Please upload a valid PDF file.');
+  const handleEmptyStateDrop = (e) => {
+    e.preventDefault();
+    const accepted = pdfFilesOf(e.dataTransfer.files).filter(isAcceptablePdf);
+    if (accepted.length > 0) openEnvelope(accepted.map(file => ({ file })));
+  };
+
+  // A PDF on another site, fetched through the backend
+  const handleOpenUrl = (url) => openEnvelope([{ url: proxiedPdfUrl(url), name: pdfNameFromUrl(url) }]);
+
+  // A PDF kept by the backend's /upload
+  const handleOpenUpload = async (pdfId) => {
+    let upload;
+    try {
+      upload = await getUpload(pdfId);
+    } catch (error) {
+      console.error('Error looking up upload:', error);
+      alert(error.message);
       return;
     }
+    await openEnvelope([{ url: uploadedPdfUrl(upload.pdf_id), name: upload.filename }]);
+  };
 
-    // Validate file size (limit to 50MB)
-    if (file.size > 50 * 1024 * 1024) {
-      alert('File size too large. Please upload a PDF smaller than 50MB.');
-      return;
+  // Links to the editor can name the PDF to open: ?pdf_id=<upload id> or ?url=<PDF URL>
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('pdf_id')) {
+      handleOpenUpload(params.get('pdf_id'));
+    } else if (params.get('url')) {
+      handleOpenUrl(params.get('url'));
     }
+  }, []);
 
-    try {
-      setPdfFile(file);
-      setPdfFileName(file.name);
+  // Start an envelope with `sources` (see utils/pdfLoader.js) and restore its autosaved
+  // session: `savedSession` when reopening from the recent list, otherwise offer to restore
+  // one found for the first PDF. A restored session brings back the envelope's other
+  // documents from the session store
+  const openEnvelope = async (sources, savedSession = null) => {
+    const controller = new AbortController();
+    loadAbortRef.current = controller;
+    // Everything loaded so far, to release if a later PDF fails or the load is cancelled
+    const opened = [];
+    const load = async (source, documentId) => {
+      const document = await loadWithProgress(source, documentId);
+      opened.push(document);
+      return document;
+    };
 
+    try {
       // Show loading state
       console.log('Loading PDF...');
 
-      const arrayBuffer = await file.arrayBuffer();
-
-      // Initialize pdf.js with error handling
-      const pdfjsLib = await import('pdfjs-dist');
-      pdfjsLib.GlobalWorkerOptions.workerSrc = `//cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjsLib.version}/pdf.worker.min.js`;
+      const first = await load(sources[0], '1');
 
-      const loadingTask = pdfjsLib.getDocument({
-        data: arrayBuffer,
-        verbosity: 0 // Reduce console noise
-      });
+      let session = savedSession;
+      if (!session) {
+        const previous = await getSession(first.fingerprint).catch(() => null);
+        if (previous && previous.placements.length > 0 && window.confirm(
+          `Restore your previous session for this PDF (${previous.placements.length} tab${previous.placements.length === 1 ? '' : 's'})?`
+        )) {
+          session = previous;
+        }
+      }
 
-      // Add timeout to loading
-      const pdf = await Promise.race([
-        loadingTask.promise,
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error('PDF loading timeout')), 30000)
-        )
-      ]);
+      // Sessions saved before envelopes have no documents: the PDF is document 1
+      let loaded = [first];
+      const missing = [];
+      if (session && session.documents) {
+        loaded = [];
+        for (const entry of session.documents) {
+          if (entry.fingerprint === first.fingerprint) {
+            loaded.push({ ...first, documentId: entry.documentId });
+            continue;
+          }
+          try {
+            const file = await getSessionFile(entry.fingerprint);
+            if (!file) throw new Error('PDF no longer stored');
+            loaded.push(await load({ file }, entry.documentId));
+          } catch (error) {
+            if (controller.signal.aborted) throw error;
+            console.warn(`Could not restore ${entry.name}:`, error);
+            missing.push(entry.name);
+          }
+        }
+        if (!loaded.some(d => d.fingerprint === first.fingerprint)) {
+          loaded.unshift({ ...first, documentId: nextDocumentId(loaded) });
+        }
+      }
+      for (const source of sources.slice(1)) {
+        loaded.push(await load(source, nextDocumentId(loaded)));
+      }
 
-      if (!pdf || pdf.numPages === 0) {
-        throw new Error('Invalid or empty PDF file');
+      let restoredPlacements = [];
+      let restoredRecipients = recipients;
+      let template = null;
+      if (session) {
+        const firstId = loaded.find(d => d.fingerprint === first.fingerprint).documentId;
+        restoredPlacements = withDocumentId(session.placements, firstId)
+          .filter(p => loaded.some(d => d.documentId === p.documentId));
+        if (session.recipients.length > 0) restoredRecipients = session.recipients;
+      } else {
+        // Without a session to restore, each PDF starts from the newest template made on it
+        let templateRecipients = [];
+        for (const document of loaded) {
+          const newest = await newestTemplateFor(document);
+          if (!newest) continue;
+          const result = applyTemplate(newest, document.pageGeometries);
+          restoredPlacements = [...restoredPlacements, ...withDocumentId(result.placements, document.documentId)];
+          templateRecipients = mergeRecipients(templateRecipients, result.recipients);
+          if (!template) template = { id: newest.id, name: newest.name, autoApplied: true, documentId: document.documentId };
+        }
+        if (templateRecipients.length > 0) restoredRecipients = templateRecipients;
       }
 
-      setPdfDoc(pdf);
-      setTotalPages(pdf.numPages);
-      setCurrentPage(1);
-      setSignaturePoints([]);
+      const active = (session && loaded.find(d => d.documentId === session.activeDocumentId)) || loaded[0];
+
+      destroyDocuments(documents);
+      setDocuments(loaded);
+      setActiveDocumentId(active.documentId);
+      setSessionKey(first.fingerprint);
+      setRenderedGeometries({});
+      setCurrentPage(session ? Math.min(Math.max(1, session.currentPage), active.pageGeometries.length) : 1);
+      resetPlacements(restoredPlacements);
+      setRecipients(restoredRecipients);
+      setActiveRecipientId(restoredRecipients[0].id);
+      setRecipientFilter('all');
+      setSavedState({ placements: restoredPlacements, recipients: restoredRecipients });
+      setActiveTemplate(template);
+      clearTextSearch();
+      clearCandidates();
+      setComparison(null);
+      setSelectedPlacementId(null);
+      setSelectedField(null);
+      setSaveStatus({ state: 'idle', errors: [] });
+
+      console.log(`PDF loaded successfully: ${loaded.map(d => `${d.name} (${d.pageGeometries.length} pages)`).join(', ')}`);
 
-      console.log(`PDF loaded successfully: ${pdf.numPages} pages`);
+      // Keep the files themselves so the session can be reopened from the recent list
+      loaded.forEach(storeSessionFile);
 
+      if (missing.length > 0) {
+        alert(`These PDFs of the envelope are no longer stored and were left out: ${missing.join(', ')}`);
+      }
     } catch (error) {
+      // Reset state on error
+      destroyDocuments(opened);
+      resetWorkspace();
+      if (error instanceof LoadCancelledError) return;
+
       console.error('Error loading PDF:', error);
+      alert(pdfLoadErrorMessage(error));
+    }
+  };
 
-      // Reset state on error
-      setPdfFile(null);
-      setPdfFileName(null);
-      setPdfDoc(null);
-      setTotalPages(0);
-      setCurrentPage(1);
-      setSignaturePoints([]);
-
-      // Show user-friendly error message
-      let errorMessage = 'Failed to load PDF. ';
-      if (error.message.includes('InvalidPDFException')) {
-        errorMessage += 'The file appears to be corrupted or not a valid PDF.';
-      } else if (error.message.includes('MissingPDFException')) {
-        errorMessage += 'The PDF file could not be found or read.';
-      } else if (error.message.includes('UnexpectedResponseException')) {
-        errorMessage += 'Network error while loading PDF.';
-      } else if (error.message.includes('timeout')) {
-        errorMessage += 'PDF loading timed out. File might be too large.';
-      } else {
-        errorMessage += 'Please try a different PDF file.';
+  const storeSessionFile = (document) => {
+    saveSessionFile(document.fingerprint, document.file).catch((error) => {
+      console.warn('Could not store PDF for session restore:', error);
+    });
+  };
+
+  // Add PDFs to the open envelope. Each starts from the newest template made on it
+  const handleAddDocuments = async (files) => {
+    loadAbortRef.current = new AbortController();
+    let list = documents;
+    const added = [];
+    for (const file of files.filter(isAcceptablePdf)) {
+      try {
+        const document = await loadWithProgress({ file }, nextDocumentId(list));
+        if (list.some(d => d.fingerprint === document.fingerprint) &&
+          !window.confirm(`${file.name} is already in the envelope. Add it again?`)) {
+          destroyDocuments([document]);
+          continue;
+        }
+        list = [...list, document];
+        added.push(document);
+      } catch (error) {
+        if (loadAbortRef.current.signal.aborted) break;
+        if (error instanceof LoadCancelledError) continue;
+        console.error(`Error loading ${file.name}:`, error);
+        alert(`${file.name}: ${pdfLoadErrorMessage(error)}`);
       }
+    }
+    if (added.length === 0) return;
+
+    let templated = [];
+    let templateRecipients = [];
+    for (const document of added) {
+      const template = await newestTemplateFor(document);
+      if (!template) continue;
+      const result = applyTemplate(template, document.pageGeometries);
+      templated = [...templated, ...withDocumentId(result.placements, document.documentId)];
+      templateRecipients = mergeRecipients(templateRecipients, result.recipients);
+    }
+
+    setDocuments(list);
+    if (templated.length > 0) {
+      setPlacements(prev => [...prev, ...templated]);
+      setRecipients(prev => mergeRecipients(prev, templateRecipients));
+    }
+    added.forEach(storeSessionFile);
+    showDocument(added[0].documentId);
+  };
+
+  // Show another document of the envelope in the viewer
+  const showDocument = (documentId, pageNum = 1) => {
+    if (documentId !== activeDocumentId) {
+      setActiveDocumentId(documentId);
+      setRenderedGeometries({});
+      setSelectedPlacementId(null);
+      setDrawingRect(null);
+      clearTextMatches();
+    }
+    setCurrentPage(pageNum);
+  };
 
-      alert(errorMessage);
+  const handleMoveDocument = (documentId, direction) => {
+    setDocuments(prev => moveDocument(prev, documentId, direction));
+  };
+
+  // Remove a document and its placements from the envelope
+  const handleRemoveDocument = (documentId) => {
+    const document = documents.find(d => d.documentId === documentId);
+    const remaining = documents.filter(d => d.documentId !== documentId);
+    if (!document || remaining.length === 0) return;
+
+    const count = placementsOn(placements, documentId).length;
+    if (!window.confirm(
+      `Remove ${document.name} from the envelope${count > 0 ? ` with its ${count} tab${count === 1 ? '' : 's'}` : ''}?`
+    )) {
+      return;
     }
+
+    setDocuments(remaining);
+    destroyDocuments([document]);
+    setPlacements(prev => prev.filter(p => p.documentId !== documentId));
+    setCandidates(prev => prev.filter(c => c.documentId !== documentId));
+    documentTextRef.current.delete(documentId);
+    // The session is keyed by the first document it was opened with
+    if (document.fingerprint === sessionKey) setSessionKey(remaining[0].fingerprint);
+    if (documentId === activeDocumentId) showDocument(remaining[0].documentId);
   };
 
-  // Reset to home state (clear PDF and all data)
-  const handleHome = () => {
-    setPdfFile(null);
-    setPdfFileName(null);
-    setPdfDoc(null);
+  // Clear the envelope and all data
+  const resetWorkspace = () => {
+    destroyDocuments(documents);
+    setDocuments([]);
+    setActiveDocumentId(null);
+    setSessionKey(null);
+    setActiveTemplate(null);
+    setRenderedGeometries({});
+    clearTextSearch();
+    clearCandidates();
+    setComparison(null);
     setCurrentPage(1);
-    setTotalPages(0);
-    setSignaturePoints([]);
+    resetPlacements();
+    setSelectedPlacementId(null);
+    setSelectedField(null);
+    setDrawingRect(null);
+    setSaveStatus({ state: 'idle', errors: [] });
+  };
+
+  // Reset to home state. The session stays autosaved and can be reopened from the recent list
+  const handleHome = async () => {
+    await flushAutosave();
+    resetWorkspace();
+  };
+
+  // Reopen a session from the recent list
+  const handleOpenSession = async (summary) => {
+    try {
+      const [session, file] = await Promise.all([
+        getSession(summary.fingerprint),
+        getSessionFile(summary.fingerprint)
+      ]);
+      if (!session || !file) {
+        alert('The PDF for this session is no longer stored. Please upload it again.');
+        await deleteSession(summary.fingerprint);
+        setRecentSessions(prev => prev.filter(s => s.fingerprint !== summary.fingerprint));
+        return;
+      }
+      await openEnvelope([{ file }], session);
+    } catch (error) {
+      console.error('Error reopening session:', error);
+      alert('Could not reopen this session.');
+    }
+  };
+
+  const handleDeleteSession = async (summary) => {
+    if (!window.confirm(`Forget the saved session for ${summary.fileName}?`)) return;
+    try {
+      await deleteSession(summary.fingerprint);
+      setRecentSessions(prev => prev.filter(s => s.fingerprint !== summary.fingerprint));
+    } catch (error) {
+      console.error('Error deleting session:', error);
+    }
+  };
+
+  // Refresh the recent sessions whenever the empty state is shown
+  useEffect(() => {
+    if (pdfDoc) return;
+    let cancelled = false;
+    listSessions()
+      .then((sessions) => {
+        if (!cancelled) setRecentSessions(sessions);
+      })
+      .catch((error) => console.warn('Could not list saved sessions:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [pdfDoc]);
+
+  // Warn before leaving with changes that haven't been saved or exported
+  useEffect(() => {
+    if (!hasUnsavedChanges) return;
+
+    const handleBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = '';
+    };
+
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [hasUnsavedChanges]);
+
+  const markSaved = () => setSavedState({ placements, recipients });
+
+  const clearTextMatches = () => {
+    setTextMatches([]);
+    setSelectedMatchId(null);
+    setSearchStatus({ state: 'idle' });
+  };
+
+  // Forget search results and the cached text (e.g. when the envelope changes)
+  const clearTextSearch = () => {
+    documentTextRef.current = new Map();
+    clearTextMatches();
   };
 
-  // Handle page change
+  // A document's text (the active one's by default), extracted once and shared by every search
+  const getDocumentText = (document = activeDocument) => {
+    const cache = documentTextRef.current;
+    if (!cache.has(document.documentId)) {
+      cache.set(document.documentId, loadDocumentText(document.pdfDoc, document.pageGeometries).catch((error) => {
+        cache.delete(document.documentId);
+        throw error;
+      }));
+    }
+    return cache.get(document.documentId);
+  };
+
+  useEffect(() => {
+    saveAnchorRules(anchorRules);
+  }, [anchorRules]);
+
+  useEffect(() => {
+    saveFieldCatalog(fieldCatalog);
+  }, [fieldCatalog]);
+
+  useEffect(() => {
+    saveFillPreview(fillPreview);
+  }, [fillPreview]);
+
+  useEffect(() => {
+    saveMeasureSettings(measure);
+  }, [measure]);
+
+  // Read the active document's text baselines once snapping to them is on
+  useEffect(() => {
+    setBaselines(null);
+    if (!activeDocument || !measure.snapBaselines) return;
+
+    let cancelled = false;
+    getDocumentText(activeDocument)
+      .then((documentText) => {
+        if (!cancelled) setBaselines(documentText.map(pageBaselines));
+      })
+      .catch((error) => {
+        console.warn('Could not read page text for snapping:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [activeDocument, measure.snapBaselines]);
+
+  // Read every document's page text in the background for the lint panel
+  useEffect(() => {
+    setLintWords(null);
+    if (documents.length === 0) {
+      setLintTextStatus('idle');
+      return;
+    }
+
+    let cancelled = false;
+    setLintTextStatus('loading');
+    Promise.all(documents.map(document => getDocumentText(document)
+      .then(documentText => [document.documentId, documentText.map(pageWords)])))
+      .then((entries) => {
+        if (cancelled) return;
+        setLintWords(Object.fromEntries(entries));
+        setLintTextStatus('done');
+      })
+      .catch((error) => {
+        console.warn('Could not read page text for checks:', error);
+        if (!cancelled) setLintTextStatus('error');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [documents]);
+
+  const handleTextSearch = async (phrase) => {
+    setSearchStatus({ state: 'searching' });
+    try {
+      const matches = findTextMatches(await getDocumentText(), phrase);
+      setTextMatches(matches);
+      setSearchStatus({ state: 'done', phrase });
+      setSelectedMatchId(matches.length > 0 ? matches[0].id : null);
+      if (matches.length > 0) goToPage(matches[0].pageNum);
+    } catch (error) {
+      console.error('Error searching PDF text:', error);
+      setSearchStatus({ state: 'error', message: 'Could not read the text of this PDF' });
+    }
+  };
+
+  const clearCandidates = () => {
+    setCandidates([]);
+    setFocusedCandidateId(null);
+    setDetection({ state: 'idle' });
+  };
+
+  // Look for blank lines, underscores and boxes on every page of the active document
+  const handleDetectFields = async () => {
+    const document = activeDocument;
+    setDetection({ state: 'scanning', page: 0, total: document.pageGeometries.length });
+    try {
+      const found = await detectDocumentFields({
+        pdfDoc: document.pdfDoc,
+        documentId: document.documentId,
+        pageGeometries: document.pageGeometries,
+        documentText: await getDocumentText(document),
+        placements: placementsOn(placements, document.documentId),
+        onProgress: (page, total) => setDetection({ state: 'scanning', page, total })
+      });
+      setCandidates(prev => [...prev.filter(c => c.documentId !== document.documentId), ...found]);
+      setFocusedCandidateId(null);
+      setDetection({ state: 'done' });
+    } catch (error) {
+      console.error('Error detecting fields:', error);
+      setDetection({ state: 'error', message: 'Could not analyse the pages of this PDF' });
+    }
+  };
+
+  const updateSelectedCandidates = (update) => {
+    setCandidates(prev => prev.map(c => (c.documentId === activeDocumentId && c.selected ? update(c) : c)));
+  };
+
+  const toggleCandidate = (id) => {
+    setCandidates(prev => prev.map(c => (c.id === id ? { ...c, selected: !c.selected } : c)));
+  };
+
+  // Selected proposals become region tabs for the active recipient
+  const handleAcceptCandidates = () => {
+    const accepted = documentCandidates.filter(c => c.selected);
+    setPlacements(prev => [...prev, ...acceptCandidates(accepted, prev, activeRecipientId)]);
+    setCandidates(prev => prev.filter(c => !accepted.includes(c)));
+  };
+
+  const handleRejectCandidates = () => {
+    setCandidates(prev => prev.filter(c => !(c.documentId === activeDocumentId && c.selected)));
+  };
+
+  const handleFocusCandidate = (candidate) => {
+    setFocusedCandidateId(candidate.id);
+    goToPage(candidate.pageNum);
+  };
+
+  const handleSelectMatch = (match) => {
+    setSelectedMatchId(match.id);
+    goToPage(match.pageNum);
+  };
+
+  // Absolute placement at a single match
+  const handlePlaceAtMatch = (match, offset) => {
+    const geometry = pageGeometries[match.pageNum - 1];
+    if (!geometry) return;
+    setPlacements(prev => [
+      ...prev,
+      {
+        ...placementFromMatch(
+          match,
+          { tabType: activeTabType, recipientId: activeRecipientId, ...offset },
+          nextLabel(prev, activeTabType),
+          geometry
+        ),
+        documentId: activeDocumentId
+      }
+    ]);
+  };
+
+  // Place a rule's tabs at every match on the active document. Rules are kept across
+  // documents, so one saved for a recipient that no longer exists goes to the active recipient
+  const handleApplyAnchorRule = async (rule) => {
+    try {
+      const documentText = await getDocumentText();
+      const recipientId = recipients.some(r => r.id === rule.recipientId) ? rule.recipientId : activeRecipientId;
+      setPlacements(prev => applyAnchorRule(prev, { ...rule, recipientId }, documentText, pageGeometries, activeDocumentId));
+    } catch (error) {
+      console.error('Error applying anchor rule:', error);
+      setSearchStatus({ state: 'error', message: 'Could not read the text of this PDF' });
+    }
+  };
+
+  const handleCreateAnchorRule = (anchorString, offset) => {
+    const rule = createAnchorRule({
+      anchorString,
+      tabType: activeTabType,
+      recipientId: activeRecipientId,
+      ...offset
+    });
+    setAnchorRules(prev => [...prev, rule]);
+    handleApplyAnchorRule(rule);
+  };
+
+  const handleRemoveAnchorRule = (rule) => {
+    setAnchorRules(prev => prev.filter(r => r.id !== rule.id));
+  };
+
+  // Add an importer's result (see utils/importers.js) as one undo step.
+  // Returns { imported, problems } for the import report
+  const applyImport = async (result) => {
+    const problems = [...result.problems];
+    let anchored = [];
+
+    // Each rule is applied to the document the importer found it on
+    if (result.anchorRules.length > 0) {
+      const rules = [];
+      for (const { documentId = activeDocumentId, ...rule } of result.anchorRules) {
+        const document = documents.find(d => d.documentId === documentId) || activeDocument;
+        const before = anchored.length;
+        anchored = applyAnchorRule(anchored, rule, await getDocumentText(document), document.pageGeometries, document.documentId);
+        if (anchored.length === before) {
+          problems.push(`Anchor text "${rule.anchorString}" was not found in ${document.name}`);
+        }
+        rules.push(rule);
+      }
+      setAnchorRules(prev => [...prev, ...rules]);
+    }
+
+    if (result.recipients.length > 0) {
+      setRecipients(prev => [...prev, ...result.recipients]);
+    }
+
+    const added = [...result.placements, ...anchored];
+    if (added.length > 0) {
+      setPlacements(prev => [...prev, ...added]);
+    }
+    return { imported: added.length, problems };
+  };
+
+  // Form fields come from the active document
+  const handleImportWidgets = async () => {
+    const result = await importAcroFormWidgets(pdfDoc, pageGeometries, { recipientId: activeRecipientId });
+    return applyImport({ ...result, placements: withDocumentId(result.placements, activeDocumentId) });
+  };
+
+  // Saved fields, points or DocuSign tabs JSON (see utils/mappingFormats.js)
+  const handleImportJson = (data) => applyImport(readMapping(data, pageGeometries, {
+    recipientId: activeRecipientId,
+    recipients,
+    documentId: activeDocumentId,
+    documents: geometries
+  }));
+
+  // The active document's work as a template, with each placement's nearby text so
+  // it can be re-targeted to later revisions of the form (see utils/retarget.js)
+  const currentTemplate = async (name) => {
+    let placementsWithContext = documentPlacements;
+    try {
+      placementsWithContext = withTextContext(documentPlacements, await getDocumentText());
+    } catch (error) {
+      console.warn('Could not read the PDF text; saving the template without it:', error);
+    }
+    return buildTemplate({ name, fingerprint, pageGeometries, placements: placementsWithContext, recipients });
+  };
+
+  // Resolves with { queued: true } when saved for later (see utils/syncQueue.js); the
+  // template only gets an id once the backend has it
+  const handleSaveTemplate = async (name) => {
+    const template = await createTemplate(await currentTemplate(name));
+    markSaved();
+    if (template.queued) return template;
+    setActiveTemplate({ id: template.id, name: template.name, documentId: activeDocumentId });
+    return null;
+  };
+
+  const handleUpdateTemplate = async ({ id, name }) => {
+    const result = await updateTemplate(id, await currentTemplate(name));
+    setActiveTemplate({ id, name, documentId: activeDocumentId });
+    markSaved();
+    return result.queued ? result : null;
+  };
+
+  // Show the re-target review for a template made on another PDF.
+  // Resolves with the report (see utils/retarget.js) if accepted, otherwise null
+  const reviewRetarget = async (template) => {
+    const report = retargetTemplate(template, await getDocumentText(), pageGeometries);
+    const accepted = await new Promise(resolve => setRetarget({ template, report, resolve }));
+    return accepted ? report : null;
+  };
+
+  const closeRetarget = (accepted) => {
+    retarget.resolve(accepted);
+    setRetarget(null);
+  };
+
+  // Replace the active document's placements with a template's. A template made on
+  // another PDF is re-targeted first. Returns the problems to report, or false if the
+  // user cancelled
+  const handleApplyTemplate = async (summary) => {
+    const template = await getTemplate(summary.id);
+    if (documentPlacements.length > 0 && !window.confirm(
+      `Replace the ${documentPlacements.length} current tab${documentPlacements.length === 1 ? '' : 's'} on ${pdfFileName} with “${template.name}”?`
+    )) {
+      return false;
+    }
+
+    let result;
+    if (template.fingerprint === fingerprint) {
+      result = applyTemplate(template, pageGeometries);
+    } else {
+      const report = await reviewRetarget(template);
+      if (!report) return false;
+
+      result = {
+        placements: report.items.filter(item => item.placement).map(item => item.placement),
+        recipients: template.recipients,
+        problems: [
+          ...report.differences,
+          ...report.items
+            .filter(item => item.status === 'unresolved')
+            .map(item => `${item.original.label}: ${item.message}`)
+        ]
+      };
+    }
+
+    // Tabs on the other documents keep their recipients, so the template's are added to them
+    const otherPlacements = placements.filter(p => p.documentId !== activeDocumentId);
+    setPlacements([...otherPlacements, ...withDocumentId(result.placements, activeDocumentId)]);
+    if (result.recipients.length > 0) {
+      const nextRecipients = otherPlacements.length > 0 ? mergeRecipients(recipients, result.recipients) : result.recipients;
+      setRecipients(nextRecipients);
+      setActiveRecipientId(result.recipients[0].id);
+      setRecipientFilter('all');
+    }
+    setSelectedPlacementId(null);
+    setActiveTemplate({ id: template.id, name: template.name, documentId: activeDocumentId });
+    return result.problems;
+  };
+
+  const handleTemplateRenamed = (summary, name) => {
+    setActiveTemplate(prev => (prev && prev.id === summary.id ? { ...prev, name } : prev));
+  };
+
+  const handleTemplateDeleted = (summary) => {
+    setActiveTemplate(prev => (prev && prev.id === summary.id ? null : prev));
+  };
+
+  // `filename` null loads the latest saved fields
+  const handleImportSaved = async (filename) => handleImportJson(
+    filename ? await getSavedFields(filename) : await getLatestFields()
+  );
+
+  // Make a saved version (a summary from GET /fields) the working set: its fields
+  // replace the mapped regions on every document, point tabs are kept. Returns the
+  // problems to report, or false if the user cancelled
+  const handleRestoreVersion = async (summary) => {
+    const data = await getSavedFields(summary.filename);
+    const regionCount = placements.filter(p => p.kind === 'region').length;
+    if (regionCount > 0 && !window.confirm(
+      `Replace the ${regionCount} mapped field${regionCount === 1 ? '' : 's'} with the ${summary.fields_count} saved on ${versionName(summary)}?`
+    )) {
+      return false;
+    }
+
+    const result = readMapping(data, pageGeometries, {
+      recipientId: activeRecipientId,
+      recipients,
+      documentId: activeDocumentId,
+      documents: geometries
+    }, 'normalized');
+    if (result.recipients.length > 0) {
+      setRecipients(prev => [...prev, ...result.recipients]);
+    }
+    setPlacements(prev => [...prev.filter(p => p.kind !== 'region'), ...result.placements]);
+    setSelectedPlacementId(null);
+    setComparison(null);
+    setSaveStatus({ state: 'idle', errors: [] });
+    return result.problems;
+  };
+
+  // Handle page change. In continuous mode this scrolls the page into view
   const goToPage = (pageNum) => {
     if (pageNum >= 1 && pageNum <= totalPages) {
       setCurrentPage(pageNum);
+      if (viewMode === 'continuous') {
+        scrollToPage(pageNum);
+      }
     }
   };
 
-  // Keyboard navigation
+  const scrollToPage = (pageNum) => {
+    const slot = slotRefs.current.get(pageNum);
+    if (!slot) return;
+    navigationTargetRef.current = pageNum;
+    slot.scrollIntoView({ block: 'start' });
+  };
+
+  useEffect(() => {
+    currentPageRef.current = currentPage;
+  }, [currentPage]);
+
+  // Entering continuous mode, or switching document in it, scrolls to the current page
+  useEffect(() => {
+    if (viewMode === 'continuous') {
+      scrollToPage(currentPageRef.current);
+    }
+  }, [viewMode, activeDocumentId]);
+
+  // In continuous mode the current page is the one a third of the way down the viewer
+  const handleViewerScroll = () => {
+    if (viewMode !== 'continuous' || scrollFrameRef.current) return;
+
+    scrollFrameRef.current = requestAnimationFrame(() => {
+      scrollFrameRef.current = null;
+      const container = viewerRef.current;
+      if (!container) return;
+
+      const bounds = container.getBoundingClientRect();
+
+      // Don't fight goToPage when the last pages can't scroll all the way to the top
+      const target = navigationTargetRef.current;
+      navigationTargetRef.current = null;
+      const targetSlot = target && slotRefs.current.get(target);
+      if (targetSlot) {
+        const rect = targetSlot.getBoundingClientRect();
+        if (rect.bottom > bounds.top && rect.top < bounds.bottom) return;
+      }
+
+      const probe = bounds.top + container.clientHeight / 3;
+      let page = 1;
+      slotRefs.current.forEach((slot, pageNum) => {
+        if (slot.getBoundingClientRect().top <= probe && pageNum > page) page = pageNum;
+      });
+      setCurrentPage(page);
+    });
+  };
+
+  useEffect(() => () => {
+    if (scrollFrameRef.current) cancelAnimationFrame(scrollFrameRef.current);
+  }, []);
+
+  const selectedPlacement = placements.find(p => p.id === selectedPlacementId) || null;
+
+  // Read a message out to screen readers. Repeating it still changes the live region
+  const announce = (message) => {
+    setAnnouncement(prev => (prev === message ? `${message}\u00a0` : message));
+  };
+
+  const recipientOf = (placement) => recipients.find(r => r.id === placement.recipientId);
+
+  // Keyboard placement: a cursor on the page, steered with the arrow keys
+  const toggleKeyboardMode = () => {
+    if (keyboardMode) {
+      setKeyboardMode(false);
+      announce('Keyboard placement off');
+      return;
+    }
+    const geometry = pageGeometries[currentPage - 1];
+    if (!geometry) return;
+
+    const cursor = keyboardCursor && keyboardCursor.pageNum === currentPage
+      ? moveCursor(keyboardCursor, 0, 0, geometry)
+      : centerCursor(currentPage, geometry);
+    setKeyboardCursor(cursor);
+    setKeyboardMode(true);
+    if (viewerRef.current) viewerRef.current.focus();
+    announce(
+      `Keyboard placement on. Cursor on page ${currentPage} at ${describePosition(cursor)}. ` +
+      'Arrows move the cursor, Shift for an inch, Alt for a point. Enter places a tab, ' +
+      'Tab moves between tabs, Delete removes the selected tab, Escape leaves.'
+    );
+  };
+
+  // Keep the keyboard cursor on the page being viewed, at the same position
+  useEffect(() => {
+    if (!keyboardMode) return;
+    const geometry = pageGeometries[currentPage - 1];
+    if (!geometry) return;
+    setKeyboardCursor(prev => (prev
+      ? moveCursor({ ...prev, pageNum: currentPage }, 0, 0, geometry)
+      : centerCursor(currentPage, geometry)));
+  }, [keyboardMode, currentPage, pageGeometries]);
+
+  // Place a tab at the keyboard cursor: a point of the active type, or the selected
+  // field's region at its default size when mapping regions
+  const placeAtCursor = () => {
+    const cursor = keyboardCursor;
+    const geometry = cursor && pageGeometries[cursor.pageNum - 1];
+    if (!geometry) return;
+    if (comparison) {
+      announce('Stop comparing versions before placing tabs');
+      return;
+    }
+
+    if (drawMode === 'point') {
+      const placement = pointPlacementAt(cursor.pageNum, cursor, placements);
+      setPlacements(prev => [...prev, placement]);
+      announce(`Placed ${describePlacement(placement, recipientOf(placement))}`);
+      return;
+    }
+
+    const field = fieldCatalog.find(f => f.name === selectedField);
+    if (!field) {
+      announce('Select a field in the sidebar before placing its region');
+      return;
+    }
+    const region = defaultRegionAt(field, cursor, geometry);
+    if (region.width <= 0 || region.height <= 0) return;
+    placeFieldRegion(cursor.pageNum, region, field);
+    announce(
+      `Placed ${selectedField} on page ${cursor.pageNum} at ${describePosition(region)}, ` +
+      `${Math.round(region.width)} by ${Math.round(region.height)} points`
+    );
+  };
+
+  // Select the next (step 1) or previous (step -1) tab of the document in reading
+  // order and bring the cursor to it
+  const selectNextPlacement = (step) => {
+    const placement = cyclePlacement(documentPlacements, selectedPlacementId, step);
+    if (!placement) {
+      announce('No tabs placed yet');
+      return;
+    }
+    if (placement.pageNum !== currentPage) goToPage(placement.pageNum);
+    setSelectedPlacementId(placement.id);
+    setKeyboardCursor({ pageNum: placement.pageNum, x: placement.x, y: placement.y });
+
+    const position = readingOrder(documentPlacements).indexOf(placement) + 1;
+    announce(`${describePlacement(placement, recipientOf(placement))}. Tab ${position} of ${documentPlacements.length}`);
+  };
+
+  // Keyboard navigation, nudging, keyboard placement and undo/redo
   useEffect(() => {
     const handleKeyPress = (e) => {
-      if (!pdfDoc) return;
-      
-      if (e.key === 'ArrowRight' || e.key === 'n') {
+      // Keys already handled (the sidebar list's) are left alone
+      if (!pdfDoc || e.defaultPrevented || isEditableTarget(e.target)) return;
+
+      const key = e.key.toLowerCase();
+      if ((e.ctrlKey || e.metaKey) && key === 'z') {
+        e.preventDefault();
+        if (e.shiftKey) redo(); else undo();
+        return;
+      }
+      if ((e.ctrlKey || e.metaKey) && key === 'y') {
+        e.preventDefault();
+        redo();
+        return;
+      }
+      if (key === 'k' && !e.ctrlKey && !e.metaKey && !e.altKey) {
         e.preventDefault();
-        goToPage(currentPage + 1);
-      } else if (e.key === 'ArrowLeft' || e.key === 'p') {
+        toggleKeyboardMode();
+        return;
+      }
+
+      // The cursor, Enter and Tab only act while the pages (or nothing) have focus, so
+      // buttons and links elsewhere keep their usual keys
+      const onViewer = e.target === document.body || (viewerRef.current && viewerRef.current.contains(e.target));
+      const placing = keyboardMode && onViewer;
+      if (placing && e.key === 'Tab') {
+        e.preventDefault();
+        selectNextPlacement(e.shiftKey ? -1 : 1);
+        return;
+      }
+
+      // With a placement selected, arrows nudge it instead of moving the cursor or changing page
+      const selectedGeometry = selectedPlacement && pageGeometries[selectedPlacement.pageNum - 1];
+      if (selectedPlacement && selectedGeometry) {
+        const step = e.shiftKey ? NUDGE_STEP_LARGE : NUDGE_STEP;
+        const nudges = {
+          ArrowLeft: [-step, 0],
+          ArrowRight: [step, 0],
+          ArrowUp: [0, -step],
+          ArrowDown: [0, step]
+        };
+
+        if (nudges[e.key]) {
+          e.preventDefault();
+          const [dx, dy] = nudges[e.key];
+          setPlacements(prev => syncRepeats(
+            prev.map(p => (p.id === selectedPlacement.id ? detachCopy(detachAnchor(movePlacement(p, dx, dy, selectedGeometry))) : p)),
+            geometries
+          ));
+          if (keyboardMode) {
+            const moved = movePlacement(selectedPlacement, dx, dy, selectedGeometry);
+            setKeyboardCursor({ pageNum: moved.pageNum, x: moved.x, y: moved.y });
+            announce(`${moved.label} at ${describePosition(moved)}`);
+          }
+          return;
+        }
+        if (e.key === 'Delete' || e.key === 'Backspace') {
+          e.preventDefault();
+          handleDeletePlacement(selectedPlacement.id);
+          if (keyboardMode) announce(`Deleted ${selectedPlacement.label}`);
+          return;
+        }
+        if (e.key === 'Escape') {
+          setSelectedPlacementId(null);
+          if (keyboardMode && keyboardCursor) announce(`Deselected. Cursor at ${describePosition(keyboardCursor)}`);
+          return;
+        }
+      }
+
+      if (placing) {
+        const cursorGeometry = keyboardCursor && pageGeometries[keyboardCursor.pageNum - 1];
+        const step = e.altKey ? CURSOR_STEP_FINE : e.shiftKey ? CURSOR_STEP_LARGE : CURSOR_STEP;
+        const moves = {
+          ArrowLeft: [-step, 0],
+          ArrowRight: [step, 0],
+          ArrowUp: [0, -step],
+          ArrowDown: [0, step]
+        };
+
+        if (moves[e.key] && cursorGeometry) {
+          e.preventDefault();
+          const [dx, dy] = moves[e.key];
+          const cursor = moveCursor(keyboardCursor, dx, dy, cursorGeometry);
+          setKeyboardCursor(cursor);
+          announce(describePosition(cursor));
+          return;
+        }
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          placeAtCursor();
+          return;
+        }
+        if (e.key === 'Delete' || e.key === 'Backspace') {
+          e.preventDefault();
+          announce('No tab selected. Press Tab to select one');
+          return;
+        }
+        if (e.key === 'Escape') {
+          setKeyboardMode(false);
+          announce('Keyboard placement off');
+          return;
+        }
+      }
+
+      // Arrows are the cursor's while placing with the keyboard, so pages also turn
+      // with Page Up / Page Down and p / n
+      let targetPage = null;
+      if (e.key === 'PageDown' || e.key === 'n' || (!keyboardMode && e.key === 'ArrowRight')) {
+        targetPage = currentPage + 1;
+      } else if (e.key === 'PageUp' || e.key === 'p' || (!keyboardMode && e.key === 'ArrowLeft')) {
+        targetPage = currentPage - 1;
+      }
+      if (targetPage !== null) {
         e.preventDefault();
-        goToPage(currentPage - 1);
+        goToPage(targetPage);
+        if (keyboardMode && targetPage >= 1 && targetPage <= totalPages) {
+          announce(`Page ${targetPage} of ${totalPages}`);
+        }
       }
     };
 
     window.addEventListener('keydown', handleKeyPress);
     return () => window.removeEventListener('keydown', handleKeyPress);
-  }, [pdfDoc, currentPage, totalPages]);
+  }, [pdfDoc, currentPage, totalPages, viewMode, selectedPlacement, pageGeometries, geometries, undo, redo, setPlacements,
+    keyboardMode, keyboardCursor, placements, documentPlacements, drawMode, selectedField, fieldCatalog, recipients, comparison]);
 
-  // Get canvas coordinates from mouse event
-  const getCanvasCoordinates = (e) => {
+  // Drop the selection when it's undone away, is on another document, or leaves the
+  // page shown in single-page mode
+  useEffect(() => {
+    if (!selectedPlacementId) return;
+    if (!selectedPlacement || selectedPlacement.documentId !== activeDocumentId ||
+      (viewMode === 'single' && selectedPlacement.pageNum !== currentPage)) {
+      setSelectedPlacementId(null);
+    }
+  }, [selectedPlacementId, selectedPlacement, activeDocumentId, currentPage, viewMode]);
+
+  // Get canvas coordinates from a mouse event on a page's overlay
+  const getCanvasCoordinates = (e, geometry) => {
     try {
-      const canvas = canvasRef.current;
-      if (!canvas) return null;
+      const canvas = e.currentTarget;
+      if (!canvas || !geometry) return null;
 
       const rect = canvas.getBoundingClientRect();
       if (!rect || rect.width === 0 || rect.height === 0) return null;
 
-      const scaleX = canvas.width / rect.width;
-      const scaleY = canvas.height / rect.height;
+      // Canvas coordinates are CSS pixels of the page at the current zoom (the
+      // backing store may be larger on HiDPI screens)
+      const scaleX = geometry.canvasWidth / rect.width;
+      const scaleY = geometry.canvasHeight / rect.height;
 
       // Validate scale factors
       if (!isFinite(scaleX) || !isFinite(scaleY)) return null;
 
       const x = (e.clientX - rect.left) * scaleX;
-      let y = (e.clientY - rect.top) * scaleY;
-
-      // Apply offset correction (subtract 10 pixels from Y coordinate only)
-      y = Math.max(0, y - 10);
+      const y = (e.clientY - rect.top) * scaleY;
 
       // Validate coordinates
       if (!isFinite(x) || !isFinite(y)) return null;
@@ -181,31 +1371,363 @@ function App() {
   };
 
   // Handle click on canvas to place signature point
-  const handleCanvasClick = (e) => {
+  const handleCanvasClick = (e, pageNum) => {
     e.preventDefault(); // Prevent any default browser behavior
     e.stopPropagation(); // Stop event bubbling
 
-    const pos = getCanvasCoordinates(e);
+    // The click that ends a select/move/resize doesn't place anything
+    if (suppressClickRef.current) {
+      suppressClickRef.current = false;
+      return;
+    }
+
+    // Regions are drawn with mouse down/move/up instead, and the tabs are hidden while comparing versions
+    if (drawMode !== 'point' || comparison) return;
+
+    const geometry = renderedGeometries[pageNum];
+    const pos = getCanvasCoordinates(e, geometry);
+    if (!pos) return;
+
+    // Create point placement for the active recipient
+    const targets = snapTargetsFor(e, pageNum);
+    const points = targets
+      ? snapPoint(canvasToPoints(geometry, pos), targets, snapDistance(geometry), geometry)
+      : canvasToPoints(geometry, pos);
+    setPlacements(prev => [...prev, pointPlacementAt(pageNum, points, prev)]);
+  };
+
+  // New point placement of the active tab type and recipient, labelled after `existing`
+  const pointPlacementAt = (pageNum, points, existing) => ({
+    id: createId(),
+    documentId: activeDocumentId,
+    pageNum,
+    kind: 'point',
+    x: points.x,
+    y: points.y,
+    width: 0,
+    height: 0,
+    label: nextLabel(existing, activeTabType),
+    tabType: activeTabType,
+    recipientId: activeRecipientId
+  });
+
+
+  const findPlacementAt = (pos, pageNum, geometry) => hitTestPlacements(
+    documentPlacements.filter(p => p.pageNum === pageNum),
+    geometry,
+    pos,
+    selectedPlacementId
+  );
+
+  // What a new or moved placement on a page snaps to (see utils/measure.js), or null
+  // when snapping is off or Alt is held. `excludeId` keeps a moved tab off its own edges
+  const snapTargetsFor = (e, pageNum, excludeId = null) => {
+    if (e.altKey || !(measure.snapGrid || measure.snapBaselines || measure.snapEdges)) return null;
+    return snapTargets({
+      settings: measure,
+      baselines: baselines && baselines[pageNum - 1],
+      placements: documentPlacements.filter(p => p.pageNum === pageNum && p.id !== excludeId)
+    });
+  };
+
+  // How close snapping pulls, in points at the current zoom
+  const snapDistance = (geometry) => SNAP_DISTANCE / pixelsPerPoint(geometry);
+
+  // Snap a canvas position (a region corner being drawn): { pos, guides }
+  const snapCanvasPosition = (e, pageNum, geometry, pos) => {
+    const targets = snapTargetsFor(e, pageNum);
+    if (!targets) return { pos, guides: [] };
+    const snapped = snapPoint(canvasToPoints(geometry, pos), targets, snapDistance(geometry), geometry);
+    return { pos: pointsToCanvas(geometry, snapped), guides: snapped.guides };
+  };
+
+  const showSnapGuides = (pageNum, guides) => {
+    setSnapGuides(guides.length > 0 ? { pageNum, guides } : null);
+  };
+
+  // Select/move/resize a placement under the cursor, otherwise start drawing a region
+  const handleCanvasMouseDown = (e, pageNum) => {
+    if (e.button !== 0 || comparison) return;
+
+    const geometry = renderedGeometries[pageNum];
+    const pos = getCanvasCoordinates(e, geometry);
+    if (!pos) return;
+
+    // Working on a page makes it the current one (continuous mode shows several)
+    setCurrentPage(pageNum);
+
+    suppressClickRef.current = false;
+    const hit = findPlacementAt(pos, pageNum, geometry);
+    if (hit) {
+      e.preventDefault();
+      suppressClickRef.current = true;
+      setSelectedPlacementId(hit.placement.id);
+      dragRef.current = {
+        id: hit.placement.id,
+        pageNum,
+        handle: hit.handle,
+        start: canvasToPoints(geometry, pos),
+        original: hit.placement,
+        snapshot: placements
+      };
+      return;
+    }
+
+    setSelectedPlacementId(null);
+
+    // Clicking a proposed field selects or deselects it for the bulk actions
+    const points = canvasToPoints(geometry, pos);
+    const candidate = documentCandidates.find(c => c.pageNum === pageNum &&
+      points.x >= c.x && points.x <= c.x + c.width && points.y >= c.y && points.y <= c.y + c.height);
+    if (candidate) {
+      e.preventDefault();
+      suppressClickRef.current = true;
+      toggleCandidate(candidate.id);
+      setFocusedCandidateId(candidate.id);
+      return;
+    }
+
+    if (drawMode !== 'region' || !selectedField) return;
+    e.preventDefault();
+
+    const start = snapCanvasPosition(e, pageNum, geometry, pos).pos;
+    setDrawingRect({ pageNum, startX: start.x, startY: start.y, x: start.x, y: start.y });
+  };
+
+  // Update the placement being dragged or the region being drawn
+  const handleCanvasMouseMove = (e, pageNum) => {
+    const geometry = renderedGeometries[pageNum];
+    const pos = getCanvasCoordinates(e, geometry);
     if (!pos) return;
 
-    // Create signature point
-    const signaturePoint = {
-      x: Math.round(pos.x),
-      y: Math.round(pos.y),
-      xPoints: pixelsToPoints(pos.x),
-      yPoints: pixelsToPoints(pos.y),
-      pageNum: currentPage,
-      id: Date.now()
+    const pointer = canvasToPoints(geometry, pos);
+    if (readoutRef.current) readoutRef.current.show(pageNum, measurePoint(geometry, pointer));
+
+    // Drags and drawings stay on the page they started on
+    const drag = dragRef.current;
+    if (drag) {
+      if (drag.pageNum !== pageNum) return;
+      const targets = snapTargetsFor(e, pageNum, drag.id);
+      let edited;
+      let guides = [];
+      if (drag.handle === 'move') {
+        edited = movePlacement(drag.original, pointer.x - drag.start.x, pointer.y - drag.start.y, geometry);
+        if (targets) {
+          const snapped = snapRect(edited, targets, snapDistance(geometry));
+          edited = movePlacement(edited, snapped.x - edited.x, snapped.y - edited.y, geometry);
+          guides = snapped.guides;
+        }
+      } else {
+        const snapped = targets ? snapPoint(pointer, targets, snapDistance(geometry), geometry) : pointer;
+        edited = resizePlacement(drag.original, drag.handle, snapped, geometry);
+        guides = snapped.guides || [];
+      }
+      // Moving by hand makes anchored tabs absolute and detaches repeated copies
+      const updated = detachCopy(detachAnchor(edited));
+      previewPlacements(prev => syncRepeats(prev.map(p => (p.id === drag.id ? updated : p)), geometries));
+      showSnapGuides(pageNum, guides);
+      return;
+    }
+
+    if (!drawingRect) {
+      const hit = findPlacementAt(pos, pageNum, geometry);
+      setHoverCursor(hit ? cursorForHandle(hit.handle) : null);
+      return;
+    }
+
+    if (drawingRect.pageNum !== pageNum) return;
+    const corner = snapCanvasPosition(e, pageNum, geometry, pos);
+    setDrawingRect(prev => prev && { ...prev, x: corner.pos.x, y: corner.pos.y });
+    showSnapGuides(pageNum, corner.guides);
+  };
+
+  // Finish a drag, or finish drawing and map the region to the selected field
+  const handleCanvasMouseUp = () => {
+    setSnapGuides(null);
+    if (dragRef.current) {
+      commitPreview(dragRef.current.snapshot);
+      dragRef.current = null;
+      return;
+    }
+
+    if (!drawingRect) return;
+
+    const rect = drawingRect;
+    const geometry = renderedGeometries[rect.pageNum];
+    setDrawingRect(null);
+
+    if (!geometry) return;
+
+    const field = fieldCatalog.find(f => f.name === selectedField);
+    let region;
+    if (Math.abs(rect.x - rect.startX) < MIN_REGION_SIZE && Math.abs(rect.y - rect.startY) < MIN_REGION_SIZE) {
+      // A click places the field at its default size
+      if (!field) return;
+      region = defaultRegionAt(field, canvasToPoints(geometry, { x: rect.startX, y: rect.startY }), geometry);
+    } else {
+      if (Math.abs(rect.x - rect.startX) < MIN_REGION_SIZE || Math.abs(rect.y - rect.startY) < MIN_REGION_SIZE) return;
+      region = canvasRectToPoints(
+        geometry,
+        { x: rect.startX, y: rect.startY },
+        { x: rect.x, y: rect.y }
+      );
+    }
+    if (region.width <= 0 || region.height <= 0) return;
+
+    placeFieldRegion(rect.pageNum, region, field);
+  };
+
+  // A catalog field at its default size with its top-left corner at `start` (in
+  // points), moved back onto the page where it would overhang
+  const defaultRegionAt = (field, start, geometry) => {
+    const x = Math.min(start.x, Math.max(0, geometry.width - field.width));
+    const y = Math.min(start.y, Math.max(0, geometry.height - field.height));
+    return {
+      x,
+      y,
+      width: Math.min(field.width, geometry.width - x),
+      height: Math.min(field.height, geometry.height - y)
     };
+  };
+
+  // Map the selected field to `region` on a page of the active document
+  const placeFieldRegion = (pageNum, region, field) => {
+    // The field's default role picks the recipient, otherwise the active one
+    const roleRecipient = field && field.role && recipients.find(r => r.role === field.role);
+
+    // A field maps to a single region, so drawing again replaces it
+    setPlacements(prev => [
+      ...prev.filter(p => !(p.kind === 'region' && p.label === selectedField)),
+      {
+        id: createId(),
+        documentId: activeDocumentId,
+        pageNum,
+        kind: 'region',
+        ...region,
+        label: selectedField,
+        tabType: field ? field.tabType : guessTabType(selectedField),
+        recipientId: roleRecipient ? roleRecipient.id : activeRecipientId,
+        ...(field && field.tabType === 'text' && field.pattern ? { validationPattern: field.pattern } : {})
+      }
+    ]);
+    setSaveStatus({ state: 'idle', errors: [] });
+  };
+
+  // Leaving the page ends a drag and clears the cursor readout
+  const handleCanvasMouseLeave = () => {
+    if (readoutRef.current) readoutRef.current.show(null);
+    handleCanvasMouseUp();
+  };
+
+  // Keep mapped regions attached to a catalog field when it's renamed
+  const handleRenameField = (from, to) => {
+    setPlacements(prev => prev.map(p => (p.kind === 'region' && p.label === from ? { ...p, label: to } : p)));
+    setSelectedField(prev => (prev === from ? to : prev));
+  };
+
+  // Editing a repeated copy detaches it; editing a master updates its copies
+  const handleUpdatePlacement = (id, changes) => {
+    setPlacements(prev => syncRepeats(
+      prev.map(p => (p.id === id ? { ...detachCopy(p), ...changes } : p)),
+      geometries
+    ));
+  };
+
+  // Deleting a master deletes its repeated copies too
+  const handleDeletePlacement = (id) => {
+    setPlacements(prev => prev.filter(p => p.id !== id && !(p.repeat && p.repeat.masterId === id)));
+    if (selectedPlacementId === id) setSelectedPlacementId(null);
+  };
+
+  // Copy a placement to the pages picked by { mode, from, to } (see utils/repeat.js)
+  const handleRepeatPlacement = (id, selection) => {
+    setPlacements((prev) => {
+      const master = prev.find(p => p.id === id);
+      const masterGeometries = master && geometries[master.documentId];
+      return masterGeometries
+        ? repeatPlacement(prev, master, selectPages(selection, masterGeometries.length), masterGeometries)
+        : prev;
+    });
+  };
+
+  const handleDetachCopy = (id) => {
+    setPlacements(prev => prev.map(p => (p.id === id ? detachCopy(p) : p)));
+  };
 
-    setSignaturePoints(prev => [...prev, signaturePoint]);
-    drawCanvas();
+  const handleRemoveCopies = (masterId) => {
+    setPlacements(prev => prev.filter(p => !(p.repeat && p.repeat.masterId === masterId)));
   };
 
+  const handleAddRecipient = () => {
+    const recipient = createRecipient(recipients.length);
+    setRecipients(prev => [...prev, recipient]);
+    setActiveRecipientId(recipient.id);
+  };
+
+  const handleUpdateRecipient = (id, changes) => {
+    setRecipients(prev => prev.map(r => (r.id === id ? { ...r, ...changes } : r)));
+  };
+
+  // Remove a recipient and hand their tabs to the first remaining recipient
+  const handleRemoveRecipient = (id) => {
+    const remaining = recipients.filter(r => r.id !== id);
+    if (remaining.length === 0) return;
+
+    const assigned = placements.filter(p => p.recipientId === id).length;
+    if (assigned > 0 && !window.confirm(`Reassign ${assigned} tab${assigned === 1 ? '' : 's'} to ${remaining[0].name}?`)) {
+      return;
+    }
+
+    setRecipients(remaining);
+    setPlacements(prev => prev.map(p => (p.recipientId === id ? { ...p, recipientId: remaining[0].id } : p)));
+    if (activeRecipientId === id) setActiveRecipientId(remaining[0].id);
+    if (recipientFilter === id) setRecipientFilter('all');
+  };
+
+  // Save all field mappings to the backend
+  const handleSaveFields = async () => {
+    setSaveStatus({ state: 'saving', errors: [] });
+    try {
+      const result = await saveFields(writeMapping('normalized', { placements, recipients, documents }));
+      markSaved();
+      setSaveStatus({
+        state: 'saved',
+        errors: [],
+        message: result.queued
+          ? 'Offline: the fields will be saved when the backend can be reached'
+          : `Saved ${result.fields_count} field${result.fields_count === 1 ? '' : 's'} to ${result.filename}`
+      });
+    } catch (error) {
+      console.error('Error saving fields:', error);
+      setSaveStatus({ state: 'error', errors: error.messages || [error.message] });
+    }
+  };
+
+  // Jump to what a lint issue is about: its placement, the unmapped field or the recipient
+  const handleSelectLintIssue = (issue) => {
+    if (issue.placementIds.length > 0) {
+      if (issue.documentId !== activeDocumentId && geometries[issue.documentId]) {
+        showDocument(issue.documentId, issue.pageNum);
+      } else if (issue.pageNum !== currentPage) {
+        goToPage(issue.pageNum);
+      }
+      setSelectedPlacementId(issue.placementIds[0]);
+    } else if (issue.field) {
+      setDrawMode('region');
+      setSelectedField(issue.field);
+    } else if (issue.recipientId) {
+      setActiveRecipientId(issue.recipientId);
+      setActiveTabType('signHere');
+      setDrawMode('point');
+    }
+  };
 
-  // Clear all signature points on current page
+  // Clear all placements on current page
   const handleClearPage = () => {
-    setSignaturePoints(prev => prev.filter(point => point.pageNum !== currentPage));
+    setPlacements(prev => syncRepeats(
+      prev.filter(p => !(p.documentId === activeDocumentId && p.pageNum === currentPage)),
+      geometries
+    ));
   };
 
   // Handle page jump input
@@ -224,52 +1746,305 @@ function App() {
     }
   };
 
-  // Canvas drawing function for signature points
-  const drawCanvas = () => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
+  // Showing the fill preview fills in sample values for fields that don't have one yet.
+  // Placements, selection and history are untouched, so editing carries on where it was.
+  const togglePreview = () => {
+    if (!previewing) {
+      setFillPreview(prev => ({ ...prev, values: generateSampleValues(placements, prev.values) }));
+    }
+    setPreviewing(prev => !prev);
+  };
+
+  const previewLayout = useMemo(() => {
+    if (!previewing) return [];
+    if (!measureTextRef.current) measureTextRef.current = createTextMeasurer();
+    return layoutPreview({ placements: documentPlacements, recipients, preview: fillPreview, measureText: measureTextRef.current });
+  }, [previewing, documentPlacements, recipients, fillPreview]);
+
+  // A placement's preview value: the typed value in the preview font, or a mock signature
+  const drawPreviewItem = (ctx, geometry, item, color) => {
+    const { placement, text, signature, overflows } = item;
+    const pixelsPerPoint = geometry.canvasWidth / geometry.width;
+    const ink = '#1e3a8a';
+
+    if (placement.kind === 'point') {
+      const { x, y } = pointsToCanvas(geometry, placement);
+      drawMarker(ctx, 'cross', x, y, withAlpha(color, 0.5));
+      if (signature) {
+        drawSignatureGlyph(ctx, text, x, y - 30 * pixelsPerPoint, 120 * pixelsPerPoint, 36 * pixelsPerPoint, ink);
+      } else if (text) {
+        const size = fillPreview.fontSize * pixelsPerPoint;
+        drawPreviewText(ctx, text, x, y - size, size, previewFont(fillPreview.font, size), ink);
+      }
+      return;
+    }
+
+    const { left, top, width, height } = pointsRectToCanvas(geometry, placement);
+    ctx.setLineDash(overflows ? [] : [3, 3]);
+    ctx.fillStyle = overflows ? 'rgba(220, 38, 38, 0.15)' : withAlpha(color, 0.06);
+    ctx.fillRect(left, top, width, height);
+    ctx.strokeStyle = overflows ? '#dc2626' : withAlpha(color, 0.6);
+    ctx.lineWidth = overflows ? 2 : 1;
+    ctx.strokeRect(left, top, width, height);
+    ctx.setLineDash([]);
+
+    if (signature) {
+      drawSignatureGlyph(ctx, text, left, top, width, height, ink);
+    } else if (text) {
+      const size = fillPreview.fontSize * pixelsPerPoint;
+      const padding = PREVIEW_PADDING * pixelsPerPoint;
+      // Overflowing values are drawn in full so you can see how far they run over
+      drawPreviewText(ctx, text, left + padding, top + padding, size, previewFont(fillPreview.font, size), overflows ? '#b91c1c' : ink);
+    }
+    if (overflows) {
+      ctx.fillStyle = '#dc2626';
+      ctx.font = 'bold 12px Arial';
+      ctx.fillText('⚠ overflows', left + 2, Math.max(12, top - 4));
+    }
+  };
+
+  // Fields of two compared versions: removed ones dashed where they were, added and
+  // changed ones where they are, moved ones at both with a line from old to new
+  const drawComparison = (ctx, geometry, pageNum) => {
+    const onPage = (rect) => rect && rect.pageNum === pageNum;
+    const drawRect = (rect, color, dashed, label) => {
+      const { left, top, width, height } = pointsRectToCanvas(geometry, rect);
+      ctx.setLineDash(dashed ? [6, 4] : []);
+      ctx.fillStyle = withAlpha(color, dashed ? 0.08 : 0.2);
+      ctx.fillRect(left, top, width, height);
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 2;
+      ctx.strokeRect(left, top, width, height);
+      if (label) {
+        ctx.fillStyle = color;
+        ctx.font = 'bold 12px Arial';
+        ctx.fillText(label, left + 2, Math.max(12, top - 4));
+      }
+    };
+    const center = (rect) => {
+      const { left, top, width, height } = pointsRectToCanvas(geometry, rect);
+      return { x: left + width / 2, y: top + height / 2 };
+    };
+
+    ctx.save();
+    comparisonShapes.forEach(({ label, status, before, after }) => {
+      const { color } = DIFF_STATUSES[status];
+      if (status === 'removed') {
+        if (onPage(before)) drawRect(before, color, true, `− ${label}`);
+        return;
+      }
+      if (status === 'moved') {
+        if (onPage(before)) drawRect(before, color, true, onPage(after) ? null : `${label} (moved to page ${after ? after.pageNum : '?'})`);
+        if (onPage(after)) drawRect(after, color, false, `→ ${label}`);
+        if (onPage(before) && onPage(after)) {
+          const from = center(before);
+          const to = center(after);
+          ctx.setLineDash([]);
+          ctx.strokeStyle = color;
+          ctx.lineWidth = 1.5;
+          ctx.beginPath();
+          ctx.moveTo(from.x, from.y);
+          ctx.lineTo(to.x, to.y);
+          ctx.stroke();
+        }
+        return;
+      }
+      if (onPage(after)) {
+        drawRect(after, color, false, status === 'added' ? `+ ${label}` : status === 'changed' ? `~ ${label}` : label);
+      }
+    });
+    ctx.restore();
+  };
+
+  // Canvas drawing function for the placements on one page's overlay
+  const drawCanvas = (canvas, pageNum, geometry) => {
 
     const ctx = canvas.getContext('2d');
     if (!ctx) return;
 
     try {
-      // Clear canvas
+      // Clear canvas, then draw in CSS pixels on the device-pixel backing store
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
       ctx.clearRect(0, 0, canvas.width, canvas.height);
+      ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
 
-      // Draw signature points for current page
-      signaturePoints.forEach((point) => {
-        if (point.pageNum === currentPage) {
-          // Draw a cross marker at the point
-          const crossSize = 10;
-          ctx.strokeStyle = '#dc2626'; // Red color
-          ctx.lineWidth = 3;
-          ctx.setLineDash([]);
+      const recipientById = Object.fromEntries(recipients.map(r => [r.id, r]));
+      const previewById = new Map(previewLayout.map(item => [item.placement.id, item]));
 
-          // Draw cross lines
-          ctx.beginPath();
-          ctx.moveTo(point.x - crossSize, point.y);
-          ctx.lineTo(point.x + crossSize, point.y);
-          ctx.moveTo(point.x, point.y - crossSize);
-          ctx.lineTo(point.x, point.y + crossSize);
-          ctx.stroke();
+      // Grid under everything else
+      if (measure.grid) {
+        const { xs, ys } = gridLines(geometry, measure.gridSize);
+        ctx.strokeStyle = 'rgba(59, 130, 246, 0.18)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        xs.forEach((x) => {
+          ctx.moveTo(x, 0);
+          ctx.lineTo(x, geometry.canvasHeight);
+        });
+        ys.forEach((y) => {
+          ctx.moveTo(0, y);
+          ctx.lineTo(geometry.canvasWidth, y);
+        });
+        ctx.stroke();
+      }
 
-          // Draw circle around the point
-          ctx.beginPath();
-          ctx.arc(point.x, point.y, 8, 0, 2 * Math.PI);
-          ctx.strokeStyle = '#dc2626';
+      // Highlight anchor text matches
+      textMatches.forEach((match) => {
+        if (match.pageNum !== pageNum) return;
+        const { left, top, width, height } = pointsRectToCanvas(geometry, match);
+        const isSelected = match.id === selectedMatchId;
+        ctx.fillStyle = isSelected ? 'rgba(250, 204, 21, 0.55)' : 'rgba(250, 204, 21, 0.3)';
+        ctx.fillRect(left - 1, top - 1, width + 2, height + 2);
+        if (isSelected) {
+          ctx.strokeStyle = '#ca8a04';
           ctx.lineWidth = 2;
-          ctx.stroke();
+          ctx.strokeRect(left - 1, top - 1, width + 2, height + 2);
+        }
+      });
+
+      // Proposed fields, dashed until accepted; the ones selected for the bulk actions filled
+      documentCandidates.forEach((candidate) => {
+        if (candidate.pageNum !== pageNum) return;
+        const { left, top, width, height } = pointsRectToCanvas(geometry, candidate);
+        ctx.save();
+        ctx.setLineDash([5, 3]);
+        ctx.strokeStyle = '#0d9488';
+        ctx.lineWidth = candidate.id === focusedCandidateId ? 3 : 1.5;
+        if (candidate.selected) {
+          ctx.fillStyle = 'rgba(13, 148, 136, 0.15)';
+          ctx.fillRect(left, top, width, height);
+        }
+        ctx.strokeRect(left, top, width, height);
+        ctx.fillStyle = '#0f766e';
+        ctx.font = '11px Arial';
+        ctx.fillText(`? ${candidate.label || TAB_TYPES[candidate.tabType].label} · ${TAB_TYPES[candidate.tabType].label}`, left + 2, Math.max(11, top - 3));
+        ctx.restore();
+      });
+
+      // Draw placements for this page in their recipient's colour, or the compared
+      // versions instead of them
+      if (comparison) {
+        drawComparison(ctx, geometry, pageNum);
+      }
+      documentPlacements.forEach((placement) => {
+        if (comparison || placement.pageNum !== pageNum) return;
+
+        const recipient = recipientById[placement.recipientId];
+        const color = recipient ? recipient.color : '#dc2626';
+
+        if (previewing) {
+          drawPreviewItem(ctx, geometry, previewById.get(placement.id), color);
+          return;
+        }
+
+        if (placement.kind === 'point') {
+          const { x, y } = pointsToCanvas(geometry, placement);
+          drawMarker(ctx, recipient ? recipient.shape : 'cross', x, y, color);
 
           // Draw coordinate label
-          ctx.fillStyle = '#dc2626';
+          ctx.fillStyle = color;
           ctx.font = 'bold 14px Arial';
-          ctx.fillText(`Points: (${point.xPoints}, ${point.yPoints})`, point.x + 15, point.y - 10);
+          ctx.fillText(`${placement.label}: (${Math.round(placement.x)}, ${Math.round(placement.y)})`, x + 15, y - 10);
+          return;
         }
+
+        const { left, top, width, height } = pointsRectToCanvas(geometry, placement);
+        const isSelected = placement.id === selectedPlacementId ||
+          (drawMode === 'region' && placement.label === selectedField);
+
+        ctx.setLineDash([]);
+        ctx.fillStyle = withAlpha(color, isSelected ? 0.3 : 0.15);
+        ctx.fillRect(left, top, width, height);
+        ctx.strokeStyle = color;
+        ctx.lineWidth = isSelected ? 3 : 2;
+        ctx.strokeRect(left, top, width, height);
+
+        ctx.fillStyle = color;
+        ctx.font = 'bold 12px Arial';
+        ctx.fillText(`${placement.label} · ${TAB_TYPES[placement.tabType].label}`, left + 2, Math.max(12, top - 4));
       });
+
+      // Highlight the selected placement, with resize handles on regions
+      if (selectedPlacement && selectedPlacement.pageNum === pageNum && !comparison) {
+        ctx.save();
+        ctx.strokeStyle = '#111827';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 3]);
+
+        if (selectedPlacement.kind === 'point') {
+          const { x, y } = pointsToCanvas(geometry, selectedPlacement);
+          ctx.strokeRect(x - 14, y - 14, 28, 28);
+        } else {
+          const { left, top, width, height } = pointsRectToCanvas(geometry, selectedPlacement);
+          ctx.strokeRect(left - 3, top - 3, width + 6, height + 6);
+
+          ctx.setLineDash([]);
+          ctx.fillStyle = 'white';
+          Object.values(getHandlePositions(geometry, selectedPlacement)).forEach(({ x, y }) => {
+            ctx.fillRect(x - HANDLE_SIZE / 2, y - HANDLE_SIZE / 2, HANDLE_SIZE, HANDLE_SIZE);
+            ctx.strokeRect(x - HANDLE_SIZE / 2, y - HANDLE_SIZE / 2, HANDLE_SIZE, HANDLE_SIZE);
+          });
+        }
+        ctx.restore();
+      }
+
+      // Draw the region currently being dragged
+      if (drawingRect && drawingRect.pageNum === pageNum) {
+        ctx.setLineDash([6, 4]);
+        ctx.strokeStyle = '#3b82f6';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(
+          Math.min(drawingRect.startX, drawingRect.x),
+          Math.min(drawingRect.startY, drawingRect.y),
+          Math.abs(drawingRect.x - drawingRect.startX),
+          Math.abs(drawingRect.y - drawingRect.startY)
+        );
+        ctx.setLineDash([]);
+      }
+
+      // Lines the placement being dragged snapped to
+      if (snapGuides && snapGuides.pageNum === pageNum) {
+        ctx.strokeStyle = '#db2777';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        snapGuides.guides.forEach(({ axis, value }) => {
+          const position = pointsToCanvas(geometry, axis === 'x' ? { x: value, y: 0 } : { x: 0, y: value });
+          if (axis === 'x') {
+            ctx.moveTo(position.x, 0);
+            ctx.lineTo(position.x, geometry.canvasHeight);
+          } else {
+            ctx.moveTo(0, position.y);
+            ctx.lineTo(geometry.canvasWidth, position.y);
+          }
+        });
+        ctx.stroke();
+      }
+
+      // Keyboard cursor on top: crosshair lines across the page and a ring at the position
+      if (keyboardMode && keyboardCursor && keyboardCursor.pageNum === pageNum) {
+        const position = pointsToCanvas(geometry, keyboardCursor);
+        ctx.strokeStyle = 'rgba(124, 58, 237, 0.4)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(position.x, 0);
+        ctx.lineTo(position.x, geometry.canvasHeight);
+        ctx.moveTo(0, position.y);
+        ctx.lineTo(geometry.canvasWidth, position.y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.strokeStyle = '#7c3aed';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(position.x, position.y, 8, 0, Math.PI * 2);
+        ctx.stroke();
+      }
     } catch (error) {
       console.error('Error drawing canvas:', error);
       // Clear canvas on error
       try {
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
         ctx.clearRect(0, 0, canvas.width, canvas.height);
       } catch (clearError) {
         console.error('Error clearing canvas after draw error:', clearError);
@@ -277,10 +2052,71 @@ function App() {
     }
   };
 
-  // Update canvas when page or signature points change
+  // Redraw every mounted page overlay when placements, recipients or selection change
   useEffect(() => {
-    drawCanvas();
-  }, [signaturePoints, currentPage]);
+    overlayRefs.current.forEach((canvas, pageNum) => {
+      const geometry = renderedGeometries[pageNum];
+      if (geometry) drawCanvas(canvas, pageNum, geometry);
+    });
+  }, [documentPlacements, recipients, drawMode, selectedField, selectedPlacementId, drawingRect, renderedGeometries, pixelRatio, textMatches, selectedMatchId, previewing, previewLayout, measure, snapGuides, documentCandidates, focusedCandidateId,
+    keyboardMode, keyboardCursor, comparisonShapes]);
+
+  const registerOverlay = useCallback((pageNum, canvas) => {
+    if (canvas) overlayRefs.current.set(pageNum, canvas); else overlayRefs.current.delete(pageNum);
+  }, []);
+
+  const registerSlot = useCallback((pageNum, element) => {
+    if (element) slotRefs.current.set(pageNum, element); else slotRefs.current.delete(pageNum);
+  }, []);
+
+  // Keep a page's overlay sized to the rendered page. Memoized so PDFViewer doesn't re-render on every state change.
+  // Placements are stored in points, so they stay anchored to the page at any zoom.
+  const handlePageRender = useCallback((pageNum, width, height, scale, viewport) => {
+    setRenderedGeometries(prev => ({ ...prev, [pageNum]: createPageGeometry(viewport, width, height) }));
+    const canvas = overlayRefs.current.get(pageNum);
+    if (canvas) {
+      canvas.width = Math.round(width * pixelRatio);
+      canvas.height = Math.round(height * pixelRatio);
+      canvas.style.width = `${width}px`;
+      canvas.style.height = `${height}px`;
+    }
+    if (pageNum === currentPageRef.current) {
+      handleRendered(scale);
+    }
+  }, [pixelRatio, handleRendered]);
+
+  const fieldMappings = useMemo(
+    () => toFieldMappings(placements, geometries),
+    [placements, geometries]
+  );
+  const fieldDetails = useMemo(() => toFieldDetails(placements), [placements]);
+
+  // Document names for lists that span the envelope, only needed with more than one
+  const documentNames = useMemo(
+    () => (documents.length > 1 ? Object.fromEntries(documents.map(d => [d.documentId, d.name])) : {}),
+    [documents]
+  );
+  const tabCounts = useMemo(() => countByDocument(placements), [placements]);
+
+  const mappedCount = Object.keys(fieldMappings).length;
+  const catalogMappedCount = fieldCatalog.filter(field => fieldMappings[field.name]).length;
+
+  const tabsPayload = useMemo(
+    () => writeMapping('tabs', { placements, recipients, documents }),
+    [placements, recipients, documents]
+  );
+
+  const requiredFields = useMemo(
+    () => fieldCatalog.filter(field => field.required).map(field => field.name),
+    [fieldCatalog]
+  );
+
+  const lintIssues = useMemo(
+    () => lintPlacements({ placements, recipients, geometries, words: lintWords, documentNames, requiredFields }),
+    [placements, recipients, geometries, lintWords, documentNames, requiredFields]
+  );
+
+  const lintErrorCount = lintIssues.filter(issue => issue.severity === 'error').length;
 
   return (
     <div className="app">
@@ -292,9 +2128,20 @@ function App() {
         {pdfFileName && (
           <div className="file-info">
             <span className="file-name">{pdfFileName}</span>
+            {documents.length > 1 && (
+              <span className="file-envelope">Document {activeDocumentId} of an envelope of {documents.length}</span>
+            )}
           </div>
         )}
         <div className="header-actions">
+          <SyncStatus
+            pending={sync.pending}
+            online={sync.online}
+            syncing={sync.syncing}
+            rejected={sync.rejected}
+            onSync={sync.syncNow}
+            onDismissRejected={sync.dismissRejected}
+          />
           {pdfDoc && (
             <button onClick={handleHome} className="btn btn-primary">
               🏠 Home
@@ -303,12 +2150,27 @@ function App() {
         </div>
       </header>
 
+      {loadProgress && (
+        <div className="load-progress" role="status">
+          <span>
+            Loading {loadProgress.name}…
+            {loadProgress.total > 0 && ` ${Math.min(100, Math.round((loadProgress.loaded / loadProgress.total) * 100))}%`}
+          </span>
+          <progress
+            max={loadProgress.total || undefined}
+            value={loadProgress.total > 0 ? loadProgress.loaded : undefined}
+          />
+          <button onClick={cancelLoading} className="btn btn-sm btn-secondary">Cancel</button>
+        </div>
+      )}
+
       <div className="app-content">
         {!pdfDoc ? (
-          <div className="empty-state">
+          <div className="empty-state" onDragOver={(e) => e.preventDefault()} onDrop={handleEmptyStateDrop}>
             <input
               type="file"
               accept="application/pdf"
+              multiple
               onChange={handleFileUpload}
               id="pdf-upload"
               style={{ display: 'none' }}
@@ -316,68 +2178,211 @@ function App() {
             <label htmlFor="pdf-upload" className="btn btn-primary btn-upload">
               📄 Upload PDF
             </label>
-            <p className="upload-hint">Upload a PDF to get started</p>
+            <p className="upload-hint">Upload or drop one or more PDFs to get started, or open one from the web</p>
+            <RemotePdfForm onOpenUrl={handleOpenUrl} onOpenUpload={handleOpenUpload} />
+            <RecentSessions
+              sessions={recentSessions}
+              onOpen={handleOpenSession}
+              onDelete={handleDeleteSession}
+            />
           </div>
         ) : (
           <>
             <div className="sidebar">
-              <div className="rectangles-list">
-                <h3>Signature Points on Page {currentPage}</h3>
-                <div className="coordinate-info">
-                  <p className="rectangles-hint">
-                    <strong>Single Click Only:</strong> Click on the PDF where you want to place a signature (no dragging)
-                  </p>
-                  <div className="docusign-info">
-                    <small><strong>DocuSign Points:</strong> 72 DPI coordinate system</small><br/>
-                    <small>Letter page: 612×792 points (8.5"×11")</small><br/>
-                    <small>Conversion: UI pixels → DocuSign points</small>
-                  </div>
-                </div>
+              <DocumentSwitcher
+                documents={documents}
+                activeDocumentId={activeDocumentId}
+                tabCounts={tabCounts}
+                onSelect={(documentId) => showDocument(documentId)}
+                onMove={handleMoveDocument}
+                onRemove={handleRemoveDocument}
+                onAddFiles={handleAddDocuments}
+              />
 
-                {signaturePoints.filter(p => p.pageNum === currentPage).length === 0 ? (
-                  <p className="no-rectangles">No signature points placed yet</p>
-                ) : (
-                  <div className="rectangle-items">
-                    {signaturePoints
-                      .filter(p => p.pageNum === currentPage)
-                      .map((point) => (
-                        <div key={point.id} className="rectangle-item">
-                          <div className="rect-info">
-                            <div className="rect-coords">
-                              <span className="coord-label">DocuSign Points:</span> ({point.xPoints}, {point.yPoints})
-                            </div>
-                            <div className="rect-inches">
-                              Inches: ({(point.xPoints/72).toFixed(2)}", {(point.yPoints/72).toFixed(2)}")
-                            </div>
-                          </div>
-                          <div className="point-status">
-                            <span className="point-checkmark">✓</span>
-                          </div>
-                        </div>
-                      ))}
-                  </div>
-                )}
+              <div className="mode-toggle">
+                <button
+                  onClick={() => setDrawMode('point')}
+                  className={`mode-button ${drawMode === 'point' ? 'active' : ''}`}
+                >
+                  ✛ Points
+                </button>
+                <button
+                  onClick={() => setDrawMode('region')}
+                  className={`mode-button ${drawMode === 'region' ? 'active' : ''}`}
+                >
+                  ▭ Regions
+                </button>
+              </div>
 
-                {signaturePoints.filter(p => p.pageNum === currentPage).length > 0 && (
-                  <div className="points-summary">
-                    <div className="summary-item">
-                      <strong>Points on this page:</strong> {signaturePoints.filter(p => p.pageNum === currentPage).length}
-                    </div>
+              <RecipientPanel
+                recipients={recipients}
+                activeRecipientId={activeRecipientId}
+                onSelectRecipient={setActiveRecipientId}
+                onAddRecipient={handleAddRecipient}
+                onUpdateRecipient={handleUpdateRecipient}
+                onRemoveRecipient={handleRemoveRecipient}
+              />
+
+              {drawMode === 'region' ? (
+                <div className="rectangles-list">
+                  {editingCatalog ? (
+                    <FieldCatalogEditor
+                      catalog={fieldCatalog}
+                      recipients={recipients}
+                      onChange={setFieldCatalog}
+                      onRenameField={handleRenameField}
+                      onClose={() => setEditingCatalog(false)}
+                    />
+                  ) : (
+                    <FieldList
+                      fields={fieldCatalog}
+                      selectedField={selectedField}
+                      onSelectField={setSelectedField}
+                      fieldMappings={fieldMappings}
+                      fieldDetails={fieldDetails}
+                      documentNames={documentNames}
+                      activeDocumentId={activeDocumentId}
+                      currentPage={currentPage}
+                      onEditCatalog={() => setEditingCatalog(true)}
+                    />
+                  )}
+
+                  <div className="save-panel">
                     <div className="summary-item">
-                      <strong>Total points:</strong> {signaturePoints.length}
-                    </div>
-                    <div className="clear-action">
-                      <span
-                        onClick={handleClearPage}
-                        className="clear-all-link"
-                        title="Clear all points on this page"
-                      >
-                        Clear All
-                      </span>
+                      <strong>Mapped fields:</strong> {catalogMappedCount} of {fieldCatalog.length}
                     </div>
+                    <button
+                      onClick={handleSaveFields}
+                      className="btn btn-success btn-save"
+                      disabled={mappedCount === 0 || lintErrorCount > 0 || saveStatus.state === 'saving'}
+                      title={lintErrorCount > 0 ? 'Fix the errors listed under Checks first' : undefined}
+                    >
+                      {saveStatus.state === 'saving' ? 'Saving...' : '💾 Save Fields'}
+                    </button>
+                    {saveStatus.state === 'saved' && (
+                      <p className="save-message">{saveStatus.message}</p>
+                    )}
+                    {saveStatus.errors.length > 0 && (
+                      <ul className="save-errors">
+                        {saveStatus.errors.map((error, index) => (
+                          <li key={index}>{error}</li>
+                        ))}
+                      </ul>
+                    )}
                   </div>
-                )}
-              </div>
+                </div>
+              ) : (
+                <div className="placement-options">
+                  <p className="rectangles-hint">
+                    <strong>Single Click Only:</strong> Click on the PDF where you want to place a tab (no dragging)
+                  </p>
+                  <label className="option-label">
+                    New tab type
+                    <select value={activeTabType} onChange={(e) => setActiveTabType(e.target.value)}>
+                      {Object.entries(TAB_TYPES).map(([type, { label }]) => (
+                        <option key={type} value={type}>{label}</option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+              )}
+
+              {previewing && (
+                <FillPreviewPanel
+                  placements={documentPlacements}
+                  preview={fillPreview}
+                  layout={previewLayout}
+                  onChange={setFillPreview}
+                  onSelectPlacement={setSelectedPlacementId}
+                />
+              )}
+
+              <MeasurePanel settings={measure} onChange={setMeasure} />
+
+              <PlacementList
+                placements={documentPlacements}
+                currentPage={currentPage}
+                pageGeometry={pageGeometry}
+                recipients={recipients}
+                recipientFilter={recipientFilter}
+                onRecipientFilterChange={setRecipientFilter}
+                selectedPlacementId={selectedPlacementId}
+                onSelectPlacement={setSelectedPlacementId}
+                onUpdatePlacement={handleUpdatePlacement}
+                onDeletePlacement={handleDeletePlacement}
+                totalPages={totalPages}
+                onRepeatPlacement={handleRepeatPlacement}
+                onDetachCopy={handleDetachCopy}
+                onRemoveCopies={handleRemoveCopies}
+                onClearPage={handleClearPage}
+              />
+
+              <DetectPanel
+                candidates={documentCandidates}
+                status={detection}
+                focusedId={focusedCandidateId}
+                onDetect={handleDetectFields}
+                onToggle={toggleCandidate}
+                onSelectAll={(selected) => setCandidates(prev => prev.map(c => (c.documentId === activeDocumentId ? { ...c, selected } : c)))}
+                onFocus={handleFocusCandidate}
+                onAccept={handleAcceptCandidates}
+                onReject={handleRejectCandidates}
+                onRetype={(tabType) => updateSelectedCandidates(c => ({ ...c, tabType }))}
+              />
+
+              <AnchorSearchPanel
+                matches={textMatches}
+                searchStatus={searchStatus}
+                selectedMatchId={selectedMatchId}
+                tabType={activeTabType}
+                recipients={recipients}
+                rules={anchorRules}
+                onSearch={handleTextSearch}
+                onClear={clearTextMatches}
+                onSelectMatch={handleSelectMatch}
+                onPlaceAtMatch={handlePlaceAtMatch}
+                onCreateRule={handleCreateAnchorRule}
+                onApplyRule={handleApplyAnchorRule}
+                onRemoveRule={handleRemoveAnchorRule}
+              />
+
+              <TemplatePanel
+                fingerprint={fingerprint}
+                activeTemplate={activeTemplate && activeTemplate.documentId === activeDocumentId ? activeTemplate : null}
+                onSaveNew={handleSaveTemplate}
+                onUpdate={handleUpdateTemplate}
+                onApply={handleApplyTemplate}
+                onRenamed={handleTemplateRenamed}
+                onDeleted={handleTemplateDeleted}
+              />
+
+              <ImportPanel
+                onImportWidgets={handleImportWidgets}
+                onImportJson={handleImportJson}
+                onImportSaved={handleImportSaved}
+              />
+
+              <HistoryPanel
+                geometries={geometries}
+                activeDocumentId={activeDocumentId}
+                getCurrentVersion={() => currentVersion(placements, geometries, recipients)}
+                comparison={comparison}
+                onCompare={setComparison}
+                onRestore={handleRestoreVersion}
+                onShowPage={goToPage}
+              />
+
+              <LintPanel issues={lintIssues} textStatus={lintTextStatus} onSelectIssue={handleSelectLintIssue} />
+
+              <ExportPanel
+                tabsPayload={tabsPayload}
+                fileName={documents[0].name}
+                errorCount={lintErrorCount}
+                onSaved={markSaved}
+                documents={documents}
+                placements={placements}
+                recipients={recipients}
+              />
             </div>
 
             <div className="main-viewer" ref={containerRef}>
@@ -419,44 +2424,185 @@ function App() {
                 >
                   Next →
                 </button>
-                <span className="keyboard-hint">(Use ← → or n/p keys)</span>
+                <div className="history-controls">
+                  <button onClick={undo} disabled={!canUndo} className="btn btn-sm" title="Undo (Ctrl+Z)">
+                    ↶ Undo
+                  </button>
+                  <button onClick={redo} disabled={!canRedo} className="btn btn-sm" title="Redo (Ctrl+Shift+Z)">
+                    ↷ Redo
+                  </button>
+                </div>
+                <div className="zoom-controls">
+                  <button onClick={zoomOut} className="btn btn-sm" title="Zoom out (Ctrl+wheel)">−</button>
+                  <span className="zoom-level">{Math.round(zoomLevel * 100)}%</span>
+                  <button onClick={zoomIn} className="btn btn-sm" title="Zoom in (Ctrl+wheel)">+</button>
+                  <button
+                    onClick={fitWidth}
+                    className={`btn btn-sm ${zoom.mode === 'fit-width' ? 'active' : ''}`}
+                  >
+                    Fit width
+                  </button>
+                  <button
+                    onClick={fitPage}
+                    className={`btn btn-sm ${zoom.mode === 'fit-page' ? 'active' : ''}`}
+                  >
+                    Fit page
+                  </button>
+                  <button onClick={actualSize} className="btn btn-sm" title="Actual size">100%</button>
+                  <button
+                    onClick={() => setPanMode(prev => !prev)}
+                    className={`btn btn-sm ${panMode ? 'active' : ''}`}
+                    title="Pan mode (or hold Space, or drag with the middle button)"
+                  >
+                    ✋ Pan
+                  </button>
+                </div>
+                <div className="view-controls">
+                  <button
+                    onClick={() => setViewMode('single')}
+                    className={`btn btn-sm ${viewMode === 'single' ? 'active' : ''}`}
+                  >
+                    Single page
+                  </button>
+                  <button
+                    onClick={() => setViewMode('continuous')}
+                    className={`btn btn-sm ${viewMode === 'continuous' ? 'active' : ''}`}
+                  >
+                    Continuous
+                  </button>
+                  <button
+                    onClick={togglePreview}
+                    className={`btn btn-sm ${previewing ? 'active' : ''}`}
+                    title="Fill the tabs with sample values to check they fit"
+                  >
+                    👁 Preview
+                  </button>
+                  <button
+                    onClick={toggleKeyboardMode}
+                    className={`btn btn-sm ${keyboardMode ? 'active' : ''}`}
+                    aria-pressed={keyboardMode}
+                    title="Place tabs with the keyboard (K)"
+                  >
+                    ⌨ Keyboard
+                  </button>
+                  <button
+                    onClick={() => setShowThumbnails(prev => !prev)}
+                    className={`btn btn-sm ${showThumbnails ? 'active' : ''}`}
+                    title="Page thumbnails"
+                  >
+                    ▦ Pages
+                  </button>
+                </div>
+                <span className="keyboard-hint">
+                  {selectedPlacement
+                    ? `(Arrows nudge, Shift+Arrows ×10, Del removes, Esc deselects${keyboardMode ? ', Tab next' : ''})`
+                    : keyboardMode
+                      ? '(Arrows move the cursor, Enter places, Tab selects, PgUp/PgDn or n/p change page, Esc leaves)'
+                      : '(Use ← → or n/p keys, K to place with the keyboard)'}
+                </span>
               </div>
 
-              <div className="pdf-container">
-                <PDFViewer
-                  pdfDoc={pdfDoc}
-                  pageNum={currentPage}
-                  onPageRender={(width, height, scale) => {
-                    setPageDimensions({ width, height });
-                    setPageScale(scale);
-                    const canvas = canvasRef.current;
-                    if (canvas) {
-                      canvas.width = width;
-                      canvas.height = height;
-                    }
-                  }}
-                />
-                <canvas
-                  ref={canvasRef}
-                  className="drawing-canvas"
-                  onClick={handleCanvasClick}
-                  style={{
-                    cursor: 'crosshair',
-                    userSelect: 'none',
-                    WebkitUserSelect: 'none',
-                    MozUserSelect: 'none',
-                    msUserSelect: 'none'
-                  }}
-                />
+              <div className="viewer-body">
+                {showThumbnails && (
+                  <ThumbnailRail
+                    pdfDoc={pdfDoc}
+                    pageGeometries={pageGeometries}
+                    currentPage={currentPage}
+                    placements={documentPlacements}
+                    onSelectPage={goToPage}
+                  />
+                )}
+
+                <div
+                  className="pdf-container"
+                  ref={viewerRef}
+                  tabIndex={0}
+                  role="application"
+                  aria-label={keyboardMode
+                    ? `Page ${currentPage} of ${totalPages}, keyboard placement`
+                    : `Page ${currentPage} of ${totalPages}. Press K to place tabs with the keyboard`}
+                  style={panCursor ? { cursor: panCursor } : undefined}
+                  onScroll={handleViewerScroll}
+                  {...panHandlers}
+                >
+                  <div className="page-list">
+                    {(viewMode === 'continuous' ? pageGeometries.map((_, index) => index + 1) : [currentPage]).map(pageNum => (
+                      <PageView
+                        key={`${activeDocumentId}:${pageNum}`}
+                        pdfDoc={pdfDoc}
+                        pageNum={pageNum}
+                        pageSize={pageGeometries[pageNum - 1]}
+                        zoom={zoom}
+                        availableSize={availableSize}
+                        pixelRatio={pixelRatio}
+                        lazy={viewMode === 'continuous'}
+                        rootRef={viewerRef}
+                        onPageRender={handlePageRender}
+                        slotRef={registerSlot}
+                        overlayRef={registerOverlay}
+                        overlayHandlers={{
+                          onClick: handleCanvasClick,
+                          onMouseDown: handleCanvasMouseDown,
+                          onMouseMove: handleCanvasMouseMove,
+                          onMouseUp: handleCanvasMouseUp,
+                          onMouseLeave: handleCanvasMouseLeave
+                        }}
+                        cursor={panCursor || hoverCursor || (drawMode === 'region' && !selectedField ? 'not-allowed' : 'crosshair')}
+                      >
+                        {measure.rulers && <PageRulers geometry={renderedGeometries[pageNum]} unit={measure.unit} />}
+                      </PageView>
+                    ))}
+                  </div>
+                </div>
               </div>
 
-              <div className="drawing-hint">
-                Click on the PDF where you want to place a signature — DocuSign coordinates will appear in the sidebar
+              <CursorReadout ref={readoutRef} />
+              <div className="sr-only" role="status" aria-live="polite" aria-atomic="true">
+                {announcement}
               </div>
+
+              {comparison ? (
+                <div className="drawing-hint">
+                  Comparing {comparison.fromName} with {comparison.toName}; tabs are hidden until you stop comparing{' '}
+                  <button onClick={() => setComparison(null)} className="btn-link">Stop comparing</button>
+                </div>
+              ) : drawMode === 'region' ? (
+                <div className={`drawing-hint ${drawingRect ? 'drawing-active' : ''}`}>
+                  {selectedField ? (
+                    <>Drag on the PDF to draw the region for <strong>{selectedField}</strong></>
+                  ) : (
+                    'Select a field in the sidebar, then drag on the PDF to draw its region'
+                  )}
+                </div>
+              ) : (
+                <div className="drawing-hint">
+                  Click on the PDF where you want to place a {TAB_TYPES[activeTabType].label.toLowerCase()} tab — DocuSign coordinates will appear in the sidebar
+                </div>
+              )}
             </div>
           </>
         )}
       </div>
+
+      {passwordRequest && (
+        <PasswordDialog
+          name={passwordRequest.name}
+          incorrect={passwordRequest.incorrect}
+          onSubmit={closePasswordDialog}
+          onCancel={() => closePasswordDialog(null)}
+        />
+      )}
+
+      {retarget && (
+        <RetargetDialog
+          pdfDoc={pdfDoc}
+          template={retarget.template}
+          report={retarget.report}
+          pageGeometries={pageGeometries}
+          onAccept={() => closeRetarget(true)}
+          onCancel={() => closeRetarget(false)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import { ANCHOR_PRESETS, defaultAnchorOffset } from '../utils/anchors';
+import { TAB_TYPES } from '../utils/placements';
+
+function AnchorSearchPanel({
+  matches,
+  searchStatus,
+  selectedMatchId,
+  tabType,
+  recipients,
+  rules,
+  onSearch,
+  onClear,
+  onSelectMatch,
+  onPlaceAtMatch,
+  onCreateRule,
+  onApplyRule,
+  onRemoveRule
+}) {
+  const [phrase, setPhrase] = useState('');
+  const [offset, setOffset] = useState({ xOffset: 0, yOffset: 0 });
+
+  const selectedMatch = matches.find(m => m.id === selectedMatchId) || null;
+  const recipientById = Object.fromEntries(recipients.map(r => [r.id, r]));
+
+  // Start from "just right of the text" whenever another match is picked
+  useEffect(() => {
+    if (selectedMatch) setOffset(defaultAnchorOffset(selectedMatch));
+  }, [selectedMatchId]);
+
+  const search = (value) => {
+    setPhrase(value);
+    if (value.trim()) onSearch(value.trim());
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') search(phrase);
+  };
+
+  const handleOffsetChange = (key, value) => {
+    const number = parseFloat(value);
+    setOffset(prev => ({ ...prev, [key]: isFinite(number) ? number : 0 }));
+  };
+
+  return (
+    <div className="anchor-panel">
+      <h3>Anchor Text</h3>
+      <p className="field-list-hint">Find phrases in the PDF and place tabs relative to them</p>
+
+      <div className="anchor-search">
+        <input
+          type="text"
+          value={phrase}
+          onChange={(e) => setPhrase(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder="e.g. Signature:"
+          className="anchor-input"
+        />
+        <button
+          onClick={() => search(phrase)}
+          className="btn btn-sm btn-secondary"
+          disabled={!phrase.trim() || searchStatus.state === 'searching'}
+        >
+          Find
+        </button>
+      </div>
+      <div className="anchor-presets">
+        {ANCHOR_PRESETS.map(preset => (
+          <button key={preset} onClick={() => search(preset)} className="anchor-preset">
+            {preset}
+          </button>
+        ))}
+      </div>
+
+      {searchStatus.state === 'searching' && <p className="field-list-hint">Searching...</p>}
+      {searchStatus.state === 'error' && <p className="save-errors">{searchStatus.message}</p>}
+      {searchStatus.state === 'done' && (
+        <div className="anchor-results">
+          <div className="panel-header">
+            <small>{matches.length} match{matches.length === 1 ? '' : 'es'} for “{searchStatus.phrase}”</small>
+            <button onClick={onClear} className="btn-link" title="Clear highlights">Clear</button>
+          </div>
+          <ul className="anchor-matches">
+            {matches.map(match => (
+              <li
+                key={match.id}
+                className={`anchor-match ${match.id === selectedMatchId ? 'selected' : ''}`}
+                onClick={() => onSelectMatch(match)}
+              >
+                Page {match.pageNum} · ({Math.round(match.x)}, {Math.round(match.y)})
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {selectedMatch && (
+        <div className="anchor-actions">
+          <div className="anchor-offsets">
+            <label className="option-label">
+              X offset (pt)
+              <input type="number" value={offset.xOffset} onChange={(e) => handleOffsetChange('xOffset', e.target.value)} />
+            </label>
+            <label className="option-label">
+              Y offset (pt)
+              <input type="number" value={offset.yOffset} onChange={(e) => handleOffsetChange('yOffset', e.target.value)} />
+            </label>
+          </div>
+          <small className="field-list-hint">
+            New {TAB_TYPES[tabType].label.toLowerCase()} tab, offset from the top-left of the text
+          </small>
+          <div className="export-actions">
+            <button onClick={() => onPlaceAtMatch(selectedMatch, offset)} className="btn btn-sm btn-secondary" title="Absolute tab at this match only">
+              Place here
+            </button>
+            <button onClick={() => onCreateRule(searchStatus.phrase, offset)} className="btn btn-sm btn-primary" title="DocuSign anchor tab at every match">
+              ⚓ Anchor tab
+            </button>
+          </div>
+        </div>
+      )}
+
+      {rules.length > 0 && (
+        <div className="anchor-rules">
+          <h4>Saved anchor rules</h4>
+          {rules.map((rule) => {
+            const recipient = recipientById[rule.recipientId];
+            return (
+              <div key={rule.id} className="anchor-rule">
+                <div className="anchor-rule-info">
+                  <strong>“{rule.anchorString}”</strong>
+                  <small>
+                    {TAB_TYPES[rule.tabType].label} · {recipient ? recipient.name : 'Active recipient'} · ({rule.xOffset}, {rule.yOffset}) pt
+                  </small>
+                </div>
+                <button onClick={() => onApplyRule(rule)} className="btn btn-sm btn-secondary" title="Place at every match in this document">
+                  Apply
+                </button>
+                <button onClick={() => onRemoveRule(rule)} className="btn-delete btn-delete-sm" title="Remove rule">
+                  ×
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AnchorSearchPanel;
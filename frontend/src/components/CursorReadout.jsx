@@ -0,0 +1,33 @@
+import React, { forwardRef, useImperativeHandle, useState } from 'react';
+import { formatMeasure } from '../utils/measure';
+
+const format = ({ x, y }, decimals) => `${formatMeasure(x, decimals)}, ${formatMeasure(y, decimals)}`;
+
+// Live position of the cursor over a page in every unit (from measurePoint in
+// utils/measure.js). It keeps its own state, so the parent updates it through the
+// ref with show(pageNum, reading) / show(null) instead of re-rendering on every mouse move.
+const CursorReadout = forwardRef(function CursorReadout(props, ref) {
+  const [cursor, setCursor] = useState(null); // { pageNum, reading }
+
+  useImperativeHandle(ref, () => ({
+    show: (pageNum, reading = null) => setCursor(reading ? { pageNum, reading } : null)
+  }), []);
+
+  if (!cursor) {
+    return <div className="cursor-readout idle">Move the pointer over a page to measure</div>;
+  }
+
+  const { pageNum, reading } = cursor;
+  return (
+    <div className="cursor-readout" aria-live="off">
+      <span>Page {pageNum}</span>
+      <span title="Top-left points, as placements are stored">pt {format(reading.points, 1)}</span>
+      <span title="PDF user space: bottom-left origin, as in the file">PDF {format(reading.pdf, 1)}</span>
+      <span>in {format(reading.inches, 3)}</span>
+      <span>mm {format(reading.mm, 1)}</span>
+      <span title="0-1000 across and down the page, as saved field mappings">norm {format(reading.normalized, 0)}</span>
+    </div>
+  );
+});
+
+export default CursorReadout;
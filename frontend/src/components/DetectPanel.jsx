@@ -0,0 +1,92 @@
+import React from 'react';
+import { TAB_TYPES } from '../utils/placements';
+
+// Proposed fields found by utils/detection.js, to accept, reject or retype in bulk
+function DetectPanel({
+  candidates,
+  status,
+  focusedId,
+  onDetect,
+  onToggle,
+  onSelectAll,
+  onFocus,
+  onAccept,
+  onReject,
+  onRetype
+}) {
+  const selectedCount = candidates.filter(c => c.selected).length;
+  const allSelected = candidates.length > 0 && selectedCount === candidates.length;
+
+  return (
+    <div className="detect-panel">
+      <div className="panel-header">
+        <h3>Detect Fields</h3>
+        <button
+          onClick={onDetect}
+          className="btn btn-sm btn-secondary"
+          disabled={status.state === 'scanning'}
+          title="Look for blank lines, underscores and boxes on every page of this document"
+        >
+          🔍 Detect
+        </button>
+      </div>
+      <p className="field-list-hint">Proposes tabs where the form has signature and date lines, with a type guessed from the label next to them</p>
+
+      {status.state === 'scanning' && (
+        <p className="field-list-hint">Scanning page {status.page} of {status.total}...</p>
+      )}
+      {status.state === 'error' && <p className="save-errors">{status.message}</p>}
+      {status.state === 'done' && candidates.length === 0 && (
+        <p className="field-list-hint">No blank lines or boxes found that aren't already mapped</p>
+      )}
+
+      {candidates.length > 0 && (
+        <>
+          <label className="catalog-required detect-select-all">
+            <input type="checkbox" checked={allSelected} onChange={(e) => onSelectAll(e.target.checked)} />
+            {selectedCount} of {candidates.length} selected
+          </label>
+          <ul className="detect-candidates">
+            {candidates.map(candidate => (
+              <li key={candidate.id} className={`detect-candidate ${candidate.id === focusedId ? 'focused' : ''}`}>
+                <input
+                  type="checkbox"
+                  checked={candidate.selected}
+                  onChange={() => onToggle(candidate.id)}
+                  aria-label={`Select ${candidate.label || 'unlabelled'} on page ${candidate.pageNum}`}
+                />
+                <button className="detect-candidate-info" onClick={() => onFocus(candidate)} title="Show on the page">
+                  <span>{candidate.label || <em>No label</em>}</span>
+                  <small>
+                    Page {candidate.pageNum} · {TAB_TYPES[candidate.tabType].label} · {candidate.source}
+                  </small>
+                </button>
+              </li>
+            ))}
+          </ul>
+          <div className="export-actions">
+            <button onClick={onAccept} className="btn btn-sm btn-primary" disabled={selectedCount === 0}>
+              ✓ Accept
+            </button>
+            <button onClick={onReject} className="btn btn-sm btn-secondary" disabled={selectedCount === 0}>
+              ✕ Reject
+            </button>
+            <select
+              value=""
+              onChange={(e) => onRetype(e.target.value)}
+              disabled={selectedCount === 0}
+              aria-label="Change the tab type of the selected proposals"
+            >
+              <option value="" disabled>Retype as…</option>
+              {Object.entries(TAB_TYPES).map(([type, { label }]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default DetectPanel;
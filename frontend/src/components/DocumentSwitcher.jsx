@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { pdfFilesOf } from '../utils/envelope';
+
+function DocumentSwitcher({ documents, activeDocumentId, tabCounts, onSelect, onMove, onRemove, onAddFiles }) {
+  const [dragOver, setDragOver] = useState(false);
+
+  const total = documents.reduce((sum, document) => sum + (tabCounts[document.documentId] || 0), 0);
+
+  const handleAdd = (e) => {
+    const files = pdfFilesOf(e.target.files);
+    e.target.value = '';
+    if (files.length > 0) onAddFiles(files);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragOver(false);
+    const files = pdfFilesOf(e.dataTransfer.files);
+    if (files.length > 0) onAddFiles(files);
+  };
+
+  return (
+    <div
+      className={`document-switcher ${dragOver ? 'drag-over' : ''}`}
+      onDragOver={(e) => {
+        e.preventDefault();
+        setDragOver(true);
+      }}
+      onDragLeave={() => setDragOver(false)}
+      onDrop={handleDrop}
+    >
+      <div className="panel-header">
+        <h3>Documents</h3>
+        <label className="btn btn-sm btn-secondary" title="Add PDFs to the envelope (or drop them here)">
+          + Add PDF
+          <input type="file" accept="application/pdf" multiple onChange={handleAdd} style={{ display: 'none' }} />
+        </label>
+      </div>
+
+      <ol className="document-items">
+        {documents.map((document, index) => {
+          const count = tabCounts[document.documentId] || 0;
+          return (
+            <li
+              key={document.documentId}
+              className={`document-item ${document.documentId === activeDocumentId ? 'active' : ''}`}
+              onClick={() => onSelect(document.documentId)}
+            >
+              <div className="catalog-order">
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onMove(document.documentId, -1);
+                  }}
+                  disabled={index === 0}
+                  title="Move up"
+                >
+                  ▲
+                </button>
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onMove(document.documentId, 1);
+                  }}
+                  disabled={index === documents.length - 1}
+                  title="Move down"
+                >
+                  ▼
+                </button>
+              </div>
+              <div className="document-info">
+                <strong title={document.name}>{document.name}</strong>
+                <small>
+                  Document {document.documentId} · {document.pageGeometries.length} page{document.pageGeometries.length === 1 ? '' : 's'} · {count} tab{count === 1 ? '' : 's'}
+                </small>
+              </div>
+              {documents.length > 1 && (
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onRemove(document.documentId);
+                  }}
+                  className="btn-delete btn-delete-sm"
+                  title="Remove from the envelope"
+                >
+                  ×
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+
+      {documents.length > 1 && (
+        <div className="summary-item">
+          <strong>Envelope:</strong> {documents.length} documents · {total} tab{total === 1 ? '' : 's'}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DocumentSwitcher;
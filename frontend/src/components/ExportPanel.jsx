@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import { saveTabs } from '../utils/api';
+import { countTabs, countTabsByDocument } from '../utils/docusign';
+import { downloadJson, downloadBlob, copyJson, baseFileName } from '../utils/download';
+import { placementsOn } from '../utils/envelope';
+
+// Builders in utils/pdfExport.js, loaded on first use to keep pdf-lib out of the main bundle
+const PDF_OUTPUTS = {
+  fillable: { builder: 'buildFillablePdf', suffix: 'fillable', label: 'fillable PDF' },
+  proof: { builder: 'buildProofPdf', suffix: 'proof', label: 'proof PDF' }
+};
+
+function ExportPanel({ tabsPayload, fileName, errorCount = 0, onSaved, documents, placements, recipients }) {
+  const [status, setStatus] = useState({ state: 'idle', errors: [] });
+
+  const tabsCount = tabsPayload ? countTabs(tabsPayload) : 0;
+  const countsByDocument = tabsPayload && documents.length > 1 ? countTabsByDocument(tabsPayload) : null;
+  const blocked = tabsCount === 0 || errorCount > 0; // Errors from the Checks panel block export
+
+  const handleDownload = () => {
+    downloadJson(tabsPayload, `${baseFileName(fileName)}_docusign_tabs.json`);
+    if (onSaved) onSaved();
+  };
+
+  const handleCopy = async () => {
+    try {
+      await copyJson(tabsPayload);
+      setStatus({ state: 'done', errors: [], message: 'Tabs JSON copied to clipboard' });
+    } catch (error) {
+      console.error('Error copying tabs:', error);
+      setStatus({ state: 'error', errors: ['Could not access the clipboard'] });
+    }
+  };
+
+  const handleSave = async () => {
+    setStatus({ state: 'saving', errors: [] });
+    try {
+      const result = await saveTabs(tabsPayload);
+      if (onSaved) onSaved();
+      setStatus({
+        state: 'done',
+        errors: [],
+        message: result.queued
+          ? 'Offline: the tabs will be saved when the backend can be reached'
+          : `Saved ${result.tabs_count} tabs to ${result.filename}`
+      });
+    } catch (error) {
+      console.error('Error saving tabs:', error);
+      setStatus({ state: 'error', errors: error.messages || [error.message] });
+    }
+  };
+
+  // Build a PDF from the original files' bytes, in envelope order, and download it
+  const handlePdf = async (kind) => {
+    const output = PDF_OUTPUTS[kind];
+    setStatus({ state: 'building', errors: [] });
+    try {
+      const pdfExport = await import('../utils/pdfExport');
+      const sources = await Promise.all(documents.map(async document => ({
+        pdfBytes: await document.file.arrayBuffer(),
+        placements: placementsOn(placements, document.documentId),
+        pageGeometries: document.pageGeometries
+      })));
+      const bytes = await pdfExport[output.builder]({ documents: sources, recipients });
+      downloadBlob(new Blob([bytes], { type: 'application/pdf' }), `${baseFileName(fileName)}_${output.suffix}.pdf`);
+      setStatus({ state: 'done', errors: [], message: `Downloaded the ${output.label}` });
+    } catch (error) {
+      console.error(`Error building the ${output.label}:`, error);
+      setStatus({ state: 'error', errors: [`Could not build the ${output.label}: ${error.message}`] });
+    }
+  };
+
+  return (
+    <div className="export-panel">
+      <h3>DocuSign Tabs</h3>
+      <div className="summary-item">
+        <strong>Tabs to export:</strong> {tabsCount}
+      </div>
+      {countsByDocument && (
+        <ul className="export-documents">
+          {documents.map(document => (
+            <li key={document.documentId}>
+              {document.name}: {countsByDocument[document.documentId] || 0}
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="export-actions">
+        <button onClick={handleDownload} className="btn btn-sm btn-secondary" disabled={blocked}>
+          ⬇ Download
+        </button>
+        <button onClick={handleCopy} className="btn btn-sm btn-secondary" disabled={blocked}>
+          📋 Copy
+        </button>
+        <button
+          onClick={handleSave}
+          className="btn btn-sm btn-success"
+          disabled={blocked || status.state === 'saving'}
+        >
+          {status.state === 'saving' ? 'Saving...' : '💾 Save'}
+        </button>
+      </div>
+      <div className="export-actions">
+        <button
+          onClick={() => handlePdf('fillable')}
+          className="btn btn-sm btn-secondary"
+          disabled={blocked || status.state === 'building'}
+          title="The PDF with every tab turned into a form field"
+        >
+          ⬇ Fillable PDF
+        </button>
+        <button
+          onClick={() => handlePdf('proof')}
+          className="btn btn-sm btn-secondary"
+          disabled={tabsCount === 0 || status.state === 'building'}
+          title="The PDF with labelled boxes drawn over every tab, for review"
+        >
+          ⬇ Proof PDF
+        </button>
+      </div>
+      {errorCount > 0 && (
+        <p className="field-list-hint">
+          {errorCount} error{errorCount === 1 ? '' : 's'} under Checks must be fixed before exporting
+        </p>
+      )}
+      {status.state === 'done' && (
+        <p className="save-message">{status.message}</p>
+      )}
+      {status.errors.length > 0 && (
+        <ul className="save-errors">
+          {status.errors.map((error, index) => (
+            <li key={index}>{error}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default ExportPanel;
@@ -0,0 +1,271 @@
+import React, { useState } from 'react';
+import {
+  DEFAULT_CATALOG,
+  DEFAULT_FIELD_SIZES,
+  createField,
+  groupFields,
+  moveField,
+  validateField,
+  parseCatalog,
+  serializeCatalog
+} from '../utils/fieldCatalog';
+import { TAB_TYPES } from '../utils/placements';
+import { getFieldCatalog, putFieldCatalog } from '../utils/api';
+import { downloadJson } from '../utils/download';
+
+// Form for one field; changes are applied with "Done"
+function FieldForm({ field, catalog, groups, roles, onDone, onCancel }) {
+  const [draft, setDraft] = useState(field);
+  const [problems, setProblems] = useState([]);
+
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  // Switching tab type moves an untouched default size along with it
+  const handleTabTypeChange = (tabType) => {
+    const previous = DEFAULT_FIELD_SIZES[draft.tabType];
+    const sizeIsDefault = draft.width === previous.width && draft.height === previous.height;
+    update({ tabType, ...(sizeIsDefault ? DEFAULT_FIELD_SIZES[tabType] : {}) });
+  };
+
+  const handleDone = () => {
+    const field = { ...draft, name: draft.name.trim(), group: draft.group.trim() };
+    const fieldProblems = validateField(field, catalog);
+    setProblems(fieldProblems);
+    if (fieldProblems.length === 0) onDone(field);
+  };
+
+  return (
+    <div className="catalog-form">
+      <label className="option-label">
+        Name
+        <input type="text" value={draft.name} onChange={(e) => update({ name: e.target.value })} autoFocus />
+      </label>
+      <label className="option-label">
+        Group
+        <input type="text" value={draft.group} onChange={(e) => update({ group: e.target.value })} list="catalog-groups" placeholder="None" />
+      </label>
+      <datalist id="catalog-groups">
+        {groups.map(group => <option key={group} value={group} />)}
+      </datalist>
+      <label className="option-label">
+        Tab type
+        <select value={draft.tabType} onChange={(e) => handleTabTypeChange(e.target.value)}>
+          {Object.entries(TAB_TYPES).map(([type, { label }]) => (
+            <option key={type} value={type}>{label}</option>
+          ))}
+        </select>
+      </label>
+      <div className="catalog-size">
+        <label className="option-label">
+          Width (pt)
+          <input type="number" min="1" value={draft.width} onChange={(e) => update({ width: parseFloat(e.target.value) || 0 })} />
+        </label>
+        <label className="option-label">
+          Height (pt)
+          <input type="number" min="1" value={draft.height} onChange={(e) => update({ height: parseFloat(e.target.value) || 0 })} />
+        </label>
+      </div>
+      <label className="option-label">
+        Validation pattern
+        <input
+          type="text"
+          value={draft.pattern}
+          onChange={(e) => update({ pattern: e.target.value })}
+          placeholder="Regular expression (text tabs)"
+          disabled={draft.tabType !== 'text'}
+        />
+      </label>
+      <label className="option-label">
+        Default recipient role
+        <input type="text" value={draft.role} onChange={(e) => update({ role: e.target.value })} list="catalog-roles" placeholder="Active recipient" />
+      </label>
+      <datalist id="catalog-roles">
+        {roles.map(role => <option key={role} value={role} />)}
+      </datalist>
+      <label className="catalog-required">
+        <input type="checkbox" checked={draft.required} onChange={(e) => update({ required: e.target.checked })} />
+        Required
+      </label>
+
+      {problems.length > 0 && (
+        <ul className="save-errors">
+          {problems.map((problem, index) => (
+            <li key={index}>{problem}</li>
+          ))}
+        </ul>
+      )}
+      <div className="export-actions">
+        <button onClick={onCancel} className="btn btn-sm btn-secondary">Cancel</button>
+        <button onClick={handleDone} className="btn btn-sm btn-primary">Done</button>
+      </div>
+    </div>
+  );
+}
+
+function FieldCatalogEditor({ catalog, recipients, onChange, onRenameField, onClose }) {
+  const [editing, setEditing] = useState(null); // { field, isNew } while the form is open
+  const [status, setStatus] = useState({ state: 'idle', errors: [] });
+
+  const groups = [...new Set(catalog.map(f => f.group).filter(Boolean))];
+  const roles = [...new Set(recipients.map(r => r.role).filter(Boolean))];
+
+  const handleDone = (field) => {
+    if (editing.isNew) {
+      onChange([...catalog, field]);
+    } else {
+      const previous = catalog.find(f => f.id === field.id);
+      if (previous && previous.name !== field.name) onRenameField(previous.name, field.name);
+      onChange(catalog.map(f => (f.id === field.id ? field : f)));
+    }
+    setEditing(null);
+  };
+
+  const handleDelete = (field) => {
+    if (!window.confirm(`Remove “${field.name}” from the catalog? Its mapped region stays as a tab.`)) return;
+    onChange(catalog.filter(f => f.id !== field.id));
+  };
+
+  // Run a catalog action and show its outcome. Actions return false when the user cancelled,
+  // or { queued: true } when the write waits for the backend (see utils/syncQueue.js)
+  const run = async (action, message) => {
+    setStatus({ state: 'working', errors: [] });
+    try {
+      const result = await action();
+      if (result === false) {
+        setStatus({ state: 'idle', errors: [] });
+        return;
+      }
+      setStatus({
+        state: 'done',
+        errors: [],
+        message: result && result.queued ? `${message} (queued until the backend can be reached)` : message
+      });
+    } catch (error) {
+      console.error('Field catalog action failed:', error);
+      setStatus({ state: 'error', errors: error.messages || [error.message] });
+    }
+  };
+
+  // Returns false if the user kept the current catalog
+  const replaceCatalog = (next) => {
+    if (catalog.length > 0 && !window.confirm(`Replace the ${catalog.length} fields in the catalog?`)) {
+      return false;
+    }
+    onChange(next);
+    return true;
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    run(async () => {
+      let data;
+      try {
+        data = JSON.parse(await file.text());
+      } catch (error) {
+        throw new Error(`${file.name} is not valid JSON`);
+      }
+      return replaceCatalog(parseCatalog(data));
+    }, `Imported ${file.name}`);
+  };
+
+  const handleLoad = () => run(async () => {
+    return replaceCatalog(parseCatalog(await getFieldCatalog()));
+  }, 'Loaded the catalog from the backend');
+
+  const handleSave = () => run(
+    () => putFieldCatalog(serializeCatalog(catalog)),
+    'Saved the catalog to the backend'
+  );
+
+  const handleReset = () => {
+    if (!window.confirm('Replace the catalog with the built-in fields?')) return;
+    onChange(DEFAULT_CATALOG.map(field => ({ ...field })));
+  };
+
+  return (
+    <div className="field-catalog">
+      <div className="panel-header">
+        <h3>Field Catalog</h3>
+        <button onClick={onClose} className="btn btn-sm btn-primary">Close</button>
+      </div>
+
+      {editing ? (
+        <FieldForm
+          field={editing.field}
+          catalog={catalog}
+          groups={groups}
+          roles={roles}
+          onDone={handleDone}
+          onCancel={() => setEditing(null)}
+        />
+      ) : (
+        <>
+          <div className="catalog-items">
+            {groupFields(catalog).map(({ group, fields }) => (
+              <div key={group || 'ungrouped'} className="field-group">
+                {group && <div className="field-group-name">{group}</div>}
+                {fields.map((field, index) => (
+                  <div key={field.id} className="catalog-item">
+                    <div className="catalog-order">
+                      <button onClick={() => onChange(moveField(catalog, field.id, -1))} disabled={index === 0} title="Move up">▲</button>
+                      <button onClick={() => onChange(moveField(catalog, field.id, 1))} disabled={index === fields.length - 1} title="Move down">▼</button>
+                    </div>
+                    <div className="catalog-info" onClick={() => setEditing({ field, isNew: false })}>
+                      <strong>
+                        {field.name}
+                        {field.required && <span className="field-required">*</span>}
+                      </strong>
+                      <small>
+                        {TAB_TYPES[field.tabType].label} · {field.width} × {field.height} pt
+                        {field.role && ` · ${field.role}`}
+                        {field.pattern && ' · validated'}
+                      </small>
+                    </div>
+                    <button onClick={() => handleDelete(field)} className="btn-delete btn-delete-sm" title="Remove field">×</button>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+
+          <button onClick={() => setEditing({ field: createField({ name: '', tabType: 'text' }), isNew: true })} className="btn btn-sm btn-secondary btn-block">
+            + Add field
+          </button>
+
+          <div className="export-actions">
+            <label className="btn btn-sm btn-secondary">
+              Import…
+              <input type="file" accept="application/json,.json" onChange={handleImport} style={{ display: 'none' }} />
+            </label>
+            <button onClick={() => downloadJson(serializeCatalog(catalog), 'field_catalog.json')} className="btn btn-sm btn-secondary">
+              ⬇ Export
+            </button>
+            <button onClick={handleReset} className="btn btn-sm btn-secondary">Reset</button>
+          </div>
+          <div className="export-actions">
+            <button onClick={handleLoad} className="btn btn-sm btn-secondary" disabled={status.state === 'working'}>
+              Load from backend
+            </button>
+            <button onClick={handleSave} className="btn btn-sm btn-success" disabled={status.state === 'working' || catalog.length === 0}>
+              💾 Save to backend
+            </button>
+          </div>
+        </>
+      )}
+
+      {status.state === 'done' && <p className="save-message">{status.message}</p>}
+      {status.errors.length > 0 && (
+        <ul className="save-errors">
+          {status.errors.map((error, index) => (
+            <li key={index}>{error}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default FieldCatalogEditor;
@@ -1,10 +1,22 @@
 import React from 'react';
+import { groupFields } from '../utils/fieldCatalog';
+import { TAB_TYPES } from '../utils/placements';
 
-function FieldList({ fields, selectedField, onSelectField, fieldMappings, currentPage }) {
+function FieldList({
+  fields,
+  selectedField,
+  onSelectField,
+  fieldMappings,
+  fieldDetails,
+  documentNames,
+  activeDocumentId,
+  currentPage,
+  onEditCatalog
+}) {
   const getFieldStatus = (fieldName) => {
     if (fieldMappings[fieldName]) {
       const [, , , , pageNum] = fieldMappings[fieldName];
-      if (pageNum === currentPage) {
+      if (pageNum === currentPage && fieldDetails[fieldName].documentId === activeDocumentId) {
         return 'mapped-current';
       }
       return 'mapped-other';
@@ -14,32 +26,48 @@ function FieldList({ fields, selectedField, onSelectField, fieldMappings, curren
 
   return (
     <div className="field-list">
-      <h3>Fields</h3>
-      <p className="field-list-hint">Select a field, then draw on the PDF</p>
+      <div className="panel-header">
+        <h3>Fields</h3>
+        <button onClick={onEditCatalog} className="btn btn-sm btn-secondary" title="Add, edit, reorder or import fields">
+          ✎ Edit
+        </button>
+      </div>
+      <p className="field-list-hint">Select a field, then draw on the PDF (or click to place it at its default size)</p>
+      {fields.length === 0 && <p className="field-list-hint">The field catalog is empty</p>}
       <div className="field-items">
-        {fields.map((field) => {
-          const status = getFieldStatus(field);
-          const isSelected = selectedField === field;
-          const mapping = fieldMappings[field];
+        {groupFields(fields).map(({ group, fields: groupedFields }) => (
+          <div key={group || 'ungrouped'} className="field-group">
+            {group && <div className="field-group-name">{group}</div>}
+            {groupedFields.map((field) => {
+              const status = getFieldStatus(field.name);
+              const isSelected = selectedField === field.name;
+              const mapping = fieldMappings[field.name];
 
-          return (
-            <div
-              key={field}
-              className={`field-item ${status} ${isSelected ? 'selected' : ''}`}
-              onClick={() => onSelectField(field)}
-            >
-              <div className="field-name">{field}</div>
-              {mapping && (
-                <div className="field-mapping-info">
-                  Page {mapping[4]} • {mapping[0]}, {mapping[1]} → {mapping[2]}, {mapping[3]}
+              return (
+                <div
+                  key={field.id}
+                  className={`field-item ${status} ${isSelected ? 'selected' : ''}`}
+                  onClick={() => onSelectField(field.name)}
+                >
+                  <div className="field-name">
+                    {field.name}
+                    {field.required && <span className="field-required" title="Required">*</span>}
+                    <small className="field-type">{TAB_TYPES[field.tabType].label}</small>
+                  </div>
+                  {mapping && (
+                    <div className="field-mapping-info">
+                      {documentNames[fieldDetails[field.name].documentId] && `${documentNames[fieldDetails[field.name].documentId]} • `}
+                      Page {mapping[4]} • {mapping[0]}, {mapping[1]} → {mapping[2]}, {mapping[3]}
+                    </div>
+                  )}
+                  {status === 'mapped-current' && (
+                    <span className="field-badge">✓</span>
+                  )}
                 </div>
-              )}
-              {status === 'mapped-current' && (
-                <span className="field-badge">✓</span>
-              )}
-            </div>
-          );
-        })}
+              );
+            })}
+          </div>
+        ))}
       </div>
 
       <div className="field-legend">
@@ -61,4 +89,3 @@ function FieldList({ fields, selectedField, onSelectField, fieldMappings, curren
 }
 
 export default FieldList;
-
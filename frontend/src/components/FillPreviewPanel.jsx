@@ -0,0 +1,106 @@
+import React from 'react';
+import {
+  PREVIEW_FONTS,
+  MIN_FONT_SIZE,
+  MAX_FONT_SIZE,
+  isSignatureTab,
+  previewKey,
+  generateSampleValues
+} from '../utils/fillPreview';
+import { TAB_TYPES } from '../utils/placements';
+
+function FillPreviewPanel({ placements, preview, layout, onChange, onSelectPlacement }) {
+  const placementById = Object.fromEntries(placements.map(p => [p.id, p]));
+
+  // One row per field, in placement order
+  const fields = [];
+  placements.forEach((placement) => {
+    const key = previewKey(placement, placementById);
+    if (!fields.some(field => field.key === key)) {
+      fields.push({ key, tabType: placement.tabType });
+    }
+  });
+  const overflowing = layout.filter(item => item.overflows);
+
+  const update = (changes) => onChange({ ...preview, ...changes });
+  const setValue = (key, value) => update({ values: { ...preview.values, [key]: value } });
+
+  return (
+    <div className="fill-preview-panel">
+      <div className="panel-header">
+        <h3>Fill Preview</h3>
+        <button
+          onClick={() => update({ values: generateSampleValues(placements, preview.values, { replace: true }) })}
+          className="btn btn-sm btn-secondary"
+          disabled={placements.length === 0}
+          title="Fill every field with realistic fake values"
+        >
+          🎲 Sample values
+        </button>
+      </div>
+
+      <div className="preview-font">
+        <label className="option-label">
+          Font
+          <select value={preview.font} onChange={(e) => update({ font: e.target.value })}>
+            {Object.entries(PREVIEW_FONTS).map(([font, { label }]) => (
+              <option key={font} value={font}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="option-label">
+          Size (pt)
+          <input
+            type="number"
+            min={MIN_FONT_SIZE}
+            max={MAX_FONT_SIZE}
+            value={preview.fontSize}
+            onChange={(e) => {
+              const size = parseFloat(e.target.value);
+              if (size >= MIN_FONT_SIZE && size <= MAX_FONT_SIZE) update({ fontSize: size });
+            }}
+          />
+        </label>
+      </div>
+
+      {overflowing.length === 0 ? (
+        placements.length > 0 && <p className="save-message">Every value fits its tab</p>
+      ) : (
+        <ul className="save-errors">
+          {overflowing.map(({ placement, width }) => (
+            <li key={placement.id} className="preview-overflow" onClick={() => onSelectPlacement(placement.id)}>
+              “{placement.label}” on page {placement.pageNum} needs {Math.ceil(width)} pt, the tab is {Math.round(placement.width)} pt wide
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {fields.length === 0 ? (
+        <p className="field-list-hint">Place some tabs to preview their values</p>
+      ) : (
+        <div className="preview-values">
+          {fields.map(({ key, tabType }) => (
+            <label key={key} className="option-label">
+              {key}
+              {isSignatureTab(tabType) ? (
+                <small className="field-list-hint">✍ {TAB_TYPES[tabType].label} of the recipient</small>
+              ) : (
+                <input
+                  type="text"
+                  value={preview.values[key] || ''}
+                  onChange={(e) => setValue(key, e.target.value)}
+                  placeholder={TAB_TYPES[tabType].label}
+                />
+              )}
+            </label>
+          ))}
+          <button onClick={() => update({ values: {} })} className="btn-link" disabled={Object.keys(preview.values).length === 0}>
+            Clear values
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FillPreviewPanel;
@@ -0,0 +1,238 @@
+import React, { useState } from 'react';
+import { listSavedFields, getSavedFields } from '../utils/api';
+import { TAB_TYPES } from '../utils/placements';
+import { DIFF_STATUSES, diffVersions, diffCounts, entryRect, versionName } from '../utils/versions';
+
+const CURRENT = 'current';
+
+// "p2 (72, 144) 100×20 pt", or the 0-1000 coordinates when the page isn't loaded
+const formatEntry = (entry, rect) => {
+  if (!entry) return '—';
+  if (!rect) return `p${entry.pageNum} [${entry.coords.join(', ')}]`;
+  return `p${rect.pageNum} (${Math.round(rect.x)}, ${Math.round(rect.y)}) ${Math.round(rect.width)}×${Math.round(rect.height)} pt`;
+};
+
+// How far the top-left corner moved, when it stayed on the same page
+const formatDelta = (before, after) => {
+  if (!before || !after || before.documentId !== after.documentId || before.pageNum !== after.pageNum) return '—';
+  const dx = Math.round(after.x - before.x);
+  const dy = Math.round(after.y - before.y);
+  return dx === 0 && dy === 0 ? '0' : `${dx >= 0 ? '+' : ''}${dx}, ${dy >= 0 ? '+' : ''}${dy}`;
+};
+
+const versionDetails = (summary) => {
+  const parts = [`${summary.fields_count} field${summary.fields_count === 1 ? '' : 's'}`];
+  if (summary.pages && summary.pages.length > 0) {
+    parts.push(`page${summary.pages.length === 1 ? '' : 's'} ${summary.pages.join(', ')}`);
+  }
+  if (summary.recipients && summary.recipients.length > 0) parts.push(summary.recipients.join(', '));
+  if (summary.documents && summary.documents.length > 0) parts.push(summary.documents.join(', '));
+  return parts.join(' · ');
+};
+
+const tabTypeSummary = (tabTypes = {}) => Object.entries(tabTypes)
+  .map(([type, count]) => `${count} ${TAB_TYPES[type] ? TAB_TYPES[type].label.toLowerCase() : type}`)
+  .join(', ');
+
+function HistoryPanel({ geometries, activeDocumentId, getCurrentVersion, comparison, onCompare, onRestore, onShowPage }) {
+  const [versions, setVersions] = useState(null); // null until listed
+  const [fromFile, setFromFile] = useState('');
+  const [toFile, setToFile] = useState(CURRENT);
+  const [hideUnchanged, setHideUnchanged] = useState(true);
+  const [status, setStatus] = useState({ state: 'idle', errors: [] });
+
+  const refresh = async () => {
+    try {
+      const files = await listSavedFields();
+      setVersions(files);
+      // Compare the last saved version with the working set unless picked otherwise
+      setFromFile(prev => (files.some(file => file.filename === prev) ? prev : (files[0] ? files[0].filename : '')));
+    } catch (error) {
+      console.error('Error listing saved versions:', error);
+      setStatus({ state: 'error', errors: error.messages || [error.message] });
+    }
+  };
+
+  const nameOf = (filename) => {
+    if (filename === CURRENT) return 'current work';
+    const summary = (versions || []).find(file => file.filename === filename);
+    return summary ? versionName(summary) : filename;
+  };
+
+  const loadVersion = (filename) => (filename === CURRENT ? getCurrentVersion() : getSavedFields(filename));
+
+  const handleCompare = async () => {
+    setStatus({ state: 'working', errors: [] });
+    try {
+      const [from, to] = await Promise.all([loadVersion(fromFile), loadVersion(toFile)]);
+      onCompare({ fromName: nameOf(fromFile), toName: nameOf(toFile), rows: diffVersions(from, to) });
+      setStatus({ state: 'idle', errors: [] });
+    } catch (error) {
+      console.error('Error comparing versions:', error);
+      setStatus({ state: 'error', errors: error.messages || [error.message] });
+    }
+  };
+
+  const handleRestore = async (summary) => {
+    setStatus({ state: 'working', errors: [] });
+    try {
+      const problems = await onRestore(summary);
+      if (problems === false) {
+        setStatus({ state: 'idle', errors: [] });
+        return;
+      }
+      setStatus({ state: 'done', errors: [], message: `Restored the version of ${versionName(summary)}`, problems });
+    } catch (error) {
+      console.error('Error restoring a version:', error);
+      setStatus({ state: 'error', errors: error.messages || [error.message] });
+    }
+  };
+
+  const busy = status.state === 'working';
+  const counts = comparison ? diffCounts(comparison.rows) : {};
+  const rows = comparison
+    ? comparison.rows.filter(row => !hideUnchanged || row.status !== 'unchanged')
+    : [];
+
+  return (
+    <div className="history-panel">
+      <div className="panel-header">
+        <h3>History</h3>
+        {versions !== null && (
+          <button onClick={refresh} className="btn btn-sm btn-secondary" disabled={busy}>Refresh</button>
+        )}
+      </div>
+
+      {versions === null ? (
+        <button onClick={refresh} className="btn-link">Show saved versions…</button>
+      ) : versions.length === 0 ? (
+        <p className="field-list-hint">Nothing saved yet. Each “Save Fields” adds a version</p>
+      ) : (
+        <>
+          <div className="history-compare">
+            <label>
+              From
+              <select value={fromFile} onChange={(e) => setFromFile(e.target.value)}>
+                {versions.map(file => (
+                  <option key={file.filename} value={file.filename}>{versionName(file)} ({file.fields_count})</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              To
+              <select value={toFile} onChange={(e) => setToFile(e.target.value)}>
+                <option value={CURRENT}>Current work</option>
+                {versions.map(file => (
+                  <option key={file.filename} value={file.filename}>{versionName(file)} ({file.fields_count})</option>
+                ))}
+              </select>
+            </label>
+            <div className="export-actions">
+              <button onClick={handleCompare} className="btn btn-sm btn-primary" disabled={busy || !fromFile || fromFile === toFile}>
+                Compare
+              </button>
+              {comparison && (
+                <button onClick={() => onCompare(null)} className="btn btn-sm btn-secondary">Stop comparing</button>
+              )}
+            </div>
+          </div>
+
+          <ul className="template-list history-list">
+            {versions.map(file => (
+              <li key={file.filename} className="template-item">
+                <div className="template-info">
+                  <strong>{versionName(file)}</strong>
+                  <small title={tabTypeSummary(file.tab_types)}>{versionDetails(file)}</small>
+                </div>
+                <button
+                  onClick={() => handleRestore(file)}
+                  className="btn btn-sm btn-secondary"
+                  disabled={busy}
+                  title="Replace the mapped fields with this version"
+                >
+                  Restore
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {comparison && (
+        <div className="history-diff">
+          <p className="field-list-hint">
+            {comparison.fromName} → {comparison.toName}:{' '}
+            {Object.entries(DIFF_STATUSES)
+              .filter(([key]) => counts[key])
+              .map(([key, { label }]) => `${counts[key]} ${label.toLowerCase()}`)
+              .join(', ') || 'no fields'}
+          </p>
+          <div className="history-legend">
+            {Object.entries(DIFF_STATUSES).map(([key, { label, color }]) => (
+              <span key={key}><span className="history-swatch" style={{ background: color }} />{label}</span>
+            ))}
+          </div>
+          <label className="catalog-required">
+            <input type="checkbox" checked={hideUnchanged} onChange={(e) => setHideUnchanged(e.target.checked)} />
+            Hide unchanged
+          </label>
+          {rows.length > 0 && (
+            <table className="history-table">
+              <thead>
+                <tr>
+                  <th>Field</th>
+                  <th>Before</th>
+                  <th>After</th>
+                  <th title="Top-left corner, in points">Δ x, y</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => {
+                  const before = row.before && entryRect(row.before, geometries, activeDocumentId);
+                  const after = row.after && entryRect(row.after, geometries, activeDocumentId);
+                  const shown = after || before;
+                  const onPage = shown && shown.documentId === activeDocumentId;
+                  return (
+                    <tr
+                      key={row.label}
+                      className={onPage ? 'history-row-link' : undefined}
+                      onClick={onPage ? () => onShowPage(shown.pageNum) : undefined}
+                      title={row.changes.join('; ') || undefined}
+                    >
+                      <td>
+                        <span className="history-swatch" style={{ background: DIFF_STATUSES[row.status].color }} />
+                        {row.label}
+                        <small> {DIFF_STATUSES[row.status].label.toLowerCase()}</small>
+                      </td>
+                      <td>{formatEntry(row.before, before)}</td>
+                      <td>{formatEntry(row.after, after)}</td>
+                      <td>{formatDelta(before, after)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      {status.state === 'done' && <p className="save-message">{status.message}</p>}
+      {status.state === 'done' && status.problems && status.problems.length > 0 && (
+        <ul className="save-errors">
+          {status.problems.map((problem, index) => (
+            <li key={index}>{problem}</li>
+          ))}
+        </ul>
+      )}
+      {status.errors.length > 0 && (
+        <ul className="save-errors">
+          {status.errors.map((error, index) => (
+            <li key={index}>{error}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default HistoryPanel;
@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import { listSavedFields } from '../utils/api';
+
+const LATEST = 'latest';
+
+function ImportPanel({ onImportWidgets, onImportJson, onImportSaved }) {
+  const [savedFiles, setSavedFiles] = useState(null); // null until listed
+  const [selectedFile, setSelectedFile] = useState(LATEST);
+  const [status, setStatus] = useState({ state: 'idle', errors: [] });
+
+  // Run an import and show its report: { imported, problems }
+  const run = async (importer) => {
+    setStatus({ state: 'importing', errors: [] });
+    try {
+      const { imported, problems } = await importer();
+      setStatus({
+        state: 'done',
+        errors: [],
+        message: `Imported ${imported} placement${imported === 1 ? '' : 's'}`,
+        problems
+      });
+    } catch (error) {
+      console.error('Error importing placements:', error);
+      setStatus({ state: 'error', errors: error.messages || [error.message] });
+    }
+  };
+
+  const handleJsonFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    run(async () => {
+      let data;
+      try {
+        data = JSON.parse(await file.text());
+      } catch (error) {
+        throw new Error(`${file.name} is not valid JSON`);
+      }
+      return onImportJson(data);
+    });
+  };
+
+  const handleListSaved = async () => {
+    try {
+      setSavedFiles(await listSavedFields());
+    } catch (error) {
+      console.error('Error listing saved fields:', error);
+      setStatus({ state: 'error', errors: error.messages || [error.message] });
+    }
+  };
+
+  return (
+    <div className="import-panel">
+      <h3>Import</h3>
+      <div className="export-actions">
+        <button
+          onClick={() => run(onImportWidgets)}
+          className="btn btn-sm btn-secondary"
+          disabled={status.state === 'importing'}
+          title="Convert the PDF's own form fields into placements"
+        >
+          PDF form fields
+        </button>
+        <label className="btn btn-sm btn-secondary" title="Saved fields file or DocuSign tabs JSON">
+          JSON file…
+          <input type="file" accept="application/json,.json" onChange={handleJsonFile} style={{ display: 'none' }} />
+        </label>
+      </div>
+
+      {savedFiles === null ? (
+        <button onClick={handleListSaved} className="btn-link">Load saved fields from the backend…</button>
+      ) : (
+        <div className="import-saved">
+          <select value={selectedFile} onChange={(e) => setSelectedFile(e.target.value)}>
+            <option value={LATEST}>Latest</option>
+            {savedFiles.map(file => (
+              <option key={file.filename} value={file.filename}>
+                {file.timestamp ? new Date(file.timestamp).toLocaleString() : file.filename} ({file.fields_count})
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={() => run(() => onImportSaved(selectedFile === LATEST ? null : selectedFile))}
+            className="btn btn-sm btn-secondary"
+            disabled={status.state === 'importing'}
+          >
+            Load
+          </button>
+        </div>
+      )}
+
+      {status.state === 'importing' && <p className="field-list-hint">Importing...</p>}
+      {status.state === 'done' && <p className="save-message">{status.message}</p>}
+      {status.state === 'done' && status.problems.length > 0 && (
+        <div className="import-problems">
+          <strong>Not imported:</strong>
+          <ul className="save-errors">
+            {status.problems.map((problem, index) => (
+              <li key={index}>{problem}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {status.errors.length > 0 && (
+        <ul className="save-errors">
+          {status.errors.map((error, index) => (
+            <li key={index}>{error}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default ImportPanel;
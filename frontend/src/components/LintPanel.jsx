@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import { LINT_RULES } from '../utils/lint';
+
+function LintPanel({ issues, textStatus, onSelectIssue }) {
+  const [showWarnings, setShowWarnings] = useState(true);
+
+  const errors = issues.filter(issue => issue.severity === 'error');
+  const warnings = issues.filter(issue => issue.severity === 'warning');
+  const shown = showWarnings ? issues : errors;
+
+  return (
+    <div className="lint-panel">
+      <div className="panel-header">
+        <h3>Checks</h3>
+        {warnings.length > 0 && (
+          <button onClick={() => setShowWarnings(prev => !prev)} className="btn-link">
+            {showWarnings ? 'Hide warnings' : 'Show warnings'}
+          </button>
+        )}
+      </div>
+
+      <div className="lint-summary">
+        <span className={`lint-count ${errors.length > 0 ? 'error' : ''}`}>
+          {errors.length} error{errors.length === 1 ? '' : 's'}
+        </span>
+        <span className={`lint-count ${warnings.length > 0 ? 'warning' : ''}`}>
+          {warnings.length} warning{warnings.length === 1 ? '' : 's'}
+        </span>
+      </div>
+      {errors.length > 0 && (
+        <p className="field-list-hint">Fix the errors to save or export</p>
+      )}
+      {textStatus === 'loading' && <p className="field-list-hint">Reading page text...</p>}
+      {textStatus === 'error' && <p className="field-list-hint">Couldn't read the page text; tabs over text aren't checked</p>}
+
+      {issues.length === 0 ? (
+        <p className="save-message">No problems found</p>
+      ) : (
+        <ul className="lint-issues">
+          {shown.map(issue => (
+            <li
+              key={issue.id}
+              className={`lint-issue ${issue.severity}`}
+              onClick={() => onSelectIssue(issue)}
+              title={LINT_RULES[issue.rule].label}
+            >
+              <span className="lint-icon">{issue.severity === 'error' ? '⛔' : '⚠'}</span>
+              <span>{issue.message}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default LintPanel;
@@ -0,0 +1,69 @@
+import React from 'react';
+import { MEASURE_UNITS, MIN_GRID_SIZE, toUnit, fromUnit, formatMeasure } from '../utils/measure';
+
+// Rulers, grid and snapping options (see utils/measure.js)
+function MeasurePanel({ settings, onChange }) {
+  const update = (changes) => onChange({ ...settings, ...changes });
+  const { unit } = settings;
+
+  return (
+    <div className="measure-panel">
+      <div className="panel-header">
+        <h3>Measure</h3>
+      </div>
+
+      <div className="measure-options">
+        <label className="catalog-required">
+          <input type="checkbox" checked={settings.rulers} onChange={(e) => update({ rulers: e.target.checked })} />
+          Rulers
+        </label>
+        <label className="option-label">
+          Unit
+          <select value={unit} onChange={(e) => update({ unit: e.target.value })}>
+            {Object.entries(MEASURE_UNITS).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="catalog-required">
+          <input type="checkbox" checked={settings.grid} onChange={(e) => update({ grid: e.target.checked })} />
+          Grid
+        </label>
+        <label className="option-label">
+          Spacing ({unit})
+          <input
+            type="number"
+            min={formatMeasure(toUnit(MIN_GRID_SIZE, unit), MEASURE_UNITS[unit].decimals)}
+            step="any"
+            // Keyed by unit so the field shows the converted value when the unit changes
+            key={unit}
+            defaultValue={formatMeasure(toUnit(settings.gridSize, unit), MEASURE_UNITS[unit].decimals)}
+            onChange={(e) => {
+              const size = fromUnit(parseFloat(e.target.value), unit);
+              if (size >= MIN_GRID_SIZE) update({ gridSize: size });
+            }}
+          />
+        </label>
+      </div>
+
+      <div className="measure-options">
+        <span className="measure-snap-title">Snap to</span>
+        <label className="catalog-required">
+          <input type="checkbox" checked={settings.snapGrid} onChange={(e) => update({ snapGrid: e.target.checked })} />
+          Grid
+        </label>
+        <label className="catalog-required">
+          <input type="checkbox" checked={settings.snapBaselines} onChange={(e) => update({ snapBaselines: e.target.checked })} />
+          Text baselines
+        </label>
+        <label className="catalog-required">
+          <input type="checkbox" checked={settings.snapEdges} onChange={(e) => update({ snapEdges: e.target.checked })} />
+          Tab edges
+        </label>
+      </div>
+      <p className="field-list-hint">Snapping applies to new tabs and to moving and resizing; hold Alt to place freely</p>
+    </div>
+  );
+}
+
+export default MeasurePanel;
@@ -1,12 +1,16 @@
 import React, { useEffect, useRef } from 'react';
+import { computeScale } from '../utils/zoom';
 
-function PDFViewer({ pdfDoc, pageNum, onPageRender }) {
+function PDFViewer({ pdfDoc, pageNum, zoom, availableSize, pixelRatio = 1, onPageRender }) {
   const canvasRef = useRef(null);
   const renderTaskRef = useRef(null);
 
   useEffect(() => {
     if (!pdfDoc || !canvasRef.current) return;
 
+    // Set when a newer render supersedes this one while the page is still loading
+    let superseded = false;
+
     const renderPage = async () => {
       try {
         // Cancel any ongoing render
@@ -17,7 +21,7 @@ function PDFViewer({ pdfDoc, pageNum, onPageRender }) {
         const page = await pdfDoc.getPage(pageNum);
         const canvas = canvasRef.current;
 
-        if (!canvas) return;
+        if (!canvas || superseded) return;
 
         const context = canvas.getContext('2d');
         if (!context) {
@@ -25,9 +29,7 @@ function PDFViewer({ pdfDoc, pageNum, onPageRender }) {
           return;
         }
 
-        // Calculate scale to fit container (max width 800px)
-        const container = canvas.parentElement;
-        const maxWidth = 800;
+        // Calculate scale from the zoom mode (fit width / fit page / fixed level)
         const viewport = page.getViewport({ scale: 1.0 });
 
         if (!viewport || viewport.width === 0 || viewport.height === 0) {
@@ -35,7 +37,7 @@ function PDFViewer({ pdfDoc, pageNum, onPageRender }) {
           return;
         }
 
-        const scale = Math.min(maxWidth / viewport.width, 2.0); // Max 2x zoom
+        const scale = computeScale(zoom, viewport, availableSize);
         const scaledViewport = page.getViewport({ scale });
 
         // Validate scaled viewport
@@ -44,33 +46,40 @@ function PDFViewer({ pdfDoc, pageNum, onPageRender }) {
           return;
         }
 
-        // Set canvas dimensions with validation
+        // Set canvas dimensions with validation (CSS pixels)
         const newWidth = Math.max(1, Math.round(scaledViewport.width));
         const newHeight = Math.max(1, Math.round(scaledViewport.height));
 
-        canvas.height = newHeight;
-        canvas.width = newWidth;
+        // Backing store at device pixel ratio so text stays sharp on HiDPI screens
+        canvas.height = Math.round(newHeight * pixelRatio);
+        canvas.width = Math.round(newWidth * pixelRatio);
+        canvas.style.width = `${newWidth}px`;
+        canvas.style.height = `${newHeight}px`;
 
         // Clear canvas before rendering
-        context.clearRect(0, 0, newWidth, newHeight);
+        context.clearRect(0, 0, canvas.width, canvas.height);
 
         // Render PDF page
         const renderContext = {
           canvasContext: context,
           viewport: scaledViewport,
+          transform: pixelRatio !== 1 ? [pixelRatio, 0, 0, pixelRatio, 0, 0] : null
         };
 
         renderTaskRef.current = page.render(renderContext);
         await renderTaskRef.current.promise;
 
-        // Notify parent of dimensions
+        // Notify parent of dimensions and the viewport used for coordinate conversion
         if (onPageRender) {
-          onPageRender(newWidth, newHeight, scale);
+          onPageRender(newWidth, newHeight, scale, scaledViewport);
         }
 
         console.log(`Page ${pageNum} rendered successfully`);
 
       } catch (error) {
+        // A newer render (page change, zoom) replaced this one
+        if (error && error.name === 'RenderingCancelledException') return;
+
         console.error(`Error rendering page ${pageNum}:`, error);
 
         // Clear canvas on error
@@ -92,17 +101,18 @@ function PDFViewer({ pdfDoc, pageNum, onPageRender }) {
     renderPage();
 
     return () => {
+      superseded = true;
       if (renderTaskRef.current) {
         renderTaskRef.current.cancel();
       }
     };
-  }, [pdfDoc, pageNum, onPageRender]);
+  }, [pdfDoc, pageNum, zoom, availableSize, pixelRatio, onPageRender]);
 
   return (
     <canvas
       ref={canvasRef}
       className="pdf-canvas"
-      style={{ display: 'block', maxWidth: '100%', height: 'auto' }}
+      style={{ display: 'block' }}
     />
   );
 }
@@ -0,0 +1,35 @@
+import React from 'react';
+import { rulerTicks } from '../utils/measure';
+
+// Rulers along the top and left edges of a rendered page, in the chosen unit
+function PageRulers({ geometry, unit }) {
+  if (!geometry) return null;
+
+  const renderRuler = (axis) => (
+    <div
+      className={`ruler ${axis === 'x' ? 'ruler-top' : 'ruler-left'}`}
+      style={axis === 'x' ? { width: geometry.canvasWidth } : { height: geometry.canvasHeight }}
+      aria-hidden="true"
+    >
+      {rulerTicks(geometry, axis, unit).map(({ offset, major, label }) => (
+        <span
+          key={offset}
+          className={`ruler-tick ${major ? 'major' : ''}`}
+          style={axis === 'x' ? { left: offset } : { top: offset }}
+        >
+          {label !== null && <span className="ruler-label">{label}</span>}
+        </span>
+      ))}
+    </div>
+  );
+
+  return (
+    <>
+      {renderRuler('x')}
+      {renderRuler('y')}
+      <span className="ruler-corner" aria-hidden="true">{unit}</span>
+    </>
+  );
+}
+
+export default PageRulers;
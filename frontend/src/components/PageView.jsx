@@ -0,0 +1,95 @@
+import React, { useRef, useCallback } from 'react';
+import PDFViewer from './PDFViewer';
+import useInView from '../hooks/useInView';
+import { computeScale } from '../utils/zoom';
+
+// Render pages up to one screen above and below the visible area
+const PRELOAD_MARGIN = '100% 0px';
+
+// One page slot: the rendered PDF page plus its drawing overlay, and `children` (e.g.
+// rulers) positioned against the page. With `lazy` set the slot keeps its size but
+// only renders (and keeps its canvases) while near the viewport.
+function PageView({
+  pdfDoc,
+  pageNum,
+  pageSize,
+  zoom,
+  availableSize,
+  pixelRatio,
+  lazy = false,
+  rootRef,
+  onPageRender,
+  slotRef,
+  overlayRef,
+  overlayHandlers,
+  cursor,
+  children
+}) {
+  const wrapperRef = useRef(null);
+  const visible = useInView(wrapperRef, rootRef, { rootMargin: PRELOAD_MARGIN, enabled: lazy });
+
+  // Placeholder size matches what PDFViewer will render, so the scroll height is right up front
+  const scale = pageSize ? computeScale(zoom, pageSize, availableSize) : 0;
+  const placeholder = pageSize && {
+    width: Math.max(1, Math.round(pageSize.width * scale)),
+    height: Math.max(1, Math.round(pageSize.height * scale))
+  };
+
+  const setWrapper = useCallback((element) => {
+    wrapperRef.current = element;
+    if (slotRef) slotRef(pageNum, element);
+  }, [slotRef, pageNum]);
+
+  const setOverlay = useCallback((element) => {
+    if (overlayRef) overlayRef(pageNum, element);
+  }, [overlayRef, pageNum]);
+
+  const handlePageRender = useCallback((...args) => {
+    onPageRender(pageNum, ...args);
+  }, [onPageRender, pageNum]);
+
+  // Bind the page number so the parent knows which page a pointer event belongs to
+  const handlers = {};
+  Object.entries(overlayHandlers).forEach(([name, handler]) => {
+    handlers[name] = (e) => handler(e, pageNum);
+  });
+
+  return (
+    <div
+      ref={setWrapper}
+      className="page-wrapper"
+      data-page={pageNum}
+      style={placeholder || undefined}
+    >
+      {visible ? (
+        <>
+          <PDFViewer
+            pdfDoc={pdfDoc}
+            pageNum={pageNum}
+            zoom={zoom}
+            availableSize={availableSize}
+            pixelRatio={pixelRatio}
+            onPageRender={handlePageRender}
+          />
+          <canvas
+            ref={setOverlay}
+            className="drawing-canvas"
+            {...handlers}
+            style={{
+              cursor,
+              userSelect: 'none',
+              WebkitUserSelect: 'none',
+              MozUserSelect: 'none',
+              msUserSelect: 'none'
+            }}
+          />
+          {children}
+        </>
+      ) : (
+        <div className="page-placeholder">Page {pageNum}</div>
+      )}
+    </div>
+  );
+}
+
+export default PageView;
@@ -0,0 +1,36 @@
+import React, { useState } from 'react';
+
+// Password prompt for an encrypted PDF; `incorrect` when the last attempt was wrong
+function PasswordDialog({ name, incorrect, onSubmit, onCancel }) {
+  const [password, setPassword] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (password) onSubmit(password);
+  };
+
+  return (
+    <div className="modal-backdrop">
+      <form className="modal password-dialog" role="dialog" aria-labelledby="password-title" onSubmit={handleSubmit}>
+        <h2 id="password-title">Password required</h2>
+        <p className="field-list-hint">{name} is password-protected. Enter its password to open it.</p>
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          className="password-input"
+          aria-label="Password"
+          autoFocus
+        />
+        {incorrect && <p className="password-error">Incorrect password, please try again</p>}
+
+        <div className="modal-actions">
+          <button type="button" onClick={onCancel} className="btn btn-sm btn-secondary">Cancel</button>
+          <button type="submit" className="btn btn-sm btn-primary" disabled={!password}>Open</button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default PasswordDialog;
@@ -0,0 +1,341 @@
+import React, { useState } from 'react';
+import { TAB_TYPES } from '../utils/placements';
+import { pointsToInches } from '../utils/coordinates';
+import { PAGE_SELECTIONS, selectPages, copiesOf } from '../utils/repeat';
+import { describePlacement } from '../utils/keyboardPlacement';
+
+// Pick the pages to repeat a placement on
+function RepeatForm({ placement, totalPages, onRepeat, onCancel }) {
+  const [selection, setSelection] = useState({ mode: 'all', from: 1, to: totalPages });
+  const pages = selectPages(selection, totalPages).filter(p => p !== placement.pageNum);
+
+  const update = (changes) => setSelection(prev => ({ ...prev, ...changes }));
+
+  return (
+    <div className="repeat-form" onClick={(e) => e.stopPropagation()}>
+      <select value={selection.mode} onChange={(e) => update({ mode: e.target.value })}>
+        {Object.entries(PAGE_SELECTIONS).map(([mode, label]) => (
+          <option key={mode} value={mode}>{label}</option>
+        ))}
+      </select>
+      {selection.mode === 'range' && (
+        <span className="repeat-range">
+          <input type="number" min="1" max={totalPages} value={selection.from} onChange={(e) => update({ from: parseInt(e.target.value) || 1 })} />
+          –
+          <input type="number" min="1" max={totalPages} value={selection.to} onChange={(e) => update({ to: parseInt(e.target.value) || 1 })} />
+        </span>
+      )}
+      <div className="export-actions">
+        <button onClick={onCancel} className="btn btn-sm btn-secondary">Cancel</button>
+        <button onClick={() => onRepeat(selection)} className="btn btn-sm btn-primary" disabled={pages.length === 0}>
+          Copy to {pages.length} page{pages.length === 1 ? '' : 's'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function PlacementList({
+  placements,
+  currentPage,
+  pageGeometry,
+  recipients,
+  recipientFilter,
+  onRecipientFilterChange,
+  selectedPlacementId,
+  onSelectPlacement,
+  onUpdatePlacement,
+  onDeletePlacement,
+  onClearPage,
+  totalPages,
+  onRepeatPlacement,
+  onDetachCopy,
+  onRemoveCopies
+}) {
+  const [editingId, setEditingId] = useState(null);
+  const [draftLabel, setDraftLabel] = useState('');
+  const [repeatingId, setRepeatingId] = useState(null); // Placement whose repeat form is open
+
+  const placementById = Object.fromEntries(placements.map(p => [p.id, p]));
+
+  const recipientById = Object.fromEntries(recipients.map(r => [r.id, r]));
+  const pagePlacements = placements.filter(p => p.pageNum === currentPage);
+  const visiblePlacements = pagePlacements.filter(
+    p => recipientFilter === 'all' || p.recipientId === recipientFilter
+  );
+
+  const startRename = (placement) => {
+    setEditingId(placement.id);
+    setDraftLabel(placement.label);
+  };
+
+  // Apply the rename as a single change (one undo step) rather than per keystroke
+  const commitRename = () => {
+    const label = draftLabel.trim();
+    const placement = placements.find(p => p.id === editingId);
+    if (placement && label && label !== placement.label) {
+      onUpdatePlacement(editingId, { label });
+    }
+    setEditingId(null);
+  };
+
+  // Keys on a focused list item: Enter/Space select it, Delete removes it, F2 renames
+  // it and Up/Down move between items. Handled here so the page shortcuts don't fire
+  const handleItemKeyDown = (e, placement) => {
+    if (e.target !== e.currentTarget) return;
+
+    const item = e.currentTarget;
+    const focusSibling = (sibling) => {
+      if (sibling) sibling.focus();
+    };
+    if (e.key === 'Enter' || e.key === ' ') {
+      onSelectPlacement(placement.id);
+    } else if (e.key === 'Delete' || e.key === 'Backspace') {
+      focusSibling(item.nextElementSibling || item.previousElementSibling);
+      onDeletePlacement(placement.id);
+    } else if (e.key === 'F2') {
+      startRename(placement);
+    } else if (e.key === 'ArrowDown') {
+      focusSibling(item.nextElementSibling);
+    } else if (e.key === 'ArrowUp') {
+      focusSibling(item.previousElementSibling);
+    } else {
+      return;
+    }
+    e.preventDefault();
+  };
+
+  const handleRenameKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      commitRename();
+    } else if (e.key === 'Escape') {
+      setEditingId(null);
+    }
+  };
+
+  return (
+    <div className="rectangles-list placement-list">
+      <h3 id="placement-list-heading">Placements on Page {currentPage}</h3>
+      <div className="coordinate-info">
+        <div className="docusign-info">
+          <small><strong>DocuSign Points:</strong> 72 DPI coordinate system, top-left origin</small><br/>
+          {pageGeometry && (
+            <>
+              <small>
+                This page: {Math.round(pageGeometry.width)}×{Math.round(pageGeometry.height)} points
+                ({pointsToInches(pageGeometry.width).toFixed(2)}"×{pointsToInches(pageGeometry.height).toFixed(2)}")
+              </small><br/>
+              {pageGeometry.rotation !== 0 && (
+                <><small>Rotated {pageGeometry.rotation}°</small><br/></>
+              )}
+            </>
+          )}
+          <small>Conversion: PDF viewport transform (CropBox and rotation aware)</small>
+        </div>
+      </div>
+
+      {recipients.length > 1 && (
+        <select
+          value={recipientFilter}
+          onChange={(e) => onRecipientFilterChange(e.target.value)}
+          className="placement-filter"
+        >
+          <option value="all">All recipients</option>
+          {recipients.map(recipient => (
+            <option key={recipient.id} value={recipient.id}>{recipient.name}</option>
+          ))}
+        </select>
+      )}
+
+      {visiblePlacements.length === 0 ? (
+        <p className="no-rectangles">No tabs placed yet</p>
+      ) : (
+        <div className="rectangle-items" role="list" aria-labelledby="placement-list-heading">
+          {visiblePlacements.map((placement) => {
+            const recipient = recipientById[placement.recipientId];
+            const master = placement.repeat && placementById[placement.repeat.masterId];
+            const copyCount = copiesOf(placements, placement.id).length;
+            return (
+              <div
+                key={placement.id}
+                className={`rectangle-item ${placement.id === selectedPlacementId ? 'selected' : ''}`}
+                style={recipient && { borderColor: recipient.color }}
+                onClick={() => onSelectPlacement(placement.id)}
+                onKeyDown={(e) => handleItemKeyDown(e, placement)}
+                role="listitem"
+                tabIndex={0}
+                aria-label={describePlacement(placement, recipient)}
+                aria-current={placement.id === selectedPlacementId ? 'true' : undefined}
+              >
+                <div className="rect-info">
+                  {editingId === placement.id ? (
+                    <input
+                      type="text"
+                      value={draftLabel}
+                      onChange={(e) => setDraftLabel(e.target.value)}
+                      onBlur={commitRename}
+                      onKeyDown={handleRenameKeyDown}
+                      className="rename-input"
+                      autoFocus
+                    />
+                  ) : (
+                    <div
+                      className="rect-label"
+                      style={recipient && { color: recipient.color }}
+                      onDoubleClick={() => startRename(placement)}
+                      title="Double-click to rename"
+                    >
+                      {placement.label}
+                    </div>
+                  )}
+                  <div className="rect-coords">
+                    <span className="coord-label">Points:</span> ({Math.round(placement.x)}, {Math.round(placement.y)})
+                  </div>
+                  {placement.anchor && (
+                    <div className="rect-anchor" title="Exported as a DocuSign anchor tab; moving it makes it absolute">
+                      ⚓ Anchored to “{placement.anchor.anchorString}”
+                    </div>
+                  )}
+                  {master && (
+                    <div className="rect-repeat" title="Follows its master; moving or editing it detaches it">
+                      ⧉ Copy of “{master.label}” (page {master.pageNum})
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          onDetachCopy(placement.id);
+                        }}
+                        className="btn-link"
+                      >
+                        Detach
+                      </button>
+                    </div>
+                  )}
+                  {copyCount > 0 && (
+                    <div className="rect-repeat">
+                      ⧉ Repeated on {copyCount} other page{copyCount === 1 ? '' : 's'}
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          onRemoveCopies(placement.id);
+                        }}
+                        className="btn-link"
+                      >
+                        Remove copies
+                      </button>
+                    </div>
+                  )}
+                  {placement.kind === 'region' && (
+                    <div className="rect-size">
+                      Size: {Math.round(placement.width)}×{Math.round(placement.height)} pt
+                    </div>
+                  )}
+                  <div className="rect-inches">
+                    Inches: ({pointsToInches(placement.x).toFixed(2)}", {pointsToInches(placement.y).toFixed(2)}")
+                  </div>
+                  <div className="placement-controls">
+                    <select
+                      value={placement.tabType}
+                      onChange={(e) => onUpdatePlacement(placement.id, { tabType: e.target.value })}
+                      title="Tab type"
+                      aria-label={`Tab type of ${placement.label}`}
+                    >
+                      {Object.entries(TAB_TYPES).map(([type, { label }]) => (
+                        <option key={type} value={type}>{label}</option>
+                      ))}
+                    </select>
+                    <select
+                      value={placement.recipientId}
+                      onChange={(e) => onUpdatePlacement(placement.id, { recipientId: e.target.value })}
+                      title="Recipient"
+                      aria-label={`Recipient of ${placement.label}`}
+                    >
+                      {recipients.map(r => (
+                        <option key={r.id} value={r.id}>{r.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {repeatingId === placement.id && (
+                    <RepeatForm
+                      placement={placement}
+                      totalPages={totalPages}
+                      onRepeat={(selection) => {
+                        onRepeatPlacement(placement.id, selection);
+                        setRepeatingId(null);
+                      }}
+                      onCancel={() => setRepeatingId(null)}
+                    />
+                  )}
+                </div>
+                <div className="placement-actions">
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      startRename(placement);
+                    }}
+                    className="btn-icon"
+                    title="Rename"
+                    aria-label={`Rename ${placement.label}`}
+                  >
+                    ✎
+                  </button>
+                  {!placement.repeat && totalPages > 1 && (
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        setRepeatingId(repeatingId === placement.id ? null : placement.id);
+                      }}
+                      className="btn-icon"
+                      title="Repeat on other pages"
+                      aria-label={`Repeat ${placement.label} on other pages`}
+                    >
+                      ⧉
+                    </button>
+                  )}
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onDeletePlacement(placement.id);
+                    }}
+                    className="btn-delete"
+                    title="Delete"
+                    aria-label={`Delete ${placement.label}`}
+                  >
+                    ×
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {pagePlacements.length > 0 && (
+        <div className="points-summary">
+          <div className="summary-item">
+            <strong>Tabs on this page:</strong> {pagePlacements.length}
+          </div>
+          <div className="summary-item">
+            <strong>Total tabs:</strong> {placements.length}
+          </div>
+          {recipients.length > 1 && recipients.map(recipient => (
+            <div key={recipient.id} className="summary-item">
+              <span style={{ color: recipient.color }}>{recipient.name}</span>
+              {placements.filter(p => p.recipientId === recipient.id).length}
+            </div>
+          ))}
+          <div className="clear-action">
+            <span
+              onClick={onClearPage}
+              className="clear-all-link"
+              title="Clear all tabs on this page"
+            >
+              Clear All
+            </span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PlacementList;
@@ -0,0 +1,37 @@
+import React from 'react';
+
+const formatDate = (iso) => new Date(iso).toLocaleString(undefined, {
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+function RecentSessions({ sessions, onOpen, onDelete }) {
+  if (sessions.length === 0) return null;
+
+  return (
+    <div className="recent-sessions">
+      <h3>Recent sessions</h3>
+      <ul>
+        {sessions.map((session) => (
+          <li key={session.fingerprint} className="recent-session">
+            <button onClick={() => onOpen(session)} className="recent-session-open" title="Reopen this PDF and its tabs">
+              <span className="recent-session-name">{session.fileName}</span>
+              <span className="recent-session-meta">
+                {session.placements.length} tab{session.placements.length === 1 ? '' : 's'} · {session.totalPages} page{session.totalPages === 1 ? '' : 's'} · {formatDate(session.updatedAt)}
+              </span>
+            </button>
+            <button
+              onClick={() => onDelete(session)}
+              className="btn-delete btn-delete-sm"
+              title="Forget this session"
+            >
+              ×
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default RecentSessions;
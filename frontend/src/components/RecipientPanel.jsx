@@ -0,0 +1,85 @@
+import React from 'react';
+import { MARKER_SHAPES } from '../utils/placements';
+
+function RecipientPanel({ recipients, activeRecipientId, onSelectRecipient, onAddRecipient, onUpdateRecipient, onRemoveRecipient }) {
+  return (
+    <div className="recipient-panel">
+      <div className="panel-header">
+        <h3>Recipients</h3>
+        <button onClick={onAddRecipient} className="btn btn-sm btn-secondary" title="Add recipient">
+          + Add
+        </button>
+      </div>
+      <p className="field-list-hint">New tabs are assigned to the highlighted recipient</p>
+
+      <div className="recipient-items">
+        {recipients.map((recipient) => (
+          <div
+            key={recipient.id}
+            className={`recipient-item ${recipient.id === activeRecipientId ? 'selected' : ''}`}
+            style={{ borderLeftColor: recipient.color }}
+            onClick={() => onSelectRecipient(recipient.id)}
+          >
+            <div className="recipient-row">
+              <input
+                type="color"
+                value={recipient.color}
+                onChange={(e) => onUpdateRecipient(recipient.id, { color: e.target.value })}
+                className="recipient-color"
+                title="Marker colour"
+              />
+              <input
+                type="text"
+                value={recipient.name}
+                onChange={(e) => onUpdateRecipient(recipient.id, { name: e.target.value })}
+                className="recipient-input"
+                placeholder="Name"
+              />
+              {recipients.length > 1 && (
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onRemoveRecipient(recipient.id);
+                  }}
+                  className="btn-delete btn-delete-sm"
+                  title="Remove recipient"
+                >
+                  ×
+                </button>
+              )}
+            </div>
+            <div className="recipient-row">
+              <input
+                type="text"
+                value={recipient.role}
+                onChange={(e) => onUpdateRecipient(recipient.id, { role: e.target.value })}
+                className="recipient-input"
+                placeholder="Role"
+              />
+              <input
+                type="number"
+                min="1"
+                value={recipient.routingOrder}
+                onChange={(e) => onUpdateRecipient(recipient.id, { routingOrder: Math.max(1, parseInt(e.target.value) || 1) })}
+                className="recipient-order"
+                title="Routing order"
+              />
+              <select
+                value={recipient.shape}
+                onChange={(e) => onUpdateRecipient(recipient.id, { shape: e.target.value })}
+                className="recipient-shape"
+                title="Marker shape"
+              >
+                {MARKER_SHAPES.map(shape => (
+                  <option key={shape} value={shape}>{shape}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default RecipientPanel;
@@ -0,0 +1,49 @@
+import React, { useState } from 'react';
+import { isPdfUrl } from '../utils/pdfLoader';
+
+// Open a PDF from a URL (fetched through the backend) or one stored by the backend's /upload
+function RemotePdfForm({ onOpenUrl, onOpenUpload }) {
+  const [url, setUrl] = useState('');
+  const [pdfId, setPdfId] = useState('');
+
+  const handleUrl = (e) => {
+    e.preventDefault();
+    if (isPdfUrl(url.trim())) onOpenUrl(url.trim());
+  };
+
+  const handleUpload = (e) => {
+    e.preventDefault();
+    if (pdfId.trim()) onOpenUpload(pdfId.trim());
+  };
+
+  return (
+    <div className="remote-pdf">
+      <form onSubmit={handleUrl} className="remote-pdf-row">
+        <input
+          type="url"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          placeholder="https://example.com/form.pdf"
+          aria-label="PDF URL"
+        />
+        <button type="submit" className="btn btn-sm btn-secondary" disabled={!isPdfUrl(url.trim())}>
+          🔗 Open URL
+        </button>
+      </form>
+      <form onSubmit={handleUpload} className="remote-pdf-row">
+        <input
+          type="text"
+          value={pdfId}
+          onChange={(e) => setPdfId(e.target.value)}
+          placeholder="pdf_id from /upload"
+          aria-label="Upload id"
+        />
+        <button type="submit" className="btn btn-sm btn-secondary" disabled={!pdfId.trim()}>
+          ☁ Open upload
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default RemotePdfForm;
@@ -0,0 +1,205 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { RETARGET_STATUSES } from '../utils/retarget';
+
+const PREVIEW_WIDTH = 260; // CSS pixels per page side
+
+// Placement marker over a page preview; points are centred on their position
+function Marker({ placement, status, scale }) {
+  const { color } = RETARGET_STATUSES[status];
+  const isPoint = placement.kind === 'point';
+  return (
+    <div
+      className={`retarget-marker ${isPoint ? 'point' : ''}`}
+      style={{
+        left: placement.x * scale,
+        top: placement.y * scale,
+        width: isPoint ? undefined : Math.max(4, placement.width * scale),
+        height: isPoint ? undefined : Math.max(4, placement.height * scale),
+        borderColor: color,
+        background: isPoint ? color : undefined
+      }}
+      title={`${placement.label} · ${RETARGET_STATUSES[status].label}`}
+    />
+  );
+}
+
+// The template's page, drawn from what it stores: page size, placements and their nearby text
+function TemplatePage({ pageSize, items }) {
+  if (!pageSize) return <div className="retarget-missing">Not in the template</div>;
+
+  const scale = PREVIEW_WIDTH / pageSize.width;
+  return (
+    <div className="retarget-page schematic" style={{ width: PREVIEW_WIDTH, height: pageSize.height * scale }}>
+      {items.map(({ original }, index) => original.context && (
+        <span
+          key={`context-${index}`}
+          className="retarget-context"
+          style={{ left: original.context.x * scale, top: original.context.y * scale }}
+        >
+          {original.context.text}
+        </span>
+      ))}
+      {items.map((item, index) => (
+        <Marker key={index} placement={item.original} status={item.status} scale={scale} />
+      ))}
+    </div>
+  );
+}
+
+// The open PDF's page rendered small, with the re-targeted placements on top
+function DocumentPage({ pdfDoc, pageNum, pageSize, items }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    if (!pageSize) return;
+
+    let cancelled = false;
+    let renderTask = null;
+
+    const renderPage = async () => {
+      try {
+        const page = await pdfDoc.getPage(pageNum);
+        const canvas = canvasRef.current;
+        if (!canvas || cancelled) return;
+
+        const pixelRatio = window.devicePixelRatio || 1;
+        const viewport = page.getViewport({ scale: (PREVIEW_WIDTH / pageSize.width) * pixelRatio });
+        canvas.width = Math.round(viewport.width);
+        canvas.height = Math.round(viewport.height);
+
+        renderTask = page.render({ canvasContext: canvas.getContext('2d'), viewport });
+        await renderTask.promise;
+      } catch (error) {
+        if (error && error.name === 'RenderingCancelledException') return;
+        console.error(`Error rendering page ${pageNum} preview:`, error);
+      }
+    };
+
+    renderPage();
+
+    return () => {
+      cancelled = true;
+      if (renderTask) {
+        renderTask.cancel();
+      }
+    };
+  }, [pdfDoc, pageNum, pageSize]);
+
+  if (!pageSize) return <div className="retarget-missing">Not in this PDF</div>;
+
+  const scale = PREVIEW_WIDTH / pageSize.width;
+  const height = pageSize.height * scale;
+  return (
+    <div className="retarget-page" style={{ width: PREVIEW_WIDTH, height }}>
+      <canvas ref={canvasRef} style={{ width: PREVIEW_WIDTH, height }} />
+      {items.map((item, index) => (
+        <Marker key={index} placement={item.placement} status={item.status} scale={scale} />
+      ))}
+    </div>
+  );
+}
+
+function RetargetDialog({ pdfDoc, template, report, pageGeometries, onAccept, onCancel }) {
+  const pageCount = Math.max(template.page_count, pageGeometries.length);
+  const pages = Array.from({ length: pageCount }, (_, index) => index + 1);
+  const unresolvedOn = (pageNum) => report.items.filter(
+    item => item.status === 'unresolved' && item.original.pageNum === pageNum
+  ).length;
+
+  // Start on the first page that needs review
+  const [pageNum, setPageNum] = useState(() => pages.find(p => unresolvedOn(p) > 0) || 1);
+
+  const before = report.items.filter(item => item.original.pageNum === pageNum);
+  const after = report.items.filter(item => item.placement && item.placement.pageNum === pageNum);
+  const listed = report.items.filter(item => before.includes(item) || after.includes(item));
+  const kept = report.items.filter(item => item.placement).length;
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onCancel();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onCancel]);
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal retarget-dialog" role="dialog" aria-labelledby="retarget-title">
+        <h2 id="retarget-title">Re-target “{template.name}”</h2>
+        <p className="field-list-hint">
+          This template was made on a different version of the form. Placements follow the text they were next to.
+        </p>
+
+        <div className="retarget-summary">
+          {Object.entries(RETARGET_STATUSES).map(([status, { label, color }]) => (
+            <span key={status} className="retarget-count">
+              <span className="retarget-swatch" style={{ background: color }} />
+              {label}: {report.counts[status]}
+            </span>
+          ))}
+        </div>
+        {report.differences.length > 0 && (
+          <ul className="retarget-differences">
+            {report.differences.map((difference, index) => (
+              <li key={index}>{difference}</li>
+            ))}
+          </ul>
+        )}
+
+        <div className="retarget-pages">
+          {pages.map(p => (
+            <button
+              key={p}
+              onClick={() => setPageNum(p)}
+              className={`retarget-page-tab ${p === pageNum ? 'active' : ''}`}
+            >
+              Page {p}
+              {unresolvedOn(p) > 0 && <span className="retarget-flag">{unresolvedOn(p)}</span>}
+            </button>
+          ))}
+        </div>
+
+        <div className="retarget-compare">
+          <div className="retarget-side">
+            <h4>Template</h4>
+            <TemplatePage pageSize={template.page_sizes[pageNum - 1]} items={before} />
+          </div>
+          <div className="retarget-side">
+            <h4>This PDF</h4>
+            <DocumentPage
+              pdfDoc={pdfDoc}
+              pageNum={pageNum}
+              pageSize={pageGeometries[pageNum - 1]}
+              items={after}
+            />
+          </div>
+        </div>
+
+        {listed.length > 0 ? (
+          <table className="retarget-table">
+            <tbody>
+              {listed.map((item, index) => (
+                <tr key={index}>
+                  <td>{item.original.label}</td>
+                  <td style={{ color: RETARGET_STATUSES[item.status].color }}>{RETARGET_STATUSES[item.status].label}</td>
+                  <td>{item.message}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p className="field-list-hint">No placements on this page</p>
+        )}
+
+        <div className="modal-actions">
+          <button onClick={onCancel} className="btn btn-sm btn-secondary">Cancel</button>
+          <button onClick={onAccept} className="btn btn-sm btn-primary">
+            Accept {kept} placement{kept === 1 ? '' : 's'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RetargetDialog;
@@ -0,0 +1,44 @@
+import React from 'react';
+
+const plural = (count) => `${count} change${count === 1 ? '' : 's'}`;
+
+// Header badge for backend writes queued while offline (see hooks/useBackendSync.js)
+function SyncStatus({ pending, online, syncing, rejected, onSync, onDismissRejected }) {
+  let state;
+  let text;
+  if (syncing) {
+    state = 'syncing';
+    text = `⟳ Syncing ${plural(pending)}…`;
+  } else if (!online) {
+    state = 'offline';
+    text = pending > 0 ? `⚠ Offline · ${plural(pending)} waiting` : '⚠ Offline';
+  } else if (pending > 0) {
+    state = 'pending';
+    text = `${plural(pending)} waiting for the backend`;
+  } else {
+    state = 'synced';
+    text = '✓ Synced';
+  }
+
+  return (
+    <div className={`sync-status ${state}`} role="status">
+      <span title={pending > 0 ? 'Saved in this browser; sent to the backend once it can be reached' : undefined}>
+        {text}
+      </span>
+      {online && pending > 0 && !syncing && (
+        <button onClick={onSync} className="btn btn-sm btn-secondary">Retry</button>
+      )}
+      {rejected.length > 0 && (
+        <span
+          className="sync-rejected"
+          title={rejected.map(({ entry, messages }) => `${entry.description}: ${messages.join(' ')}`).join('\n')}
+        >
+          ✕ {plural(rejected.length)} rejected
+          <button onClick={onDismissRejected} className="btn-link" aria-label="Dismiss">×</button>
+        </span>
+      )}
+    </div>
+  );
+}
+
+export default SyncStatus;
@@ -0,0 +1,173 @@
+import React, { useState, useEffect } from 'react';
+import { listTemplates, getTemplate, updateTemplate, deleteTemplate } from '../utils/api';
+
+function TemplatePanel({ fingerprint, activeTemplate, onSaveNew, onUpdate, onApply, onRenamed, onDeleted }) {
+  const [templates, setTemplates] = useState(null); // null until listed
+  const [name, setName] = useState('');
+  const [status, setStatus] = useState({ state: 'idle', errors: [] });
+
+  const refresh = async () => {
+    try {
+      setTemplates(await listTemplates());
+    } catch (error) {
+      console.error('Error listing templates:', error);
+      setTemplates([]);
+      setStatus({ state: 'error', errors: error.messages || [error.message] });
+    }
+  };
+
+  useEffect(() => {
+    refresh();
+  }, [fingerprint, activeTemplate && activeTemplate.id]);
+
+  // Run a template action, then show `message` and refresh the list. Actions may
+  // return a list of problems to report, false when the user cancelled, or
+  // { queued: true } when the write waits for the backend (see utils/syncQueue.js)
+  const run = async (action, message) => {
+    setStatus({ state: 'working', errors: [] });
+    try {
+      const problems = await action();
+      if (problems === false) {
+        setStatus({ state: 'idle', errors: [] });
+        return;
+      }
+      if (problems && problems.queued) {
+        setStatus({ state: 'done', errors: [], message: `${message} (queued until the backend can be reached)`, problems: [] });
+        return;
+      }
+      setStatus({ state: 'done', errors: [], message, problems: problems || [] });
+      await refresh();
+    } catch (error) {
+      console.error('Template action failed:', error);
+      setStatus({ state: 'error', errors: error.messages || [error.message] });
+    }
+  };
+
+  const handleSaveNew = () => {
+    if (!name.trim()) return;
+    run(async () => {
+      const result = await onSaveNew(name);
+      setName('');
+      return result;
+    }, `Saved template “${name.trim()}”`);
+  };
+
+  const handleRename = (summary) => {
+    const newName = window.prompt('Template name', summary.name);
+    if (!newName || !newName.trim() || newName.trim() === summary.name) return;
+    run(async () => {
+      const template = await getTemplate(summary.id);
+      const result = await updateTemplate(summary.id, { ...template, name: newName.trim() });
+      onRenamed(summary, newName.trim());
+      return result.queued ? result : null;
+    }, `Renamed to “${newName.trim()}”`);
+  };
+
+  const handleDelete = (summary) => {
+    if (!window.confirm(`Delete the template “${summary.name}”?`)) return;
+    run(async () => {
+      const result = await deleteTemplate(summary.id);
+      onDeleted(summary);
+      return result.queued ? result : null;
+    }, `Deleted “${summary.name}”`);
+  };
+
+  // Templates made on this PDF first
+  const sorted = (templates || []).slice().sort(
+    (a, b) => (b.fingerprint === fingerprint) - (a.fingerprint === fingerprint)
+  );
+  const busy = status.state === 'working';
+
+  return (
+    <div className="template-panel">
+      <h3>Templates</h3>
+
+      {activeTemplate && (
+        <div className="template-active">
+          <span>
+            Using <strong>{activeTemplate.name}</strong>
+            {activeTemplate.autoApplied && <small> (applied automatically)</small>}
+          </span>
+          <button
+            onClick={() => run(() => onUpdate(activeTemplate), `Updated “${activeTemplate.name}”`)}
+            className="btn btn-sm btn-secondary"
+            disabled={busy}
+            title="Save the current placements into this template"
+          >
+            Update
+          </button>
+        </div>
+      )}
+
+      <div className="template-save">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleSaveNew()}
+          placeholder="New template name"
+        />
+        <button onClick={handleSaveNew} className="btn btn-sm btn-primary" disabled={!name.trim() || busy}>
+          Save
+        </button>
+      </div>
+
+      {templates === null ? (
+        <p className="field-list-hint">Loading templates...</p>
+      ) : sorted.length === 0 ? (
+        <p className="field-list-hint">No templates yet</p>
+      ) : (
+        <ul className="template-list">
+          {sorted.map(summary => (
+            <li
+              key={summary.id}
+              className={`template-item ${activeTemplate && activeTemplate.id === summary.id ? 'active' : ''}`}
+            >
+              <div className="template-info">
+                <strong>
+                  {summary.fingerprint === fingerprint && <span className="template-match" title="Made on this PDF">✓ </span>}
+                  {summary.name}
+                </strong>
+                <small>
+                  {summary.placements_count} tab{summary.placements_count === 1 ? '' : 's'} · {summary.page_count} page{summary.page_count === 1 ? '' : 's'} · {new Date(summary.updated_at).toLocaleDateString()}
+                </small>
+              </div>
+              <button
+                onClick={() => run(() => onApply(summary), `Applied “${summary.name}”`)}
+                className="btn btn-sm btn-secondary"
+                disabled={busy}
+                title={summary.fingerprint === fingerprint ? undefined : 'Made on a different PDF: review where its placements land first'}
+              >
+                {summary.fingerprint === fingerprint ? 'Apply' : 'Re-target…'}
+              </button>
+              <button onClick={() => handleRename(summary)} className="btn-link" disabled={busy}>
+                Rename
+              </button>
+              <button onClick={() => handleDelete(summary)} className="btn-delete btn-delete-sm" disabled={busy} title="Delete template">
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {status.state === 'done' && <p className="save-message">{status.message}</p>}
+      {status.state === 'done' && status.problems.length > 0 && (
+        <ul className="save-errors">
+          {status.problems.map((problem, index) => (
+            <li key={index}>{problem}</li>
+          ))}
+        </ul>
+      )}
+      {status.errors.length > 0 && (
+        <ul className="save-errors">
+          {status.errors.map((error, index) => (
+            <li key={index}>{error}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default TemplatePanel;
@@ -0,0 +1,103 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import useInView from '../hooks/useInView';
+
+const THUMBNAIL_WIDTH = 110; // CSS pixels
+
+// A single page thumbnail, rendered only while it's scrolled into the rail
+function Thumbnail({ pdfDoc, pageNum, pageSize, count, isCurrent, railRef, onSelect }) {
+  const buttonRef = useRef(null);
+  const canvasRef = useRef(null);
+  const visible = useInView(buttonRef, railRef, { rootMargin: '200px 0px' });
+
+  const height = pageSize ? Math.round(THUMBNAIL_WIDTH * pageSize.height / pageSize.width) : THUMBNAIL_WIDTH;
+
+  useEffect(() => {
+    if (!visible || !pdfDoc) return;
+
+    let cancelled = false;
+    let renderTask = null;
+
+    const renderThumbnail = async () => {
+      try {
+        const page = await pdfDoc.getPage(pageNum);
+        const canvas = canvasRef.current;
+        if (!canvas || cancelled) return;
+
+        const pixelRatio = window.devicePixelRatio || 1;
+        const viewport = page.getViewport({ scale: 1 });
+        const scaledViewport = page.getViewport({ scale: (THUMBNAIL_WIDTH / viewport.width) * pixelRatio });
+
+        canvas.width = Math.round(scaledViewport.width);
+        canvas.height = Math.round(scaledViewport.height);
+
+        renderTask = page.render({ canvasContext: canvas.getContext('2d'), viewport: scaledViewport });
+        await renderTask.promise;
+      } catch (error) {
+        if (error && error.name === 'RenderingCancelledException') return;
+        console.error(`Error rendering thumbnail ${pageNum}:`, error);
+      }
+    };
+
+    renderThumbnail();
+
+    return () => {
+      cancelled = true;
+      if (renderTask) {
+        renderTask.cancel();
+      }
+    };
+  }, [visible, pdfDoc, pageNum]);
+
+  // Keep the current page's thumbnail in view as the document scrolls
+  useEffect(() => {
+    if (isCurrent && buttonRef.current) {
+      buttonRef.current.scrollIntoView({ block: 'nearest' });
+    }
+  }, [isCurrent]);
+
+  return (
+    <button
+      ref={buttonRef}
+      className={`thumbnail ${isCurrent ? 'current' : ''}`}
+      onClick={() => onSelect(pageNum)}
+      title={`Page ${pageNum}${count ? ` · ${count} tab${count === 1 ? '' : 's'}` : ''}`}
+    >
+      <div className="thumbnail-page" style={{ width: THUMBNAIL_WIDTH, height }}>
+        {visible && <canvas ref={canvasRef} style={{ width: THUMBNAIL_WIDTH, height }} />}
+        {count > 0 && <span className="thumbnail-badge">{count}</span>}
+      </div>
+      <span className="thumbnail-label">{pageNum}</span>
+    </button>
+  );
+}
+
+function ThumbnailRail({ pdfDoc, pageGeometries, currentPage, placements, onSelectPage }) {
+  const railRef = useRef(null);
+
+  const countsByPage = useMemo(() => {
+    const counts = {};
+    placements.forEach((p) => {
+      counts[p.pageNum] = (counts[p.pageNum] || 0) + 1;
+    });
+    return counts;
+  }, [placements]);
+
+  return (
+    <div className="thumbnail-rail" ref={railRef}>
+      {pageGeometries.map((geometry, index) => (
+        <Thumbnail
+          key={index + 1}
+          pdfDoc={pdfDoc}
+          pageNum={index + 1}
+          pageSize={geometry}
+          count={countsByPage[index + 1] || 0}
+          isCurrent={currentPage === index + 1}
+          railRef={railRef}
+          onSelect={onSelectPage}
+        />
+      ))}
+    </div>
+  );
+}
+
+export default ThumbnailRail;
@@ -0,0 +1,78 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { replayQueue } from '../utils/api';
+import { QUEUE_STORAGE_KEY, loadQueue, subscribeQueue } from '../utils/syncQueue';
+
+// How often to retry queued writes while the browser is online but the backend isn't answering
+const RETRY_INTERVAL = 30000;
+
+/**
+ * Replay writes queued while the backend was unreachable (see utils/syncQueue.js):
+ * on start, when the browser comes back online, every RETRY_INTERVAL while any are
+ * waiting, and on demand with syncNow().
+ *
+ * Returns { pending, online, syncing, rejected, syncNow, dismissRejected } where
+ * `rejected` lists the queued writes the backend refused: [{ entry, messages }].
+ */
+function useBackendSync() {
+  const [queue, setQueue] = useState(loadQueue);
+  const [online, setOnline] = useState(() => navigator.onLine !== false);
+  const [syncing, setSyncing] = useState(false);
+  const [rejected, setRejected] = useState([]);
+  const syncingRef = useRef(false);
+
+  const syncNow = useCallback(async () => {
+    if (syncingRef.current || loadQueue().length === 0) return;
+    syncingRef.current = true;
+    setSyncing(true);
+    try {
+      const result = await replayQueue();
+      if (result.rejected.length > 0) setRejected(prev => [...prev, ...result.rejected]);
+    } catch (error) {
+      console.warn('Could not replay queued changes:', error);
+    } finally {
+      syncingRef.current = false;
+      setSyncing(false);
+    }
+  }, []);
+
+  const dismissRejected = useCallback(() => setRejected([]), []);
+
+  // Follow the queue, including writes queued in other tabs
+  useEffect(() => {
+    const unsubscribe = subscribeQueue(setQueue);
+    const handleStorage = (e) => {
+      if (e.key === QUEUE_STORAGE_KEY || e.key === null) setQueue(loadQueue());
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => {
+      unsubscribe();
+      window.removeEventListener('storage', handleStorage);
+    };
+  }, []);
+
+  useEffect(() => {
+    const handleOnline = () => {
+      setOnline(true);
+      syncNow();
+    };
+    const handleOffline = () => setOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    syncNow();
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [syncNow]);
+
+  const pending = queue.length;
+  useEffect(() => {
+    if (pending === 0 || !online) return undefined;
+    const timer = setInterval(syncNow, RETRY_INTERVAL);
+    return () => clearInterval(timer);
+  }, [pending, online, syncNow]);
+
+  return { pending, online, syncing, rejected, syncNow, dismissRejected };
+}
+
+export default useBackendSync;
@@ -0,0 +1,27 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Whether an element is within (or within `rootMargin` of) a scroll container,
+ * via IntersectionObserver. Used to render pages and thumbnails lazily.
+ *
+ * When `enabled` is false the element is always treated as visible.
+ */
+function useInView(targetRef, rootRef, { rootMargin = '0px', enabled = true } = {}) {
+  const [inView, setInView] = useState(false);
+
+  useEffect(() => {
+    const target = targetRef.current;
+    if (!enabled || !target) return;
+
+    const observer = new IntersectionObserver(
+      ([entry]) => setInView(entry.isIntersecting),
+      { root: rootRef ? rootRef.current : null, rootMargin }
+    );
+    observer.observe(target);
+    return () => observer.disconnect();
+  }, [targetRef, rootRef, rootMargin, enabled]);
+
+  return enabled ? inView : true;
+}
+
+export default useInView;
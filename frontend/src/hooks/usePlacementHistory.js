@@ -0,0 +1,72 @@
+import { useState, useCallback } from 'react';
+
+// Maximum number of undo steps kept
+const HISTORY_LIMIT = 100;
+
+const resolve = (updater, current) => (typeof updater === 'function' ? updater(current) : updater);
+
+/**
+ * Placement state with a bounded undo/redo history.
+ *
+ * - setPlacements(updater):  change placements and record an undo step
+ * - previewPlacements(updater): change placements without recording (e.g. while dragging)
+ * - commitPreview(snapshot): record `snapshot` (the state before the preview began) as one undo step
+ * - resetPlacements(value): replace placements and clear the history (e.g. new document)
+ */
+function usePlacementHistory(initialPlacements = []) {
+  const [history, setHistory] = useState({ past: [], present: initialPlacements, future: [] });
+
+  const setPlacements = useCallback((updater) => {
+    setHistory((history) => {
+      const { past, present } = history;
+      const next = resolve(updater, present);
+      // A no-op update isn't an edit: keep the redo steps
+      if (next === present) return history;
+      return { past: [...past, present].slice(-HISTORY_LIMIT), present: next, future: [] };
+    });
+  }, []);
+
+  const previewPlacements = useCallback((updater) => {
+    setHistory(current => ({ ...current, present: resolve(updater, current.present) }));
+  }, []);
+
+  const commitPreview = useCallback((snapshot) => {
+    setHistory((history) => {
+      const { past, present } = history;
+      if (snapshot === present) return history;
+      return { past: [...past, snapshot].slice(-HISTORY_LIMIT), present, future: [] };
+    });
+  }, []);
+
+  const resetPlacements = useCallback((value = []) => {
+    setHistory({ past: [], present: value, future: [] });
+  }, []);
+
+  const undo = useCallback(() => {
+    setHistory(({ past, present, future }) => {
+      if (past.length === 0) return { past, present, future };
+      return { past: past.slice(0, -1), present: past[past.length - 1], future: [present, ...future] };
+    });
+  }, []);
+
+  const redo = useCallback(() => {
+    setHistory(({ past, present, future }) => {
+      if (future.length === 0) return { past, present, future };
+      return { past: [...past, present], present: future[0], future: future.slice(1) };
+    });
+  }, []);
+
+  return {
+    placements: history.present,
+    setPlacements,
+    previewPlacements,
+    commitPreview,
+    resetPlacements,
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0
+  };
+}
+
+export default usePlacementHistory;
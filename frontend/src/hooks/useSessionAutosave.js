@@ -0,0 +1,53 @@
+import { useEffect, useRef, useCallback } from 'react';
+import { saveSession } from '../utils/sessionStore';
+
+// Wait for a pause in editing before writing to IndexedDB
+const AUTOSAVE_DELAY = 500;
+
+/**
+ * Autosave the working session (see utils/sessionStore.js) shortly after it changes.
+ * Nothing is saved while `session.fingerprint` is null (no document open).
+ *
+ * Returns flush(), which writes any pending change immediately, e.g. before
+ * the document is closed.
+ */
+function useSessionAutosave(session) {
+  const pendingRef = useRef(null);
+  const timerRef = useRef(null);
+
+  const flush = useCallback(() => {
+    clearTimeout(timerRef.current);
+    timerRef.current = null;
+
+    const pending = pendingRef.current;
+    pendingRef.current = null;
+    if (!pending) return Promise.resolve();
+
+    return saveSession(pending).catch((error) => {
+      console.warn('Could not autosave session:', error);
+    });
+  }, []);
+
+  const { fingerprint, fileName, placements, recipients, documents, activeDocumentId, currentPage, totalPages } = session;
+
+  useEffect(() => {
+    if (!fingerprint) return;
+
+    pendingRef.current = { fingerprint, fileName, placements, recipients, documents, activeDocumentId, currentPage, totalPages };
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(flush, AUTOSAVE_DELAY);
+  }, [fingerprint, fileName, placements, recipients, documents, activeDocumentId, currentPage, totalPages, flush]);
+
+  // Don't lose the last change when the page is closed or the app unmounts
+  useEffect(() => {
+    window.addEventListener('pagehide', flush);
+    return () => {
+      window.removeEventListener('pagehide', flush);
+      flush();
+    };
+  }, [flush]);
+
+  return flush;
+}
+
+export default useSessionAutosave;
@@ -0,0 +1,271 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import {
+  clampZoom,
+  zoomLevelFromScale,
+  nextZoomStep,
+  previousZoomStep
+} from '../utils/zoom';
+
+// Ctrl+wheel sensitivity: zoom factor per wheel delta unit
+const WHEEL_ZOOM_SPEED = 0.0025;
+
+const isEditableTarget = (target) =>
+  target && (target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName));
+
+/**
+ * Zoom and pan state for the scrollable PDF container.
+ *
+ * Zoom: buttons, Ctrl/Cmd+wheel (also trackpad pinch), Safari gesture events and
+ * two-finger touch pinch. The point under the cursor stays put while zooming.
+ * Pan: middle-mouse drag, Space+drag, or left-drag while pan mode is on.
+ *
+ * `enabled` should be true while the container is mounted.
+ */
+function useZoomPan(containerRef, enabled) {
+  const [zoom, setZoom] = useState({ mode: 'fit-width', level: 1 });
+  const [zoomLevel, setZoomLevel] = useState(1); // Effective level of the last render
+  const [availableSize, setAvailableSize] = useState({ width: 0, height: 0 });
+  const [pixelRatio, setPixelRatio] = useState(() => window.devicePixelRatio || 1);
+  const [panMode, setPanMode] = useState(false);
+  const [spaceHeld, setSpaceHeld] = useState(false);
+  const [isPanning, setIsPanning] = useState(false);
+
+  const levelRef = useRef(1); // Latest requested or rendered level, so fast wheel events accumulate
+  const anchorRef = useRef(null); // Scroll anchor to restore after the zoomed render
+  const panRef = useRef(null);
+
+  // Zoom to a fixed level, keeping the container point (x, y) under the cursor
+  const zoomTo = useCallback((level, anchorPoint) => {
+    const container = containerRef.current;
+    const nextLevel = clampZoom(level);
+
+    if (container) {
+      const point = anchorPoint || { x: container.clientWidth / 2, y: container.clientHeight / 2 };
+      anchorRef.current = {
+        ...point,
+        scrollLeft: container.scrollLeft,
+        scrollTop: container.scrollTop,
+        fromLevel: levelRef.current
+      };
+    }
+
+    levelRef.current = nextLevel;
+    setZoom({ mode: 'custom', level: nextLevel });
+  }, [containerRef]);
+
+  const zoomIn = useCallback(() => zoomTo(nextZoomStep(levelRef.current)), [zoomTo]);
+  const zoomOut = useCallback(() => zoomTo(previousZoomStep(levelRef.current)), [zoomTo]);
+  const actualSize = useCallback(() => zoomTo(1), [zoomTo]);
+  const fitWidth = useCallback(() => setZoom(prev => ({ ...prev, mode: 'fit-width' })), []);
+  const fitPage = useCallback(() => setZoom(prev => ({ ...prev, mode: 'fit-page' })), []);
+
+  // Called by the viewer after each render with the scale it actually used
+  const handleRendered = useCallback((scale) => {
+    const level = zoomLevelFromScale(scale);
+    levelRef.current = level;
+    setZoomLevel(level);
+
+    const anchor = anchorRef.current;
+    const container = containerRef.current;
+    anchorRef.current = null;
+    if (!anchor || !container || anchor.fromLevel === level) return;
+
+    // Padding around the page doesn't scale with it
+    const style = window.getComputedStyle(container);
+    const padLeft = parseFloat(style.paddingLeft) || 0;
+    const padTop = parseFloat(style.paddingTop) || 0;
+    const ratio = level / anchor.fromLevel;
+
+    container.scrollLeft = (anchor.scrollLeft + anchor.x - padLeft) * ratio + padLeft - anchor.x;
+    container.scrollTop = (anchor.scrollTop + anchor.y - padTop) * ratio + padTop - anchor.y;
+  }, [containerRef]);
+
+  // Track the space available for fit-width / fit-page
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!enabled || !container) return;
+
+    const measure = () => {
+      const style = window.getComputedStyle(container);
+      const width = container.clientWidth - (parseFloat(style.paddingLeft) || 0) - (parseFloat(style.paddingRight) || 0);
+      const height = container.clientHeight - (parseFloat(style.paddingTop) || 0) - (parseFloat(style.paddingBottom) || 0);
+      setAvailableSize(prev => (
+        prev.width === width && prev.height === height ? prev : { width, height }
+      ));
+    };
+
+    measure();
+    const observer = new ResizeObserver(measure);
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, [containerRef, enabled]);
+
+  // Re-render sharply when the window moves to a screen with a different pixel ratio
+  useEffect(() => {
+    const query = window.matchMedia(`(resolution: ${pixelRatio}dppx)`);
+    const handleChange = () => setPixelRatio(window.devicePixelRatio || 1);
+    query.addEventListener('change', handleChange);
+    return () => query.removeEventListener('change', handleChange);
+  }, [pixelRatio]);
+
+  // Ctrl+wheel, Safari gesture and touch pinch zoom. Listeners are non-passive so
+  // the browser's own page zoom / scroll can be prevented.
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!enabled || !container) return;
+
+    const relativePoint = (clientX, clientY) => {
+      const rect = container.getBoundingClientRect();
+      return { x: clientX - rect.left, y: clientY - rect.top };
+    };
+
+    const handleWheel = (e) => {
+      if (!e.ctrlKey && !e.metaKey) return;
+      e.preventDefault();
+      zoomTo(levelRef.current * Math.exp(-e.deltaY * WHEEL_ZOOM_SPEED), relativePoint(e.clientX, e.clientY));
+    };
+
+    let gestureBase = null;
+    const handleGestureStart = (e) => {
+      e.preventDefault();
+      gestureBase = levelRef.current;
+    };
+    const handleGestureChange = (e) => {
+      e.preventDefault();
+      if (gestureBase !== null) {
+        zoomTo(gestureBase * e.scale, relativePoint(e.clientX, e.clientY));
+      }
+    };
+
+    let pinch = null;
+    const touchDistance = (touches) => Math.hypot(
+      touches[0].clientX - touches[1].clientX,
+      touches[0].clientY - touches[1].clientY
+    );
+    const handleTouchStart = (e) => {
+      if (e.touches.length === 2) {
+        pinch = { distance: touchDistance(e.touches), level: levelRef.current };
+      }
+    };
+    const handleTouchMove = (e) => {
+      if (!pinch || e.touches.length !== 2) return;
+      e.preventDefault();
+      const center = relativePoint(
+        (e.touches[0].clientX + e.touches[1].clientX) / 2,
+        (e.touches[0].clientY + e.touches[1].clientY) / 2
+      );
+      zoomTo(pinch.level * (touchDistance(e.touches) / pinch.distance), center);
+    };
+    const handleTouchEnd = (e) => {
+      if (e.touches.length < 2) pinch = null;
+    };
+
+    container.addEventListener('wheel', handleWheel, { passive: false });
+    container.addEventListener('gesturestart', handleGestureStart);
+    container.addEventListener('gesturechange', handleGestureChange);
+    container.addEventListener('touchstart', handleTouchStart, { passive: true });
+    container.addEventListener('touchmove', handleTouchMove, { passive: false });
+    container.addEventListener('touchend', handleTouchEnd);
+    return () => {
+      container.removeEventListener('wheel', handleWheel);
+      container.removeEventListener('gesturestart', handleGestureStart);
+      container.removeEventListener('gesturechange', handleGestureChange);
+      container.removeEventListener('touchstart', handleTouchStart);
+      container.removeEventListener('touchmove', handleTouchMove);
+      container.removeEventListener('touchend', handleTouchEnd);
+    };
+  }, [containerRef, enabled, zoomTo]);
+
+  // Hold Space to pan temporarily
+  useEffect(() => {
+    if (!enabled) return;
+
+    const handleKeyDown = (e) => {
+      if (e.code === 'Space' && !isEditableTarget(e.target)) {
+        e.preventDefault();
+        setSpaceHeld(true);
+      }
+    };
+    const handleKeyUp = (e) => {
+      if (e.code === 'Space') setSpaceHeld(false);
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+    };
+  }, [enabled]);
+
+  // Capture-phase mouse down on the container, so panning wins over drawing on the overlay
+  const handlePanMouseDown = useCallback((e) => {
+    const container = containerRef.current;
+    const wantsPan = e.button === 1 || (e.button === 0 && (panMode || spaceHeld));
+    if (!container || !wantsPan) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    panRef.current = {
+      x: e.clientX,
+      y: e.clientY,
+      scrollLeft: container.scrollLeft,
+      scrollTop: container.scrollTop
+    };
+    setIsPanning(true);
+
+    const handleMove = (moveEvent) => {
+      const pan = panRef.current;
+      if (!pan) return;
+      container.scrollLeft = pan.scrollLeft - (moveEvent.clientX - pan.x);
+      container.scrollTop = pan.scrollTop - (moveEvent.clientY - pan.y);
+    };
+    const handleUp = () => {
+      panRef.current = null;
+      setIsPanning(false);
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+    };
+
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+  }, [containerRef, panMode, spaceHeld]);
+
+  // Swallow the click that ends a pan so nothing gets placed
+  const handlePanClick = useCallback((e) => {
+    if (panMode || spaceHeld) {
+      e.preventDefault();
+      e.stopPropagation();
+    }
+  }, [panMode, spaceHeld]);
+
+  let panCursor = null;
+  if (isPanning) {
+    panCursor = 'grabbing';
+  } else if (panMode || spaceHeld) {
+    panCursor = 'grab';
+  }
+
+  return {
+    zoom,
+    zoomLevel,
+    availableSize,
+    pixelRatio,
+    zoomIn,
+    zoomOut,
+    zoomTo,
+    actualSize,
+    fitWidth,
+    fitPage,
+    handleRendered,
+    panMode,
+    setPanMode,
+    panCursor,
+    panHandlers: {
+      onMouseDownCapture: handlePanMouseDown,
+      onClickCapture: handlePanClick
+    }
+  };
+}
+
+export default useZoomPan;
@@ -0,0 +1,52 @@
+// Service worker caching the app for offline use. It isn't bundled with the app:
+// vite.config.js builds it to /sw.js with the list of built files filled in, so
+// every build installs a new version and drops the previous cache.
+//
+// The backend is on another origin and is never cached; writes to it made offline
+// are queued by the app instead (see utils/syncQueue.js).
+
+const CACHE_PREFIX = 'pdf-coordinates-';
+const CACHE_NAME = `${CACHE_PREFIX}__BUILD_VERSION__`;
+const PRECACHE_FILES = __PRECACHE_FILES__;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(PRECACHE_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  // Pages: the network first so a new build shows up, the cached app when offline
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request).catch(() => caches.match('/index.html'))
+    );
+    return;
+  }
+
+  // Built files have hashed names and never change: the cache first
+  event.respondWith(
+    caches.match(request).then(cached => cached || fetch(request).then((response) => {
+      if (response.ok) {
+        const copy = response.clone();
+        caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+      }
+      return response;
+    }))
+  );
+});
@@ -0,0 +1,97 @@
+// Anchor-text rules: place a tab at an offset from every occurrence of a phrase.
+//
+// A rule is { id, anchorString, tabType, recipientId, xOffset, yOffset } where the
+// offsets are points from the top-left of the matched text. Placements created by a
+// rule carry `anchor: { ruleId, anchorString, xOffset, yOffset }` and are exported as
+// a single DocuSign anchor tab per rule (see utils/docusign.js), since DocuSign itself
+// places an anchor tab at every occurrence of its anchorString.
+import { createId, nextLabel } from './placements.js';
+import { findTextMatches } from './textContent.js';
+
+const RULES_STORAGE_KEY = 'anchorRules';
+
+// Common phrases offered as quick searches
+export const ANCHOR_PRESETS = ['Signature:', 'Date:', 'Initial here'];
+
+// Default offset: just right of the matched text, aligned with its top
+export const defaultAnchorOffset = (match) => ({ xOffset: Math.round(match.width + 4), yOffset: 0 });
+
+export const createAnchorRule = ({ anchorString, tabType, recipientId, xOffset, yOffset }) => ({
+  id: createId(),
+  anchorString,
+  tabType,
+  recipientId,
+  xOffset,
+  yOffset
+});
+
+// Point placement at `match` + offset, clamped to the page
+export const placementFromMatch = (match, { tabType, recipientId, xOffset, yOffset }, label, pageGeometry) => ({
+  id: createId(),
+  pageNum: match.pageNum,
+  kind: 'point',
+  x: Math.min(pageGeometry.width, Math.max(0, match.x + xOffset)),
+  y: Math.min(pageGeometry.height, Math.max(0, match.y + yOffset)),
+  width: 0,
+  height: 0,
+  label,
+  tabType,
+  recipientId
+});
+
+/**
+ * Apply a rule to every match of its phrase across the document.
+ *
+ * Returns the new placements list: earlier placements from the same rule on that
+ * document are replaced, and every new placement is linked to the rule and given
+ * `documentId` (see utils/envelope.js).
+ */
+export const applyAnchorRule = (placements, rule, documentText, pageGeometries, documentId) => {
+  const kept = placements.filter(p => !(p.anchor && p.anchor.ruleId === rule.id && p.documentId === documentId));
+  const matches = findTextMatches(documentText, rule.anchorString);
+
+  let label = nextLabel(kept, rule.tabType);
+  const anchored = [];
+  matches.forEach((match) => {
+    const geometry = pageGeometries[match.pageNum - 1];
+    if (!geometry) return;
+
+    anchored.push({
+      ...placementFromMatch(match, rule, label, geometry),
+      documentId,
+      anchor: {
+        ruleId: rule.id,
+        anchorString: rule.anchorString,
+        xOffset: rule.xOffset,
+        yOffset: rule.yOffset
+      }
+    });
+    label = nextLabel([...kept, ...anchored], rule.tabType);
+  });
+
+  return [...kept, ...anchored];
+};
+
+// Moving an anchored placement by hand turns it into an absolute one
+export const detachAnchor = (placement) => {
+  if (!placement.anchor) return placement;
+  const { anchor, ...rest } = placement;
+  return rest;
+};
+
+export const loadAnchorRules = () => {
+  try {
+    const rules = JSON.parse(localStorage.getItem(RULES_STORAGE_KEY));
+    return Array.isArray(rules) ? rules : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+export const saveAnchorRules = (rules) => {
+  try {
+    localStorage.setItem(RULES_STORAGE_KEY, JSON.stringify(rules));
+  } catch (error) {
+    console.warn('Could not save anchor rules:', error);
+  }
+};
@@ -0,0 +1,141 @@
+// Backend API client
+import { loadQueue, enqueueRequest, removeQueued } from './syncQueue';
+
+const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || 'http://localhost:10000';
+
+// Turn a FastAPI error response into a list of readable messages.
+// HTTPException gives { detail: "..." }, request validation gives { detail: [{ loc, msg }] }
+const getErrorMessages = async (response) => {
+  try {
+    const body = await response.json();
+    if (typeof body.detail === 'string') {
+      return [body.detail];
+    }
+    if (Array.isArray(body.detail)) {
+      return body.detail.map((err) => {
+        const location = Array.isArray(err.loc) ? err.loc.filter(part => part !== 'body').join(' → ') : '';
+        return location ? `${location}: ${err.msg}` : err.msg;
+      });
+    }
+  } catch (error) {
+    // Response body was not JSON
+  }
+  return [`Request failed with status ${response.status}`];
+};
+
+export class ApiError extends Error {
+  constructor(messages, status) {
+    super(messages.join('\n'));
+    this.name = 'ApiError';
+    this.messages = messages;
+    this.status = status;
+  }
+}
+
+const request = async (path, options = {}) => {
+  let response;
+  try {
+    response = await fetch(`${BACKEND_URL}${path}`, options);
+  } catch (error) {
+    throw new ApiError([`Could not reach the backend at ${BACKEND_URL}`], 0);
+  }
+
+  if (!response.ok) {
+    throw new ApiError(await getErrorMessages(response), response.status);
+  }
+  return response.json();
+};
+
+const JSON_HEADERS = { 'Content-Type': 'application/json' };
+
+/**
+ * A write that can wait. When the backend can't be reached it's queued (see
+ * utils/syncQueue.js) and resolves with { queued: true } instead of failing; while
+ * earlier writes are waiting it's queued behind them, so they reach the backend in order.
+ * `body` is the JSON payload, if any.
+ */
+const queueableRequest = async (method, path, body, description) => {
+  const options = body === undefined
+    ? { method }
+    : { method, headers: JSON_HEADERS, body: JSON.stringify(body) };
+
+  if (loadQueue().length === 0 && navigator.onLine !== false) {
+    try {
+      return await request(path, options);
+    } catch (error) {
+      if (error.status !== 0) throw error;
+    }
+  }
+  enqueueRequest({ method, path, body: options.body, description });
+  return { queued: true };
+};
+
+/**
+ * Send the queued writes in order. Stops at the first one that still can't reach the
+ * backend; ones the backend rejects are dropped, since sending them again would fail
+ * the same way. Resolves with { sent, rejected: [{ entry, messages }], remaining }.
+ */
+export const replayQueue = async () => {
+  let sent = 0;
+  const rejected = [];
+  for (const entry of loadQueue()) {
+    try {
+      await request(entry.path, entry.body === undefined
+        ? { method: entry.method }
+        : { method: entry.method, headers: JSON_HEADERS, body: entry.body });
+      sent += 1;
+    } catch (error) {
+      if (error.status === 0) break;
+      rejected.push({ entry, messages: error.messages || [error.message] });
+    }
+    removeQueued(entry.id);
+  }
+  return { sent, rejected, remaining: loadQueue().length };
+};
+
+// Save field mappings: { "Field Name": [y1, x1, y2, x2, pageNumber] }
+export const saveFields = (fieldMappings) => queueableRequest('POST', '/save-fields', fieldMappings, 'Save fields');
+
+// Save a DocuSign tabs object: { tabs: { signHereTabs: [...], ... } }
+export const saveTabs = (tabsPayload) => queueableRequest('POST', '/save-tabs', tabsPayload, 'Save tabs');
+
+// Saved field files written by /save-fields
+export const getLatestFields = () => request('/fields/latest');
+
+// [{ filename, timestamp, fields_count }], newest first
+export const listSavedFields = () => request('/fields').then(result => result.files);
+
+export const getSavedFields = (filename) => request(`/fields/${encodeURIComponent(filename)}`);
+
+// Templates, see utils/templates.js. Summaries are newest first:
+// [{ id, name, fingerprint, page_count, placements_count, created_at, updated_at }]
+export const listTemplates = (fingerprint = null) => request(
+  fingerprint ? `/templates?fingerprint=${encodeURIComponent(fingerprint)}` : '/templates'
+).then(result => result.templates);
+
+export const getTemplate = (id) => request(`/templates/${encodeURIComponent(id)}`);
+
+export const createTemplate = (template) => queueableRequest('POST', '/templates', template, `Save template “${template.name}”`);
+
+export const updateTemplate = (id, template) => queueableRequest(
+  'PUT',
+  `/templates/${encodeURIComponent(id)}`,
+  template,
+  `Update template “${template.name}”`
+);
+
+export const deleteTemplate = (id) => queueableRequest('DELETE', `/templates/${encodeURIComponent(id)}`, undefined, 'Delete a template');
+
+// Field catalog stored by the backend, see utils/fieldCatalog.js
+export const getFieldCatalog = () => request('/field-catalog');
+
+export const putFieldCatalog = (catalog) => queueableRequest('PUT', '/field-catalog', catalog, 'Save the field catalog');
+
+// PDFs kept by /upload: { pdf_id, filename, total_pages, size, uploaded_at }
+export const getUpload = (pdfId) => request(`/uploads/${encodeURIComponent(pdfId)}`);
+
+// URLs pdf.js fetches itself, so it can report download progress
+export const uploadedPdfUrl = (pdfId) => `${BACKEND_URL}/uploads/${encodeURIComponent(pdfId)}/pdf`;
+
+// A PDF on another site, fetched through the backend since most sites don't allow CORS
+export const proxiedPdfUrl = (url) => `${BACKEND_URL}/proxy-pdf?url=${encodeURIComponent(url)}`;
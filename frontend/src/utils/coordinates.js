@@ -0,0 +1,163 @@
+// Coordinate engine for mapping between the rendered canvas and PDF space.
+//
+// Coordinate systems:
+// - canvas:     pixels on the rendered page canvas, top-left origin
+// - pdf:        PDF user space as stored in the file (bottom-left origin, MediaBox units, unrotated)
+// - points:     PDF points on the page as displayed (top-left origin, CropBox and /Rotate applied).
+//               This is what DocuSign uses for xPosition / yPosition.
+// - inches:     points / 72
+// - normalized: 0-1000 scale relative to the displayed page width and height
+
+export const POINTS_PER_INCH = 72;
+export const NORMALIZED_SCALE = 1000;
+
+// Build the geometry for a rendered page from the pdf.js viewport it was rendered with.
+// canvasWidth / canvasHeight are the (rounded) canvas dimensions reported by PDFViewer,
+// which can differ slightly from the fractional viewport size.
+export const createPageGeometry = (viewport, canvasWidth = viewport.width, canvasHeight = viewport.height) => {
+  // Same rotation and crop, but at 1 unit = 1 point
+  const pointViewport = viewport.clone({ scale: 1 });
+
+  return {
+    viewport,
+    pointViewport,
+    scale: viewport.scale,
+    rotation: viewport.rotation,
+    canvasWidth,
+    canvasHeight,
+    // Displayed page size in points
+    width: pointViewport.width,
+    height: pointViewport.height,
+    // Canvas pixels → viewport units
+    pixelRatioX: canvasWidth > 0 ? viewport.width / canvasWidth : 1,
+    pixelRatioY: canvasHeight > 0 ? viewport.height / canvasHeight : 1
+  };
+};
+
+// Canvas pixels → PDF user space
+export const canvasToPdf = (geometry, { x, y }) => {
+  const [pdfX, pdfY] = geometry.viewport.convertToPdfPoint(x * geometry.pixelRatioX, y * geometry.pixelRatioY);
+  return { x: pdfX, y: pdfY };
+};
+
+// PDF user space → canvas pixels
+export const pdfToCanvas = (geometry, { x, y }) => {
+  const [viewX, viewY] = geometry.viewport.convertToViewportPoint(x, y);
+  return { x: viewX / geometry.pixelRatioX, y: viewY / geometry.pixelRatioY };
+};
+
+// PDF user space → top-left points
+export const pdfToPoints = (geometry, { x, y }) => {
+  const [pointX, pointY] = geometry.pointViewport.convertToViewportPoint(x, y);
+  return { x: pointX, y: pointY };
+};
+
+// Top-left points → PDF user space
+export const pointsToPdf = (geometry, { x, y }) => {
+  const [pdfX, pdfY] = geometry.pointViewport.convertToPdfPoint(x, y);
+  return { x: pdfX, y: pdfY };
+};
+
+// Canvas pixels → top-left points
+export const canvasToPoints = (geometry, point) => pdfToPoints(geometry, canvasToPdf(geometry, point));
+
+// Top-left points → canvas pixels
+export const pointsToCanvas = (geometry, point) => pdfToCanvas(geometry, pointsToPdf(geometry, point));
+
+export const pointsToInches = (points) => points / POINTS_PER_INCH;
+
+export const inchesToPoints = (inches) => inches * POINTS_PER_INCH;
+
+// Top-left points → 0-1000 normalized
+export const pointsToNormalized = (geometry, { x, y }) => ({
+  x: (x / geometry.width) * NORMALIZED_SCALE,
+  y: (y / geometry.height) * NORMALIZED_SCALE
+});
+
+// 0-1000 normalized → top-left points
+export const normalizedToPoints = (geometry, { x, y }) => ({
+  x: (x / NORMALIZED_SCALE) * geometry.width,
+  y: (y / NORMALIZED_SCALE) * geometry.height
+});
+
+export const clampNormalized = (value) => Math.min(NORMALIZED_SCALE, Math.max(0, Math.round(value)));
+
+// Canvas rectangle (any two opposite corners) → [y1, x1, y2, x2] on the 0-1000 scale
+export const canvasRectToNormalized = (geometry, cornerA, cornerB) => {
+  const a = pointsToNormalized(geometry, canvasToPoints(geometry, cornerA));
+  const b = pointsToNormalized(geometry, canvasToPoints(geometry, cornerB));
+
+  return [
+    clampNormalized(Math.min(a.y, b.y)),
+    clampNormalized(Math.min(a.x, b.x)),
+    clampNormalized(Math.max(a.y, b.y)),
+    clampNormalized(Math.max(a.x, b.x))
+  ];
+};
+
+// [y1, x1, y2, x2] on the 0-1000 scale → canvas rectangle { left, top, width, height }
+export const normalizedToCanvasRect = (geometry, [y1, x1, y2, x2]) => {
+  const a = pointsToCanvas(geometry, normalizedToPoints(geometry, { x: x1, y: y1 }));
+  const b = pointsToCanvas(geometry, normalizedToPoints(geometry, { x: x2, y: y2 }));
+
+  return {
+    left: Math.min(a.x, b.x),
+    top: Math.min(a.y, b.y),
+    width: Math.abs(b.x - a.x),
+    height: Math.abs(b.y - a.y)
+  };
+};
+
+// Point-scale geometry for every page of a document, so placements on pages
+// that aren't currently rendered can still be converted. Index 0 is page 1.
+export const loadPageGeometries = async (pdfDoc) => {
+  const geometries = [];
+  for (let pageNum = 1; pageNum <= pdfDoc.numPages; pageNum++) {
+    const page = await pdfDoc.getPage(pageNum);
+    geometries.push(createPageGeometry(page.getViewport({ scale: 1 })));
+  }
+  return geometries;
+};
+
+// Canvas rectangle (any two opposite corners) → { x, y, width, height } in top-left points, clipped to the page
+export const canvasRectToPoints = (geometry, cornerA, cornerB) => {
+  const a = canvasToPoints(geometry, cornerA);
+  const b = canvasToPoints(geometry, cornerB);
+  const clampX = (value) => Math.min(geometry.width, Math.max(0, value));
+  const clampY = (value) => Math.min(geometry.height, Math.max(0, value));
+
+  const left = clampX(Math.min(a.x, b.x));
+  const top = clampY(Math.min(a.y, b.y));
+  return {
+    x: left,
+    y: top,
+    width: clampX(Math.max(a.x, b.x)) - left,
+    height: clampY(Math.max(a.y, b.y)) - top
+  };
+};
+
+// { x, y, width, height } in top-left points → canvas rectangle { left, top, width, height }
+export const pointsRectToCanvas = (geometry, { x, y, width, height }) => {
+  const a = pointsToCanvas(geometry, { x, y });
+  const b = pointsToCanvas(geometry, { x: x + width, y: y + height });
+
+  return {
+    left: Math.min(a.x, b.x),
+    top: Math.min(a.y, b.y),
+    width: Math.abs(b.x - a.x),
+    height: Math.abs(b.y - a.y)
+  };
+};
+
+// { x, y, width, height } in top-left points → PDF user space rectangle { x, y, width, height } (bottom-left corner)
+export const pointsRectToPdf = (geometry, { x, y, width, height }) => {
+  const a = pointsToPdf(geometry, { x, y });
+  const b = pointsToPdf(geometry, { x: x + width, y: y + height });
+
+  return {
+    x: Math.min(a.x, b.x),
+    y: Math.min(a.y, b.y),
+    width: Math.abs(b.x - a.x),
+    height: Math.abs(b.y - a.y)
+  };
+};
@@ -0,0 +1,124 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { PDFDocument } from 'pdf-lib';
+import pdfjs from 'pdfjs-dist/legacy/build/pdf.js';
+import {
+  createPageGeometry,
+  canvasToPoints,
+  pointsToCanvas,
+  pdfToPoints,
+  pointsToPdf,
+  canvasRectToNormalized,
+  normalizedToCanvasRect,
+  pointsRectToPdf
+} from './coordinates.js';
+
+// A US Letter MediaBox cropped to a 500 × 700 pt CropBox whose origin isn't 0, 0
+const CROP_BOX = [30, 40, 530, 740];
+const ROTATIONS = [0, 90, 180, 270];
+// 96 dpi, so the viewport has fractional pixels and the canvas is slightly larger or smaller
+const SCALE = 4 / 3;
+
+let PageViewport;
+
+// pdf.js doesn't export PageViewport from its Node build: take it from a page's viewport
+before(async () => {
+  const pdf = await PDFDocument.create();
+  pdf.addPage([612, 792]);
+  const pdfDoc = await pdfjs.getDocument({ data: await pdf.save(), verbosity: 0 }).promise;
+  PageViewport = (await pdfDoc.getPage(1)).getViewport({ scale: 1 }).constructor;
+  await pdfDoc.destroy();
+});
+
+// Geometry of a page rendered at SCALE, with the canvas rounded to whole pixels as PDFViewer does
+const geometryFor = (rotation) => {
+  const viewport = new PageViewport({ viewBox: CROP_BOX, scale: SCALE, rotation });
+  return createPageGeometry(viewport, Math.round(viewport.width), Math.round(viewport.height));
+};
+
+const assertClose = (actual, expected, message) => {
+  Object.keys(expected).forEach((key) => {
+    assert.ok(Math.abs(actual[key] - expected[key]) < 1e-6, `${message}: ${key} is ${actual[key]}, expected ${expected[key]}`);
+  });
+};
+
+// The CropBox corner shown at the top left, in PDF user space
+const TOP_LEFT_CORNERS = {
+  0: { x: 30, y: 740 },
+  90: { x: 30, y: 40 },
+  180: { x: 530, y: 40 },
+  270: { x: 530, y: 740 }
+};
+
+ROTATIONS.forEach((rotation) => {
+  test(`displayed page size follows the CropBox at rotation ${rotation}`, () => {
+    const geometry = geometryFor(rotation);
+    const [width, height] = rotation % 180 === 0 ? [500, 700] : [700, 500];
+    assertClose(geometry, { width, height }, 'page size');
+  });
+
+  test(`points have a top-left origin on the displayed page at rotation ${rotation}`, () => {
+    const geometry = geometryFor(rotation);
+    const { width, height } = geometry;
+
+    assertClose(pointsToPdf(geometry, { x: 0, y: 0 }), TOP_LEFT_CORNERS[rotation], 'top-left corner');
+    assertClose(pdfToPoints(geometry, TOP_LEFT_CORNERS[rotation]), { x: 0, y: 0 }, 'top-left corner');
+    // x grows to the right and y downwards, as DocuSign's xPosition / yPosition do
+    assertClose(pointsToCanvas(geometry, { x: width, y: height }), { x: geometry.canvasWidth, y: geometry.canvasHeight }, 'bottom-right corner');
+    assertClose(pointsToCanvas(geometry, { x: width, y: 0 }), { x: geometry.canvasWidth, y: 0 }, 'top-right corner');
+  });
+
+  test(`canvas pixels and points round-trip at rotation ${rotation}`, () => {
+    const geometry = geometryFor(rotation);
+    [{ x: 0, y: 0 }, { x: 123.4, y: 56.7 }, { x: geometry.canvasWidth, y: geometry.canvasHeight }].forEach((canvas) => {
+      assertClose(pointsToCanvas(geometry, canvasToPoints(geometry, canvas)), canvas, 'canvas → points → canvas');
+    });
+    [{ x: 72, y: 144 }, { x: 250.5, y: 10.25 }].forEach((points) => {
+      assertClose(canvasToPoints(geometry, pointsToCanvas(geometry, points)), points, 'points → canvas → points');
+    });
+  });
+
+  test(`0-1000 rectangles round-trip through the canvas at rotation ${rotation}`, () => {
+    const geometry = geometryFor(rotation);
+    const coords = [100, 200, 350, 800];
+    const rect = normalizedToCanvasRect(geometry, coords);
+
+    assert.deepEqual(
+      canvasRectToNormalized(geometry, { x: rect.left, y: rect.top }, { x: rect.left + rect.width, y: rect.top + rect.height }),
+      coords
+    );
+    // Either pair of opposite corners gives the same rectangle
+    assert.deepEqual(
+      canvasRectToNormalized(geometry, { x: rect.left + rect.width, y: rect.top }, { x: rect.left, y: rect.top + rect.height }),
+      coords
+    );
+  });
+
+  test(`point rectangles map to PDF user space at rotation ${rotation}`, () => {
+    const geometry = geometryFor(rotation);
+    const rect = { x: 50, y: 80, width: 200, height: 40 };
+    const pdfRect = pointsRectToPdf(geometry, rect);
+
+    // Rotation by a quarter turn swaps the rectangle's sides in user space
+    const [width, height] = rotation % 180 === 0 ? [200, 40] : [40, 200];
+    assertClose(pdfRect, { width, height }, 'size');
+    if (rotation === 0) assertClose(pdfRect, { x: 30 + 50, y: 740 - 80 - 40 }, 'bottom-left corner');
+    // Its user space corners lie inside the CropBox and map back onto the rectangle's corners
+    assert.ok(pdfRect.x >= CROP_BOX[0] && pdfRect.x + pdfRect.width <= CROP_BOX[2]);
+    assert.ok(pdfRect.y >= CROP_BOX[1] && pdfRect.y + pdfRect.height <= CROP_BOX[3]);
+    const corners = [
+      pdfToPoints(geometry, { x: pdfRect.x, y: pdfRect.y }),
+      pdfToPoints(geometry, { x: pdfRect.x + pdfRect.width, y: pdfRect.y + pdfRect.height })
+    ];
+    assertClose(
+      { x: Math.min(corners[0].x, corners[1].x), y: Math.min(corners[0].y, corners[1].y) },
+      { x: rect.x, y: rect.y },
+      'top-left corner'
+    );
+    assertClose(
+      { x: Math.max(corners[0].x, corners[1].x), y: Math.max(corners[0].y, corners[1].y) },
+      { x: rect.x + rect.width, y: rect.y + rect.height },
+      'bottom-right corner'
+    );
+  });
+});
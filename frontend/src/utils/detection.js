@@ -0,0 +1,373 @@
+// Finding where fields go on forms without form fields: blank lines drawn as paths,
+// runs of underscores in the text and empty boxes, each labelled with the text next
+// to it ("Signature", "Date", "Print Name"…) to guess its tab type.
+//
+// A candidate is { id, documentId, pageNum, source, x, y, width, height, label, tabType, selected }
+// in top-left points (see utils/coordinates.js), where source is 'line', 'underscores'
+// or 'box', and the region is where the value goes (above a line, inside a box).
+// Candidates are proposals: accepting one turns it into a region placement.
+import { createId, TAB_TYPES } from './placements';
+import { pageWords, pagePatternBoxes } from './textContent';
+
+// Shortest blank line worth proposing, in points
+const MIN_LINE_LENGTH = 36;
+
+// Lines spanning most of the page are rules and separators, not blanks to fill in
+const MAX_LINE_FRACTION = 0.8;
+
+// A filled rectangle up to this tall is drawn as a line
+const MAX_LINE_THICKNESS = 3;
+
+// Height of the region proposed above a blank line, in points
+const FIELD_HEIGHT = 24;
+
+// Sizes of boxes proposed as fields, and of square boxes proposed as checkboxes, in points
+const MIN_BOX_HEIGHT = 12;
+const MAX_BOX_HEIGHT = 100;
+const MIN_CHECKBOX_SIZE = 6;
+const MAX_CHECKBOX_SIZE = 24;
+
+// How far from a blank its label can be: to the left on the same line, or above / below it
+const LABEL_LEFT_DISTANCE = 150;
+const LABEL_VERTICAL_DISTANCE = 18;
+const LABEL_WORD_GAP = 12;
+const MAX_LABEL_WORDS = 4;
+
+// Label wording → tab type, first match wins ("Date Signed" is a date, not a signature)
+const TAB_TYPE_HINTS = [
+  [/initial/i, 'initialHere'],
+  [/date|dated/i, 'dateSigned'],
+  [/sign/i, 'signHere'],
+  [/print|name|title|address|phone|e-?mail|company/i, 'text']
+];
+
+const UNDERSCORE_RUN = /_{4,}/g;
+
+// Guess a candidate's tab type from its label, or from its shape when unlabelled
+export const guessCandidateType = (label, source, { width, height }) => {
+  const hint = TAB_TYPE_HINTS.find(([pattern]) => pattern.test(label));
+  if (hint) return hint[1];
+  if (source === 'box' && width <= MAX_CHECKBOX_SIZE && height <= MAX_CHECKBOX_SIZE) return 'checkbox';
+  return source === 'box' ? 'text' : 'signHere';
+};
+
+// 2D affine transforms as pdf.js writes them: [a, b, c, d, e, f]
+const multiply = (m1, m2) => [
+  m1[0] * m2[0] + m1[2] * m2[1],
+  m1[1] * m2[0] + m1[3] * m2[1],
+  m1[0] * m2[2] + m1[2] * m2[3],
+  m1[1] * m2[2] + m1[3] * m2[3],
+  m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+  m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+];
+
+const apply = (m, x, y) => [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+/**
+ * Horizontal lines and rectangles painted on a page, from its operator list, in
+ * top-left points: { lines: [{ x, y, width }], boxes: [{ x, y, width, height, filled }] }.
+ * Curves and paths only used for clipping are ignored.
+ */
+export const pageShapes = async (page, geometry) => {
+  const { OPS } = await import('pdfjs-dist');
+  const { fnArray, argsArray } = await page.getOperatorList();
+
+  const toPoints = (ctm, x, y) => {
+    const [pdfX, pdfY] = apply(ctm, x, y);
+    const [px, py] = geometry.pointViewport.convertToViewportPoint(pdfX, pdfY);
+    return { x: px, y: py };
+  };
+
+  const stroking = new Set([OPS.stroke, OPS.closeStroke, OPS.fillStroke, OPS.eoFillStroke,
+    OPS.closeFillStroke, OPS.closeEOFillStroke]);
+  const filling = new Set([OPS.fill, OPS.eoFill, OPS.fillStroke, OPS.eoFillStroke,
+    OPS.closeFillStroke, OPS.closeEOFillStroke]);
+
+  const lines = [];
+  const boxes = [];
+  const stack = [];
+  let ctm = IDENTITY;
+  let path = { segments: [], rects: [] }; // Top-left points, until painted
+
+  // An axis-aligned closed subpath of four corners is a rectangle (drawn with lines
+  // rather than the `re` operator), anything else a list of segments
+  const endSubpath = (subpath, closed) => {
+    if (subpath.length < 2) return;
+    const corners = closed && subpath.length === 5 &&
+      Math.abs(subpath[4].x - subpath[0].x) < 0.5 && Math.abs(subpath[4].y - subpath[0].y) < 0.5
+      ? subpath.slice(0, 4)
+      : subpath;
+    const points = closed ? [...corners, corners[0]] : corners;
+    const axisAligned = points.slice(1).every((point, i) =>
+      Math.abs(point.x - points[i].x) < 0.5 || Math.abs(point.y - points[i].y) < 0.5);
+
+    if (closed && corners.length === 4 && axisAligned) {
+      const xs = corners.map(point => point.x);
+      const ys = corners.map(point => point.y);
+      const x = Math.min(...xs);
+      const y = Math.min(...ys);
+      path.rects.push({ x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y });
+      return;
+    }
+    points.slice(1).forEach((point, i) => path.segments.push([points[i], point]));
+  };
+
+  const addPath = (ops, args) => {
+    let subpath = [];
+    for (let i = 0, j = 0; i < ops.length; i++) {
+      switch (ops[i]) {
+        case OPS.rectangle: {
+          const [x, y, width, height] = args.slice(j, j + 4);
+          j += 4;
+          endSubpath(subpath, false);
+          subpath = [];
+          const a = toPoints(ctm, x, y);
+          const b = toPoints(ctm, x + width, y + height);
+          path.rects.push({
+            x: Math.min(a.x, b.x),
+            y: Math.min(a.y, b.y),
+            width: Math.abs(b.x - a.x),
+            height: Math.abs(b.y - a.y)
+          });
+          break;
+        }
+        case OPS.moveTo:
+          endSubpath(subpath, false);
+          subpath = [toPoints(ctm, args[j], args[j + 1])];
+          j += 2;
+          break;
+        case OPS.lineTo:
+          subpath.push(toPoints(ctm, args[j], args[j + 1]));
+          j += 2;
+          break;
+        case OPS.curveTo:
+          // Curves end the straight part; what follows starts from the curve's end
+          endSubpath(subpath, false);
+          subpath = [toPoints(ctm, args[j + 4], args[j + 5])];
+          j += 6;
+          break;
+        case OPS.curveTo2:
+        case OPS.curveTo3:
+          endSubpath(subpath, false);
+          subpath = [toPoints(ctm, args[j + 2], args[j + 3])];
+          j += 4;
+          break;
+        case OPS.closePath:
+          endSubpath(subpath, true);
+          subpath = subpath.length > 0 ? [subpath[0]] : [];
+          break;
+        default:
+          break;
+      }
+    }
+    endSubpath(subpath, false);
+  };
+
+  const paint = (stroked, filled) => {
+    if (stroked) {
+      path.segments.forEach(([a, b]) => {
+        if (Math.abs(a.y - b.y) < 1) {
+          lines.push({ x: Math.min(a.x, b.x), y: (a.y + b.y) / 2, width: Math.abs(b.x - a.x) });
+        }
+      });
+    }
+    path.rects.forEach((rect) => {
+      if (rect.height <= MAX_LINE_THICKNESS) {
+        lines.push({ x: rect.x, y: rect.y + rect.height / 2, width: rect.width });
+      } else if (stroked || filled) {
+        boxes.push({ ...rect, filled: !stroked });
+      }
+    });
+  };
+
+  fnArray.forEach((fn, index) => {
+    const args = argsArray[index];
+    if (fn === OPS.save) {
+      stack.push(ctm);
+    } else if (fn === OPS.restore) {
+      ctm = stack.pop() || IDENTITY;
+    } else if (fn === OPS.transform) {
+      ctm = multiply(ctm, args);
+    } else if (fn === OPS.paintFormXObjectBegin) {
+      stack.push(ctm);
+      if (args[0]) ctm = multiply(ctm, args[0]);
+    } else if (fn === OPS.paintFormXObjectEnd) {
+      ctm = stack.pop() || IDENTITY;
+    } else if (fn === OPS.constructPath) {
+      addPath(args[0], args[1]);
+    } else if (stroking.has(fn) || filling.has(fn) || fn === OPS.endPath) {
+      paint(stroking.has(fn), filling.has(fn));
+      path = { segments: [], rects: [] };
+    }
+  });
+
+  return { lines, boxes };
+};
+
+// Merge lines drawn twice or in pieces (same height, touching or overlapping)
+const mergeLines = (lines) => {
+  const sorted = [...lines].sort((a, b) => a.y - b.y || a.x - b.x);
+  const merged = [];
+  sorted.forEach((line) => {
+    const last = merged[merged.length - 1];
+    if (last && Math.abs(last.y - line.y) < 1.5 && line.x <= last.x + last.width + 1) {
+      last.width = Math.max(last.width, line.x + line.width - last.x);
+    } else {
+      merged.push({ ...line });
+    }
+  });
+  return merged;
+};
+
+const overlapArea = (a, b) => {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  return width > 0 && height > 0 ? width * height : 0;
+};
+
+const horizontalOverlap = (a, b) => Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+
+// A region already holding text isn't blank (underlined text, a table cell with a value)
+const hasText = (region, words) => words.some(word => overlapArea(region, word) > word.width * word.height * 0.5);
+
+/**
+ * The label of a blank: the words just left of it on the same line ("Signature:"),
+ * otherwise the words just below it (a caption under a line), otherwise just above.
+ * A checkbox's label is the words just right of it ("☐ I agree").
+ * `baseline` is the line's height, or the bottom of a box.
+ */
+const findLabel = (region, baseline, words, { checkbox = false } = {}) => {
+  const onLine = word => word.y + word.height / 2 >= region.y && word.y + word.height / 2 <= baseline + 4;
+
+  // Words in a row, nearest first, while each is close to the one before
+  const takeRow = (sorted, gapFrom, firstDistance) => {
+    const picked = [];
+    for (const word of sorted) {
+      const gap = gapFrom(picked[picked.length - 1], word);
+      if (picked.length === MAX_LABEL_WORDS || gap > (picked.length === 0 ? firstDistance : LABEL_WORD_GAP)) break;
+      picked.push(word);
+    }
+    return picked;
+  };
+
+  if (checkbox) {
+    const right = takeRow(
+      words.filter(word => word.x >= region.x + region.width - 2 && onLine(word)).sort((a, b) => a.x - b.x),
+      (previous, word) => word.x - (previous ? previous.x + previous.width : region.x + region.width),
+      LABEL_WORD_GAP
+    );
+    if (right.length > 0) return right;
+  }
+
+  const left = takeRow(
+    words.filter(word => word.x + word.width <= region.x + 2 && onLine(word)).sort((a, b) => b.x - a.x),
+    (previous, word) => (previous ? previous.x : region.x) - (word.x + word.width),
+    LABEL_LEFT_DISTANCE
+  );
+  if (left.length > 0) return left.reverse();
+
+  const near = (top, bottom) => words
+    .filter(word => word.y >= top && word.y + word.height <= bottom && horizontalOverlap(region, word) > 0)
+    .sort((a, b) => a.y - b.y || a.x - b.x)
+    .slice(0, MAX_LABEL_WORDS);
+  const below = near(baseline, baseline + LABEL_VERTICAL_DISTANCE);
+  if (below.length > 0) return below;
+  return near(region.y - LABEL_VERTICAL_DISTANCE, region.y);
+};
+
+const labelText = (words) => words.map(word => word.text).join(' ').replace(/[:.]+$/, '').trim();
+
+/**
+ * Candidate fields on one page. `pageText` is the page's text from loadPageText and
+ * `placements` the page's existing placements: blanks they already cover are skipped.
+ */
+export const detectPageFields = async (page, geometry, pageText, placements = []) => {
+  const { lines, boxes } = await pageShapes(page, geometry);
+  const words = pageWords(pageText);
+  const found = [];
+
+  const add = (source, region, baseline, options) => {
+    if (found.some(other => overlapArea(other, region) > region.width * region.height * 0.5)) return;
+    const label = labelText(findLabel(region, baseline, words, options));
+    found.push({ source, ...region, label, tabType: guessCandidateType(label, source, region) });
+  };
+
+  // Runs of underscores in the text: the value goes on the run's baseline
+  pagePatternBoxes(pageText, UNDERSCORE_RUN).forEach((run) => {
+    if (run.width < MIN_LINE_LENGTH / 2) return;
+    const baseline = run.y + run.height;
+    const top = Math.max(0, baseline - FIELD_HEIGHT);
+    add('underscores', { x: run.x, y: top, width: run.width, height: baseline - top }, baseline);
+  });
+
+  mergeLines(lines).forEach((line) => {
+    if (line.width < MIN_LINE_LENGTH || line.width > geometry.width * MAX_LINE_FRACTION) return;
+    const top = Math.max(0, line.y - FIELD_HEIGHT);
+    const region = { x: line.x, y: top, width: line.width, height: line.y - top };
+    if (!hasText(region, words)) add('line', region, line.y);
+  });
+
+  boxes.forEach((box) => {
+    if (box.filled) return; // Shading behind text
+    const isCheckbox = box.width >= MIN_CHECKBOX_SIZE && box.width <= MAX_CHECKBOX_SIZE &&
+      box.height >= MIN_CHECKBOX_SIZE && box.height <= MAX_CHECKBOX_SIZE &&
+      Math.abs(box.width - box.height) <= 2;
+    const isField = box.width >= MIN_LINE_LENGTH && box.width <= geometry.width * MAX_LINE_FRACTION &&
+      box.height >= MIN_BOX_HEIGHT && box.height <= MAX_BOX_HEIGHT;
+    const region = { x: box.x, y: box.y, width: box.width, height: box.height };
+    if ((isCheckbox || isField) && !hasText(region, words)) add('box', region, box.y + box.height, { checkbox: isCheckbox });
+  });
+
+  return found
+    .filter(candidate => !placements.some(p => overlapArea(p, candidate) > candidate.width * candidate.height * 0.5))
+    .sort((a, b) => a.y - b.y || a.x - b.x);
+};
+
+/**
+ * Candidate fields on every page of a document, selected for accepting. `documentText`
+ * is from loadDocumentText; onProgress(pageNum, totalPages) is called as pages are scanned.
+ */
+export const detectDocumentFields = async ({ pdfDoc, documentId, pageGeometries, documentText, placements, onProgress }) => {
+  const candidates = [];
+  for (let pageNum = 1; pageNum <= pdfDoc.numPages; pageNum++) {
+    if (onProgress) onProgress(pageNum, pdfDoc.numPages);
+    const page = await pdfDoc.getPage(pageNum);
+    const found = await detectPageFields(
+      page,
+      pageGeometries[pageNum - 1],
+      documentText[pageNum - 1],
+      placements.filter(p => p.pageNum === pageNum)
+    );
+    found.forEach((candidate) => {
+      candidates.push({ id: createId(), documentId, pageNum, ...candidate, selected: true });
+    });
+  }
+  return candidates;
+};
+
+// Region placements for accepted candidates, with labels unique among `placements`
+export const acceptCandidates = (candidates, placements, recipientId) => {
+  const taken = new Set(placements.map(p => p.label.trim()));
+  return candidates.map((candidate) => {
+    const base = candidate.label || TAB_TYPES[candidate.tabType].label;
+    let label = base;
+    for (let n = 2; taken.has(label); n++) label = `${base} ${n}`;
+    taken.add(label);
+
+    return {
+      id: createId(),
+      documentId: candidate.documentId,
+      pageNum: candidate.pageNum,
+      kind: 'region',
+      x: candidate.x,
+      y: candidate.y,
+      width: candidate.width,
+      height: candidate.height,
+      label,
+      tabType: candidate.tabType,
+      recipientId
+    };
+  });
+};
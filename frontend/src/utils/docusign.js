@@ -0,0 +1,106 @@
+// Build DocuSign eSignature "tabs" objects from placements
+import { TAB_TYPES } from './placements.js';
+
+export const TAB_COLLECTIONS = Object.values(TAB_TYPES).map(type => type.collection);
+
+// DocuSign expects every position value as an integer string
+const toTabValue = (value) => String(Math.max(0, Math.round(value)));
+
+// DocuSign anchor tab for a rule: placed at every occurrence of anchorString, so it
+// has no page or position of its own. Offsets are in points ("pixels" in DocuSign)
+const buildAnchorTab = (placement, documentId) => ({
+  documentId: String(documentId),
+  anchorString: placement.anchor.anchorString,
+  anchorXOffset: String(Math.round(placement.anchor.xOffset)),
+  anchorYOffset: String(Math.round(placement.anchor.yOffset)),
+  anchorUnits: 'pixels',
+  anchorIgnoreIfNotPresent: 'true',
+  tabLabel: placement.label
+});
+
+/**
+ * Build a DocuSign tabs object from placements (top-left points). Each tab goes
+ * to its placement's document, or `documentId` for placements without one.
+ * Placements linked to an anchor rule become one anchor tab per rule and document.
+ *
+ * Returns { signHereTabs, initialHereTabs, dateSignedTabs, textTabs, checkboxTabs }
+ */
+export const buildDocuSignTabs = (placements, documentId = 1) => {
+  const tabs = Object.fromEntries(TAB_COLLECTIONS.map(collection => [collection, []]));
+  const exportedRules = new Set();
+
+  placements.forEach((placement) => {
+    const tabDocumentId = placement.documentId || documentId;
+
+    if (placement.anchor) {
+      const ruleKey = `${tabDocumentId}:${placement.anchor.ruleId}`;
+      if (exportedRules.has(ruleKey)) return;
+      exportedRules.add(ruleKey);
+      tabs[TAB_TYPES[placement.tabType].collection].push(buildAnchorTab(placement, tabDocumentId));
+      return;
+    }
+
+    const tab = {
+      documentId: String(tabDocumentId),
+      pageNumber: String(placement.pageNum),
+      xPosition: toTabValue(placement.x),
+      yPosition: toTabValue(placement.y),
+      tabLabel: placement.label
+    };
+
+    if (placement.kind === 'region') {
+      tab.width = toTabValue(placement.width);
+      tab.height = toTabValue(placement.height);
+    }
+    if (placement.tabType === 'text' && placement.validationPattern) {
+      tab.validationPattern = placement.validationPattern;
+    }
+
+    tabs[TAB_TYPES[placement.tabType].collection].push(tab);
+  });
+
+  return tabs;
+};
+
+/**
+ * Build the recipients section of an envelope/template definition: one signer per
+ * recipient, each carrying the tabs assigned to them across every document. With
+ * `documents` (see envelopeDocuments() in utils/envelope.js) the envelope's
+ * documents are listed too.
+ *
+ * Returns { documents?: [{ documentId, name, order }], recipients: { signers: [{ recipientId, name, roleName, routingOrder, tabs }] } }
+ */
+export const buildDocuSignRecipients = ({ placements, recipients, documents = null, documentId = 1 }) => ({
+  ...(documents ? { documents: documents.map(({ documentId: id, name, order }) => ({ documentId: id, name, order })) } : {}),
+  recipients: {
+    signers: recipients.map((recipient, index) => ({
+      recipientId: String(index + 1),
+      name: recipient.name,
+      roleName: recipient.role,
+      routingOrder: String(recipient.routingOrder),
+      tabs: buildDocuSignTabs(
+        placements.filter(p => p.recipientId === recipient.id),
+        documentId
+      )
+    }))
+  }
+});
+
+// Number of tabs on each document across all signers: { documentId: count }
+export const countTabsByDocument = ({ recipients }) => {
+  const counts = {};
+  recipients.signers.forEach((signer) => {
+    Object.values(signer.tabs).forEach((list) => {
+      list.forEach((tab) => {
+        counts[tab.documentId] = (counts[tab.documentId] || 0) + 1;
+      });
+    });
+  });
+  return counts;
+};
+
+// Total number of tabs across all signers
+export const countTabs = ({ recipients }) => recipients.signers.reduce(
+  (total, signer) => total + Object.values(signer.tabs).reduce((sum, list) => sum + list.length, 0),
+  0
+);
@@ -0,0 +1,26 @@
+// Browser file download / clipboard helpers
+
+// Trigger a download of a Blob
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// Trigger a download of `data` as a pretty-printed JSON file
+export const downloadJson = (data, filename) => {
+  downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), filename);
+};
+
+// Copy `data` to the clipboard as pretty-printed JSON
+export const copyJson = async (data) => {
+  await navigator.clipboard.writeText(JSON.stringify(data, null, 2));
+};
+
+// "contract.pdf" → "contract"
+export const baseFileName = (fileName) => (fileName || 'document').replace(/\.pdf$/i, '');
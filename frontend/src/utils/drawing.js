@@ -0,0 +1,98 @@
+// Canvas drawing helpers for the placement overlay
+
+const MARKER_SIZE = 10;
+
+// Draw a recipient marker centred on (x, y)
+export const drawMarker = (ctx, shape, x, y, color) => {
+  const size = MARKER_SIZE;
+
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 3;
+  ctx.setLineDash([]);
+  ctx.beginPath();
+
+  switch (shape) {
+    case 'circle':
+      ctx.arc(x, y, size, 0, 2 * Math.PI);
+      ctx.moveTo(x - 2, y);
+      ctx.lineTo(x + 2, y);
+      break;
+    case 'square':
+      ctx.rect(x - size, y - size, size * 2, size * 2);
+      break;
+    case 'diamond':
+      ctx.moveTo(x, y - size);
+      ctx.lineTo(x + size, y);
+      ctx.lineTo(x, y + size);
+      ctx.lineTo(x - size, y);
+      ctx.closePath();
+      break;
+    case 'triangle':
+      ctx.moveTo(x, y - size);
+      ctx.lineTo(x + size, y + size);
+      ctx.lineTo(x - size, y + size);
+      ctx.closePath();
+      break;
+    default:
+      // Cross with a circle around it
+      ctx.moveTo(x - size, y);
+      ctx.lineTo(x + size, y);
+      ctx.moveTo(x, y - size);
+      ctx.lineTo(x, y + size);
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.lineWidth = 2;
+      ctx.arc(x, y, 8, 0, 2 * Math.PI);
+  }
+
+  ctx.stroke();
+  ctx.restore();
+};
+
+// "#2563eb" → "rgba(37, 99, 235, alpha)"
+export const withAlpha = (hex, alpha) => {
+  const value = parseInt(hex.slice(1), 16);
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+};
+
+const SIGNATURE_FONT = '"Brush Script MT", "Segoe Script", "Lucida Handwriting", cursive';
+
+// Mock handwritten signature of `name` filling the box, with a flourish underneath
+export const drawSignatureGlyph = (ctx, name, left, top, width, height, color) => {
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(left, top, width, height);
+  ctx.clip();
+
+  ctx.fillStyle = color;
+  ctx.strokeStyle = color;
+  let size = height * 0.7;
+  ctx.font = `italic ${size}px ${SIGNATURE_FONT}`;
+  const textWidth = ctx.measureText(name).width;
+  if (textWidth > width * 0.9) {
+    size *= (width * 0.9) / textWidth;
+    ctx.font = `italic ${size}px ${SIGNATURE_FONT}`;
+  }
+  const baseline = top + height * 0.5 + size * 0.3;
+  ctx.fillText(name, left + width * 0.05, baseline);
+
+  // Loose underline flourish
+  const y = Math.min(top + height - 2, baseline + size * 0.15);
+  ctx.lineWidth = Math.max(1, size / 14);
+  ctx.beginPath();
+  ctx.moveTo(left + width * 0.05, y);
+  ctx.bezierCurveTo(left + width * 0.35, y + size * 0.2, left + width * 0.6, y - size * 0.25, left + width * 0.92, y);
+  ctx.stroke();
+  ctx.restore();
+};
+
+// Value typed into a tab: `font` sized in canvas pixels, baseline at the bottom of the line
+export const drawPreviewText = (ctx, text, x, top, lineHeight, font, color) => {
+  ctx.save();
+  ctx.font = font;
+  ctx.fillStyle = color;
+  ctx.textBaseline = 'alphabetic';
+  ctx.fillText(text, x, top + lineHeight * 0.8);
+  ctx.restore();
+};
@@ -0,0 +1,96 @@
+// Hit-testing and geometry edits for selecting, moving and resizing placements
+import { pointsToCanvas, pointsRectToCanvas } from './coordinates';
+
+// Size of the square resize handles, in canvas pixels
+export const HANDLE_SIZE = 8;
+
+// How close (in canvas pixels) a click must be to a point marker to select it
+const POINT_HIT_RADIUS = 12;
+
+// Smallest region size a resize can produce, in points
+const MIN_REGION_POINTS = 4;
+
+const HANDLE_CURSORS = {
+  move: 'move',
+  nw: 'nwse-resize',
+  se: 'nwse-resize',
+  ne: 'nesw-resize',
+  sw: 'nesw-resize'
+};
+
+export const cursorForHandle = (handle) => HANDLE_CURSORS[handle] || 'crosshair';
+
+// Corner handle positions of a region, in canvas pixels
+export const getHandlePositions = (geometry, placement) => {
+  const { left, top, width, height } = pointsRectToCanvas(geometry, placement);
+  return {
+    nw: { x: left, y: top },
+    ne: { x: left + width, y: top },
+    sw: { x: left, y: top + height },
+    se: { x: left + width, y: top + height }
+  };
+};
+
+/**
+ * Find the placement under a canvas position. Later placements are drawn on top,
+ * so they win. Handles are only offered for the selected region.
+ *
+ * Returns { placement, handle } where handle is 'move' or a corner ('nw', 'ne', 'sw', 'se'), or null.
+ */
+export const hitTestPlacements = (placements, geometry, pos, selectedId = null) => {
+  for (let i = placements.length - 1; i >= 0; i--) {
+    const placement = placements[i];
+
+    if (placement.kind === 'point') {
+      const center = pointsToCanvas(geometry, placement);
+      if (Math.hypot(pos.x - center.x, pos.y - center.y) <= POINT_HIT_RADIUS) {
+        return { placement, handle: 'move' };
+      }
+      continue;
+    }
+
+    if (placement.id === selectedId) {
+      const handles = getHandlePositions(geometry, placement);
+      const corner = Object.keys(handles).find(key =>
+        Math.abs(pos.x - handles[key].x) <= HANDLE_SIZE && Math.abs(pos.y - handles[key].y) <= HANDLE_SIZE
+      );
+      if (corner) return { placement, handle: corner };
+    }
+
+    const { left, top, width, height } = pointsRectToCanvas(geometry, placement);
+    if (pos.x >= left && pos.x <= left + width && pos.y >= top && pos.y <= top + height) {
+      return { placement, handle: 'move' };
+    }
+  }
+  return null;
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Move a placement by (dx, dy) points, keeping it on the page
+export const movePlacement = (placement, dx, dy, geometry) => ({
+  ...placement,
+  x: clamp(placement.x + dx, 0, geometry.width - placement.width),
+  y: clamp(placement.y + dy, 0, geometry.height - placement.height)
+});
+
+// Resize a region by dragging one corner handle to `pointer` (top-left points)
+export const resizePlacement = (placement, handle, pointer, geometry) => {
+  const px = clamp(pointer.x, 0, geometry.width);
+  const py = clamp(pointer.y, 0, geometry.height);
+
+  // The opposite corner stays fixed
+  const fixedX = handle.includes('w') ? placement.x + placement.width : placement.x;
+  const fixedY = handle.includes('n') ? placement.y + placement.height : placement.y;
+
+  const width = Math.max(MIN_REGION_POINTS, Math.abs(px - fixedX));
+  const height = Math.max(MIN_REGION_POINTS, Math.abs(py - fixedY));
+
+  return {
+    ...placement,
+    x: px < fixedX ? fixedX - width : fixedX,
+    y: py < fixedY ? fixedY - height : fixedY,
+    width,
+    height
+  };
+};
@@ -0,0 +1,70 @@
+// Envelopes: several PDFs mapped in one workspace, as in a DocuSign envelope.
+//
+// A document is { documentId, name, file, pdfDoc, fingerprint, pageGeometries }.
+// documentId is a positive integer string ("1", "2", ...) as DocuSign expects; it's
+// assigned when the document is added and never reused or renumbered, so reordering
+// only changes the envelope order. Every placement carries the `documentId` of the
+// document it's on, and its pageNum is a page of that document.
+
+// Just the PDFs from a picked or dropped FileList
+export const pdfFilesOf = (fileList) => Array.from(fileList).filter(file => file.type.includes('pdf'));
+
+// Next unused documentId
+export const nextDocumentId = (documents) => String(
+  documents.reduce((max, document) => Math.max(max, parseInt(document.documentId) || 0), 0) + 1
+);
+
+// Move a document one place up (-1) or down (+1) in the envelope
+export const moveDocument = (documents, documentId, direction) => {
+  const index = documents.findIndex(d => d.documentId === documentId);
+  const target = index + direction;
+  if (index === -1 || target < 0 || target >= documents.length) return documents;
+
+  const next = [...documents];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+};
+
+export const placementsOn = (placements, documentId) => placements.filter(p => p.documentId === documentId);
+
+// Give placements made for one document (templates, importers, old sessions) its documentId
+export const withDocumentId = (placements, documentId) => placements.map(p => (
+  p.documentId ? p : { ...p, documentId }
+));
+
+// { documentId: pageGeometries }, the lookup used by envelope-wide helpers
+export const geometriesByDocument = (documents) => Object.fromEntries(
+  documents.map(d => [d.documentId, d.pageGeometries])
+);
+
+// Number of placements on each document: { documentId: count }
+export const countByDocument = (placements) => {
+  const counts = {};
+  placements.forEach((placement) => {
+    counts[placement.documentId] = (counts[placement.documentId] || 0) + 1;
+  });
+  return counts;
+};
+
+// The envelope's documents as exported: [{ documentId, name, order, pageCount }]
+export const envelopeDocuments = (documents) => documents.map((document, index) => ({
+  documentId: document.documentId,
+  name: document.name,
+  order: String(index + 1),
+  pageCount: document.pageGeometries.length
+}));
+
+// What's stored with an autosaved session to reopen the envelope: [{ documentId, name, fingerprint }]
+export const sessionDocuments = (documents) => documents.map(({ documentId, name, fingerprint }) => ({
+  documentId,
+  name,
+  fingerprint
+}));
+
+// "contract.pdf" or "contract.pdf + 2 more", e.g. for the recent sessions list
+export const envelopeName = (documents) => {
+  if (documents.length === 0) return null;
+  return documents.length === 1
+    ? documents[0].name
+    : `${documents[0].name} + ${documents.length - 1} more`;
+};
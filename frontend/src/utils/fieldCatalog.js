@@ -0,0 +1,165 @@
+// The field catalog: the named fields mapped as regions in "Regions" mode.
+//
+// A field is { id, name, tabType, required, width, height, pattern, role, group }:
+// width / height are the default region size in points (used when the field is
+// placed with a single click), `pattern` a validation regular expression exported
+// with text tabs, `role` the recipient role that fills it in by default and `group`
+// a heading to list it under ('' for none). The catalog is an ordered list of fields.
+import { TAB_TYPES, createId, guessTabType } from './placements';
+
+const CATALOG_STORAGE_KEY = 'fieldCatalog';
+
+// Default region size for each tab type, in points
+export const DEFAULT_FIELD_SIZES = {
+  signHere: { width: 150, height: 40 },
+  initialHere: { width: 50, height: 30 },
+  dateSigned: { width: 100, height: 20 },
+  text: { width: 150, height: 20 },
+  checkbox: { width: 12, height: 12 }
+};
+
+export const createField = ({ name, tabType = guessTabType(name), ...rest } = {}) => ({
+  id: createId(),
+  name,
+  tabType,
+  required: false,
+  ...DEFAULT_FIELD_SIZES[tabType],
+  pattern: '',
+  role: '',
+  group: '',
+  ...rest
+});
+
+export const DEFAULT_CATALOG = [
+  createField({ name: 'Date of Birth', group: 'Applicant', pattern: '^\\d{2}/\\d{2}/\\d{4}$' }),
+  createField({ name: 'Social Security Number', group: 'Applicant', pattern: '^\\d{3}-\\d{2}-\\d{4}$' }),
+  createField({ name: 'Address', group: 'Applicant', width: 250 }),
+  createField({ name: 'Phone Number', group: 'Applicant', pattern: '^[0-9 ()+.-]{7,}$' }),
+  createField({ name: 'Email', group: 'Applicant', pattern: '^[^@\\s]+@[^@\\s]+\\.[^@\\s]+$' }),
+  createField({ name: 'Annual Income', group: 'Financial', pattern: '^\\$?[0-9,]+(\\.[0-9]{2})?$' }),
+  createField({ name: 'Employment Status', group: 'Financial' }),
+  createField({ name: 'Bank Account Number', group: 'Financial', pattern: '^\\d{4,17}$' }),
+  createField({ name: 'Signature', group: 'Signing', required: true }),
+  createField({ name: 'Date', group: 'Signing', required: true })
+];
+
+// Fields grouped for display, in catalog order: [{ group, fields }]
+export const groupFields = (catalog) => {
+  const groups = [];
+  catalog.forEach((field) => {
+    let entry = groups.find(g => g.group === field.group);
+    if (!entry) {
+      entry = { group: field.group, fields: [] };
+      groups.push(entry);
+    }
+    entry.fields.push(field);
+  });
+  return groups;
+};
+
+// Move a field one place up (-1) or down (+1) within its group
+export const moveField = (catalog, id, direction) => {
+  const index = catalog.findIndex(f => f.id === id);
+  if (index === -1) return catalog;
+
+  const { group } = catalog[index];
+  let target = index + direction;
+  while (target >= 0 && target < catalog.length && catalog[target].group !== group) {
+    target += direction;
+  }
+  if (target < 0 || target >= catalog.length) return catalog;
+
+  const next = [...catalog];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+};
+
+// Problems with one field, in plain words; `catalog` is used to check the name is unique
+export const validateField = (field, catalog) => {
+  const problems = [];
+  const name = typeof field.name === 'string' ? field.name.trim() : '';
+  if (!name) {
+    problems.push('Every field needs a name');
+  } else if (catalog.some(f => f.id !== field.id && f.name.trim() === name)) {
+    problems.push(`There's already a field named “${name}”`);
+  }
+  if (!TAB_TYPES[field.tabType]) {
+    problems.push(`“${name}” has an unknown tab type`);
+  }
+  if (!(field.width > 0) || !(field.height > 0)) {
+    problems.push(`“${name}” needs a positive default width and height`);
+  }
+  if (field.pattern) {
+    try {
+      new RegExp(field.pattern);
+    } catch (error) {
+      problems.push(`“${name}” has an invalid validation pattern`);
+    }
+  }
+  return problems;
+};
+
+/**
+ * Read a catalog from JSON: { fields: [...] } (as exported or stored by the
+ * backend) or a bare list. Names are the only required key; everything else
+ * falls back to the defaults. Throws an Error with `messages` if it isn't valid.
+ */
+export const parseCatalog = (data) => {
+  const list = Array.isArray(data) ? data : data && data.fields;
+  if (!Array.isArray(list)) {
+    throw new Error('Expected a field catalog: { "fields": [...] }');
+  }
+
+  const catalog = [];
+  const problems = [];
+  list.forEach((entry, index) => {
+    const source = typeof entry === 'string' ? { name: entry } : entry;
+    if (!source || typeof source !== 'object') {
+      problems.push(`Field ${index + 1} is not an object`);
+      return;
+    }
+
+    const tabType = TAB_TYPES[source.tabType] ? source.tabType : guessTabType(String(source.name || ''));
+    const field = createField({
+      name: String(source.name || '').trim(),
+      tabType,
+      required: source.required === true,
+      width: Number(source.width) || DEFAULT_FIELD_SIZES[tabType].width,
+      height: Number(source.height) || DEFAULT_FIELD_SIZES[tabType].height,
+      pattern: typeof source.pattern === 'string' ? source.pattern : '',
+      role: typeof source.role === 'string' ? source.role : '',
+      group: typeof source.group === 'string' ? source.group.trim() : ''
+    });
+    problems.push(...validateField(field, catalog));
+    catalog.push(field);
+  });
+
+  if (problems.length > 0) {
+    const error = new Error(problems.join('\n'));
+    error.messages = problems;
+    throw error;
+  }
+  return catalog;
+};
+
+// JSON form of the catalog, for export and PUT /field-catalog
+export const serializeCatalog = (catalog) => ({
+  fields: catalog.map(({ id, ...field }) => field)
+});
+
+export const loadFieldCatalog = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CATALOG_STORAGE_KEY));
+    return stored ? parseCatalog(stored) : DEFAULT_CATALOG;
+  } catch (error) {
+    return DEFAULT_CATALOG;
+  }
+};
+
+export const saveFieldCatalog = (catalog) => {
+  try {
+    localStorage.setItem(CATALOG_STORAGE_KEY, JSON.stringify(serializeCatalog(catalog)));
+  } catch (error) {
+    console.warn('Could not save the field catalog:', error);
+  }
+};
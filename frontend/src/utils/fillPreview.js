@@ -0,0 +1,143 @@
+// Fill preview: sample values rendered into the placements to check they fit.
+//
+// Values are keyed by field, i.e. the placement label (a repeated copy uses its
+// master's label, so every copy shows the same value). Signature and initials tabs
+// show a mock signature of their recipient instead of a typed value.
+const PREVIEW_STORAGE_KEY = 'fillPreview';
+
+// Fonts DocuSign offers for tab values, with a close CSS equivalent
+export const PREVIEW_FONTS = {
+  helvetica: { label: 'Helvetica', css: 'Helvetica, Arial, sans-serif' },
+  arial: { label: 'Arial', css: 'Arial, Helvetica, sans-serif' },
+  timesnewroman: { label: 'Times New Roman', css: '"Times New Roman", Times, serif' },
+  courier: { label: 'Courier', css: '"Courier New", Courier, monospace' },
+  georgia: { label: 'Georgia', css: 'Georgia, serif' },
+  verdana: { label: 'Verdana', css: 'Verdana, sans-serif' }
+};
+
+export const MIN_FONT_SIZE = 6;
+export const MAX_FONT_SIZE = 72;
+
+// Space kept between a value and its region's edges, in points
+export const PREVIEW_PADDING = 2;
+
+export const DEFAULT_PREVIEW = { font: 'helvetica', fontSize: 11, values: {} };
+
+export const previewFont = (font, fontSize) => `${fontSize}px ${(PREVIEW_FONTS[font] || PREVIEW_FONTS.helvetica).css}`;
+
+// Tab types filled in with a mock signature rather than a value
+export const isSignatureTab = (tabType) => tabType === 'signHere' || tabType === 'initialHere';
+
+// Key of the value shown in a placement: its field, or its master's for a repeated copy
+export const previewKey = (placement, placementById) => {
+  const master = placement.repeat && placementById[placement.repeat.masterId];
+  return master ? master.label : placement.label;
+};
+
+const pick = (list, random) => list[Math.floor(random() * list.length)];
+
+const digits = (count, random) => Array.from({ length: count }, () => Math.floor(random() * 10)).join('');
+
+const FIRST_NAMES = ['Maria', 'James', 'Aisha', 'Wei', 'Oliver', 'Sofia', 'Mateo', 'Priya'];
+const LAST_NAMES = ['Hernandez', 'Okafor', 'Nguyen', 'Schmidt', 'Johnson', 'Kowalski', 'Tanaka', 'Bergstrom'];
+const STREETS = ['Maple Avenue', 'Harbor View Road', 'Elm Street', 'Kingsbridge Boulevard', 'Cedar Lane'];
+const CITIES = ['Springfield, IL 62704', 'Portland, OR 97205', 'Austin, TX 78701', 'Albany, NY 12207'];
+const EMPLOYMENT = ['Employed full-time', 'Self-employed', 'Employed part-time', 'Retired'];
+
+const formatDate = (date) => [date.getMonth() + 1, date.getDate()]
+  .map(n => String(n).padStart(2, '0'))
+  .concat(date.getFullYear())
+  .join('/');
+
+// Realistic fake value for a field, guessed from its name and tab type
+export const sampleValue = (name, tabType, random = Math.random) => {
+  if (tabType === 'checkbox') return 'X';
+  if (tabType === 'dateSigned') return formatDate(new Date());
+
+  const field = name.toLowerCase();
+  if (field.includes('email')) return `${pick(FIRST_NAMES, random).toLowerCase()}.${pick(LAST_NAMES, random).toLowerCase()}@example.com`;
+  if (field.includes('phone')) return `(${digits(3, random)}) 555-${digits(4, random)}`;
+  if (field.includes('social') || field.includes('ssn')) return `${digits(3, random)}-${digits(2, random)}-${digits(4, random)}`;
+  if (field.includes('birth')) return formatDate(new Date(1950 + Math.floor(random() * 50), Math.floor(random() * 12), 1 + Math.floor(random() * 28)));
+  if (field.includes('date')) return formatDate(new Date());
+  if (field.includes('address')) return `${1 + Math.floor(random() * 9000)} ${pick(STREETS, random)}, ${pick(CITIES, random)}`;
+  if (field.includes('account')) return digits(8 + Math.floor(random() * 10), random);
+  if (field.includes('income') || field.includes('amount') || field.includes('salary')) {
+    return `$${(20000 + Math.floor(random() * 180000)).toLocaleString('en-US')}.00`;
+  }
+  if (field.includes('employ')) return pick(EMPLOYMENT, random);
+  if (field.includes('name')) return `${pick(FIRST_NAMES, random)} ${pick(LAST_NAMES, random)}`;
+  return `Sample ${name}`;
+};
+
+// Sample values for every field in `placements` that doesn't have one yet (or all, with `replace`)
+export const generateSampleValues = (placements, values, { replace = false, random = Math.random } = {}) => {
+  const placementById = Object.fromEntries(placements.map(p => [p.id, p]));
+  const next = { ...values };
+  placements.forEach((placement) => {
+    if (isSignatureTab(placement.tabType)) return;
+    const key = previewKey(placement, placementById);
+    if (replace || next[key] === undefined) next[key] = sampleValue(key, placement.tabType, random);
+  });
+  return next;
+};
+
+// "Maria Hernandez" → "MH"
+export const initialsOf = (name) => name.split(/\s+/).filter(Boolean).map(word => word[0].toUpperCase()).join('');
+
+/**
+ * What each placement shows in the preview and whether it fits:
+ * [{ placement, text, signature, width, overflows }], where `width` is the text
+ * width in points. `measureText(text, font)` returns a width for the CSS `font`
+ * (at the font size given in points). Point tabs have no region, so never overflow.
+ */
+export const layoutPreview = ({ placements, recipients, preview, measureText }) => {
+  const placementById = Object.fromEntries(placements.map(p => [p.id, p]));
+  const recipientById = Object.fromEntries(recipients.map(r => [r.id, r]));
+  const font = previewFont(preview.font, preview.fontSize);
+
+  return placements.map((placement) => {
+    const signature = isSignatureTab(placement.tabType);
+    let text;
+    if (signature) {
+      const recipient = recipientById[placement.recipientId];
+      const name = recipient ? recipient.name : 'Signer';
+      text = placement.tabType === 'initialHere' ? initialsOf(name) : name;
+    } else {
+      text = preview.values[previewKey(placement, placementById)] || '';
+    }
+
+    const width = text ? measureText(text, font) : 0;
+    const overflows = placement.kind === 'region' && text !== '' && !signature && (
+      width > placement.width - PREVIEW_PADDING * 2 ||
+      preview.fontSize > placement.height
+    );
+    return { placement, text, signature, width, overflows };
+  });
+};
+
+// Text measurer backed by an offscreen canvas
+export const createTextMeasurer = () => {
+  const ctx = document.createElement('canvas').getContext('2d');
+  return (text, font) => {
+    ctx.font = font;
+    return ctx.measureText(text).width;
+  };
+};
+
+export const loadFillPreview = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PREVIEW_STORAGE_KEY));
+    return stored ? { ...DEFAULT_PREVIEW, ...stored } : DEFAULT_PREVIEW;
+  } catch (error) {
+    return DEFAULT_PREVIEW;
+  }
+};
+
+export const saveFillPreview = (preview) => {
+  try {
+    localStorage.setItem(PREVIEW_STORAGE_KEY, JSON.stringify(preview));
+  } catch (error) {
+    console.warn('Could not save the fill preview values:', error);
+  }
+};
@@ -0,0 +1,370 @@
+// Convert existing field definitions into placements (see utils/placements.js):
+// AcroForm widgets in the PDF, /save-fields files, points files and DocuSign tabs JSON.
+//
+// Every importer returns { placements, recipients, anchorRules, problems } where
+// `recipients` are new recipients to add, `anchorRules` are anchor tabs to apply
+// against the document's text (see utils/anchors.js) and `problems` lists, in plain
+// words, everything that couldn't be mapped.
+//
+// The JSON importers take the open document's `documentId` and the page geometries
+// of every document in the envelope (`documents`, by documentId): tabs and fields
+// that name another document of the envelope go to it, the rest to the open one.
+// Their placements and anchor rules carry the documentId they belong to.
+import { pdfToPoints, normalizedToPoints, NORMALIZED_SCALE } from './coordinates.js';
+import { TAB_TYPES, createId, createRecipient, guessTabType } from './placements.js';
+import { createAnchorRule } from './anchors.js';
+
+// Slack for rounding when checking that a points placement fits on its page
+const POINTS_TOLERANCE = 0.5;
+
+const emptyResult = () => ({ placements: [], recipients: [], anchorRules: [], problems: [] });
+
+const COLLECTION_TAB_TYPES = Object.fromEntries(
+  Object.entries(TAB_TYPES).map(([type, { collection }]) => [collection, type])
+);
+
+const toNumber = (value) => {
+  if (typeof value === 'boolean' || value === null || value === '') return NaN;
+  return Number(value);
+};
+
+// The document a tab or field belongs to, { documentId, pageGeometries }: the one it
+// names, or the open one. null when it names a document the envelope doesn't have
+const resolveDocument = (namedId, pageGeometries, { documentId, documents = {} }) => {
+  if (namedId === undefined || namedId === null || String(namedId) === String(documentId)) {
+    return { documentId, pageGeometries };
+  }
+  const id = String(namedId);
+  return documents[id] ? { documentId: id, pageGeometries: documents[id] } : null;
+};
+
+const pageMissingProblem = (name, pageNum, pageGeometries) =>
+  `${name} is on page ${pageNum}, but the PDF has ${pageGeometries.length} page${pageGeometries.length === 1 ? '' : 's'}`;
+
+// Match imported recipients to existing ones by id, then by name; add the rest.
+// `imported` is [{ key, name, role, routingOrder }]. Returns key → recipient id
+const resolveRecipients = (imported, existing, result) => {
+  const ids = {};
+  imported.forEach((entry) => {
+    const match = existing.find(r => r.id === entry.key) ||
+      [...existing, ...result.recipients].find(r => r.name === entry.name);
+    if (match) {
+      ids[entry.key] = match.id;
+      return;
+    }
+
+    const recipient = {
+      ...createRecipient(existing.length + result.recipients.length),
+      name: entry.name || `Signer ${existing.length + result.recipients.length + 1}`,
+      role: entry.role || entry.name || '',
+      routingOrder: Math.max(1, parseInt(entry.routingOrder) || 1)
+    };
+    result.recipients.push(recipient);
+    ids[entry.key] = recipient.id;
+  });
+  return ids;
+};
+
+/**
+ * Read AcroForm widget annotations from every page.
+ *
+ * Text and choice fields become text tabs (or a type guessed from the field
+ * name), checkboxes checkbox tabs and signature fields signature tabs. Radio
+ * buttons and push buttons have no equivalent and are reported.
+ */
+export const importAcroFormWidgets = async (pdfDoc, pageGeometries, { recipientId }) => {
+  const result = emptyResult();
+  const skipped = { radio: 0, push: 0, other: 0 };
+
+  for (let pageNum = 1; pageNum <= pdfDoc.numPages; pageNum++) {
+    const geometry = pageGeometries[pageNum - 1];
+    const page = await pdfDoc.getPage(pageNum);
+    const annotations = await page.getAnnotations();
+
+    annotations.forEach((annotation, index) => {
+      if (annotation.subtype !== 'Widget') return;
+
+      let tabType;
+      if (annotation.fieldType === 'Sig') {
+        tabType = 'signHere';
+      } else if (annotation.fieldType === 'Btn') {
+        if (annotation.radioButton) {
+          skipped.radio += 1;
+          return;
+        }
+        if (annotation.pushButton || !annotation.checkBox) {
+          skipped.push += 1;
+          return;
+        }
+        tabType = 'checkbox';
+      } else if (annotation.fieldType === 'Tx' || annotation.fieldType === 'Ch') {
+        tabType = guessTabType(annotation.fieldName || '');
+      } else {
+        skipped.other += 1;
+        return;
+      }
+
+      const [x1, y1, x2, y2] = annotation.rect;
+      const a = pdfToPoints(geometry, { x: x1, y: y1 });
+      const b = pdfToPoints(geometry, { x: x2, y: y2 });
+      const left = Math.max(0, Math.min(a.x, b.x));
+      const top = Math.max(0, Math.min(a.y, b.y));
+
+      result.placements.push({
+        id: createId(),
+        pageNum,
+        kind: 'region',
+        x: left,
+        y: top,
+        width: Math.min(geometry.width, Math.max(a.x, b.x)) - left,
+        height: Math.min(geometry.height, Math.max(a.y, b.y)) - top,
+        label: annotation.fieldName || annotation.alternativeText || `Page ${pageNum} field ${index + 1}`,
+        tabType,
+        recipientId
+      });
+    });
+  }
+
+  if (skipped.radio) result.problems.push(`${skipped.radio} radio button widget${skipped.radio === 1 ? '' : 's'} skipped (no matching tab type)`);
+  if (skipped.push) result.problems.push(`${skipped.push} push button widget${skipped.push === 1 ? '' : 's'} skipped`);
+  if (skipped.other) result.problems.push(`${skipped.other} widget${skipped.other === 1 ? '' : 's'} of an unknown field type skipped`);
+  if (result.placements.length === 0 && result.problems.length === 0) {
+    result.problems.push('This PDF has no form fields');
+  }
+  return result;
+};
+
+/**
+ * Read a file saved by /save-fields (or the legacy bare mapping): normalized
+ * [y1, x1, y2, x2, pageNumber] regions, with optional field_details and recipients.
+ */
+export const importFieldFile = (data, pageGeometries, { recipientId, recipients, documentId, documents }) => {
+  const result = emptyResult();
+  const fields = data && typeof data.fields === 'object' ? data.fields : data;
+  const details = (data && data.field_details) || {};
+
+  const recipientIds = resolveRecipients(
+    (Array.isArray(data.recipients) ? data.recipients : []).map(r => ({ key: r.id, ...r })),
+    recipients,
+    result
+  );
+
+  Object.entries(fields || {}).forEach(([label, coords]) => {
+    if (!Array.isArray(coords) || coords.length !== 5 || coords.some(c => !isFinite(toNumber(c)))) {
+      result.problems.push(`Field "${label}" has invalid coordinates`);
+      return;
+    }
+
+    const detail = details[label] || {};
+    const target = resolveDocument(detail.documentId, pageGeometries, { documentId, documents });
+    if (!target) {
+      result.problems.push(`Field "${label}" belongs to document ${detail.documentId}, which isn't in this envelope`);
+      return;
+    }
+
+    const [y1, x1, y2, x2, pageNum] = coords.map(toNumber);
+    const geometry = target.pageGeometries[pageNum - 1];
+    if (!geometry) {
+      result.problems.push(pageMissingProblem(`Field "${label}"`, pageNum, target.pageGeometries));
+      return;
+    }
+    if ([y1, x1, y2, x2].some(c => c < 0 || c > NORMALIZED_SCALE) || y1 >= y2 || x1 >= x2) {
+      result.problems.push(`Field "${label}" is not a valid 0-1000 rectangle`);
+      return;
+    }
+
+    const topLeft = normalizedToPoints(geometry, { x: x1, y: y1 });
+    const bottomRight = normalizedToPoints(geometry, { x: x2, y: y2 });
+
+    result.placements.push({
+      id: createId(),
+      documentId: target.documentId,
+      pageNum,
+      kind: 'region',
+      x: topLeft.x,
+      y: topLeft.y,
+      width: bottomRight.x - topLeft.x,
+      height: bottomRight.y - topLeft.y,
+      label,
+      tabType: TAB_TYPES[detail.tabType] ? detail.tabType : guessTabType(label),
+      recipientId: recipientIds[detail.recipientId] || recipientId
+    });
+  });
+
+  return result;
+};
+
+/**
+ * Read a points file (see toPointsFile in utils/mappingFormats.js): placements in
+ * top-left points, each checked to lie on its page.
+ */
+export const importPointsFile = (data, pageGeometries, { recipientId, recipients, documentId, documents }) => {
+  const result = emptyResult();
+  const recipientIds = resolveRecipients(
+    (Array.isArray(data.recipients) ? data.recipients : []).map(r => ({ key: r.id, ...r })),
+    recipients,
+    result
+  );
+
+  (Array.isArray(data.placements) ? data.placements : []).forEach((entry, index) => {
+    const name = `placements[${index}]${entry && entry.label ? ` "${entry.label}"` : ''}`;
+    if (!entry || typeof entry !== 'object') {
+      result.problems.push(`${name} is not an object`);
+      return;
+    }
+
+    const target = resolveDocument(entry.documentId, pageGeometries, { documentId, documents });
+    if (!target) {
+      result.problems.push(`${name} belongs to document ${entry.documentId}, which isn't in this envelope`);
+      return;
+    }
+
+    const pageNum = toNumber(entry.pageNumber);
+    const x = toNumber(entry.x);
+    const y = toNumber(entry.y);
+    const width = toNumber(entry.width || 0);
+    const height = toNumber(entry.height || 0);
+    if (![pageNum, x, y, width, height].every(isFinite) || width < 0 || height < 0) {
+      result.problems.push(`${name} has no valid page number, position and size`);
+      return;
+    }
+
+    const geometry = target.pageGeometries[pageNum - 1];
+    if (!geometry) {
+      result.problems.push(pageMissingProblem(name, pageNum, target.pageGeometries));
+      return;
+    }
+    if (x < 0 || y < 0 || x + width > geometry.width + POINTS_TOLERANCE || y + height > geometry.height + POINTS_TOLERANCE) {
+      result.problems.push(
+        `${name} at (${x}, ${y}) ${width}×${height} is outside page ${pageNum} (${Math.round(geometry.width)}×${Math.round(geometry.height)} points)`
+      );
+      return;
+    }
+
+    const tabType = TAB_TYPES[entry.tabType] ? entry.tabType : guessTabType(entry.label || '');
+    const isRegion = entry.kind === 'region' || (entry.kind === undefined && width > 0 && height > 0);
+    result.placements.push({
+      id: createId(),
+      documentId: target.documentId,
+      pageNum,
+      kind: isRegion ? 'region' : 'point',
+      x,
+      y,
+      width: isRegion ? Math.min(width, geometry.width - x) : 0,
+      height: isRegion ? Math.min(height, geometry.height - y) : 0,
+      label: entry.label || `${TAB_TYPES[tabType].label} ${index + 1}`,
+      tabType,
+      recipientId: recipientIds[entry.recipientId] || recipientId,
+      ...(tabType === 'text' && entry.validationPattern ? { validationPattern: entry.validationPattern } : {})
+    });
+  });
+
+  return result;
+};
+
+// Tab collections keyed by signer: { recipients: { signers } }, { tabs } or a bare tabs object
+const tabSources = (data) => {
+  if (data && data.recipients && Array.isArray(data.recipients.signers)) {
+    return data.recipients.signers.map((signer, index) => ({
+      signer: {
+        key: `signer-${index}`,
+        name: signer.name || signer.roleName,
+        role: signer.roleName,
+        routingOrder: signer.routingOrder
+      },
+      tabs: signer.tabs || {}
+    }));
+  }
+  return [{ signer: null, tabs: (data && data.tabs) || data || {} }];
+};
+
+/**
+ * Read DocuSign tabs JSON. Positioned tabs become placements (regions when they
+ * have a width and height); anchor tabs become anchor rules; each signer is
+ * matched to a recipient by name or added as a new one.
+ */
+export const importDocuSignTabs = (data, pageGeometries, { recipientId, recipients, documentId, documents }) => {
+  const result = emptyResult();
+  const sources = tabSources(data);
+  const recipientIds = resolveRecipients(sources.map(s => s.signer).filter(Boolean), recipients, result);
+  const unsupported = {};
+
+  sources.forEach(({ signer, tabs }) => {
+    const ownerId = signer ? recipientIds[signer.key] : recipientId;
+
+    Object.entries(tabs).forEach(([collection, list]) => {
+      const tabType = COLLECTION_TAB_TYPES[collection];
+      if (!Array.isArray(list)) return;
+      if (!tabType) {
+        unsupported[collection] = (unsupported[collection] || 0) + list.length;
+        return;
+      }
+
+      list.forEach((tab, index) => {
+        const name = `${collection}[${index}]${tab.tabLabel ? ` "${tab.tabLabel}"` : ''}`;
+
+        const target = resolveDocument(tab.documentId, pageGeometries, { documentId, documents });
+        if (!target) {
+          result.problems.push(`${name} belongs to document ${tab.documentId}, which isn't in this envelope`);
+          return;
+        }
+
+        if (tab.anchorString) {
+          result.anchorRules.push({
+            ...createAnchorRule({
+              anchorString: tab.anchorString,
+              tabType,
+              recipientId: ownerId,
+              xOffset: toNumber(tab.anchorXOffset) || 0,
+              yOffset: toNumber(tab.anchorYOffset) || 0
+            }),
+            documentId: target.documentId
+          });
+          return;
+        }
+
+        const pageNum = toNumber(tab.pageNumber);
+        const x = toNumber(tab.xPosition);
+        const y = toNumber(tab.yPosition);
+        if (![pageNum, x, y].every(isFinite)) {
+          result.problems.push(`${name} has no valid page number and position`);
+          return;
+        }
+
+        const geometry = target.pageGeometries[pageNum - 1];
+        if (!geometry) {
+          result.problems.push(pageMissingProblem(name, pageNum, target.pageGeometries));
+          return;
+        }
+        if (x < 0 || y < 0 || x > geometry.width || y > geometry.height) {
+          result.problems.push(`${name} at (${x}, ${y}) is outside page ${pageNum}`);
+          return;
+        }
+
+        const width = toNumber(tab.width);
+        const height = toNumber(tab.height);
+        const isRegion = width > 0 && height > 0;
+
+        result.placements.push({
+          id: createId(),
+          documentId: target.documentId,
+          pageNum,
+          kind: isRegion ? 'region' : 'point',
+          x,
+          y,
+          width: isRegion ? Math.min(width, geometry.width - x) : 0,
+          height: isRegion ? Math.min(height, geometry.height - y) : 0,
+          label: tab.tabLabel || `${TAB_TYPES[tabType].label} ${index + 1}`,
+          tabType,
+          recipientId: ownerId,
+          ...(tabType === 'text' && tab.validationPattern ? { validationPattern: tab.validationPattern } : {})
+        });
+      });
+    });
+  });
+
+  Object.entries(unsupported).forEach(([collection, count]) => {
+    result.problems.push(`${count} ${collection} tab${count === 1 ? '' : 's'} skipped (unsupported tab type)`);
+  });
+  return result;
+};
@@ -0,0 +1,53 @@
+// Keyboard-only placement: the on-canvas cursor steered with the arrow keys and the
+// spoken descriptions of positions and tabs announced to screen readers.
+//
+// The cursor is { pageNum, x, y } in top-left points (see utils/coordinates.js), like
+// a point placement, so placing a tab at it needs no conversion.
+import { TAB_TYPES } from './placements';
+import { pointsToInches } from './coordinates';
+
+// Cursor on the middle of a page
+export const centerCursor = (pageNum, geometry) => ({
+  pageNum,
+  x: geometry.width / 2,
+  y: geometry.height / 2
+});
+
+// Move the cursor by (dx, dy) points, keeping it on the page
+export const moveCursor = (cursor, dx, dy, geometry) => ({
+  ...cursor,
+  x: Math.min(geometry.width, Math.max(0, cursor.x + dx)),
+  y: Math.min(geometry.height, Math.max(0, cursor.y + dy))
+});
+
+// "72, 144 points (1.00, 2.00 inches)"
+export const describePosition = ({ x, y }) => (
+  `${Math.round(x)}, ${Math.round(y)} points ` +
+  `(${pointsToInches(x).toFixed(2)}, ${pointsToInches(y).toFixed(2)} inches)`
+);
+
+// "Signature 1, signature tab for Signer 1, page 2 at 72, 144 points (…), 100 by 30 points"
+export const describePlacement = (placement, recipient) => {
+  const type = TAB_TYPES[placement.tabType].label.toLowerCase();
+  const owner = recipient ? ` for ${recipient.name}` : '';
+  const size = placement.kind === 'region'
+    ? `, ${Math.round(placement.width)} by ${Math.round(placement.height)} points`
+    : '';
+  return `${placement.label}, ${type} tab${owner}, page ${placement.pageNum} at ${describePosition(placement)}${size}`;
+};
+
+// Placements in reading order: by page, then top to bottom, then left to right
+export const readingOrder = (placements) => [...placements].sort(
+  (a, b) => a.pageNum - b.pageNum || a.y - b.y || a.x - b.x
+);
+
+// The placement Tab (step 1) or Shift+Tab (step -1) moves to from `currentId`,
+// wrapping around at either end; null when there are none
+export const cyclePlacement = (placements, currentId, step) => {
+  const ordered = readingOrder(placements);
+  if (ordered.length === 0) return null;
+
+  const index = ordered.findIndex(p => p.id === currentId);
+  if (index === -1) return step > 0 ? ordered[0] : ordered[ordered.length - 1];
+  return ordered[(index + step + ordered.length) % ordered.length];
+};
@@ -0,0 +1,158 @@
+// Checks run on the placements before they're saved or exported.
+//
+// An issue is { id, severity, rule, message, placementIds, documentId, pageNum, field }
+// where severity is 'error' (blocks export and save) or 'warning', placementIds the
+// placements it's about (may be empty) and `field` an unmapped catalog field.
+// Labels and recipients are checked across the whole envelope, positions per page.
+import { TAB_TYPES } from './placements.js';
+
+// Regions smaller than this (points) are too small to sign or type into
+export const MIN_TAB_WIDTH = 10;
+export const MIN_TAB_HEIGHT = 10;
+// Placements closer than this (points) count as on top of each other or of text
+const OVERLAP_MARGIN = 2;
+// Slack for rounding when checking page bounds
+const BOUNDS_TOLERANCE = 0.5;
+
+export const LINT_RULES = {
+  offPage: { label: 'Off the page', severity: 'error' },
+  duplicateLabel: { label: 'Duplicate label', severity: 'error' },
+  missingSignature: { label: 'No signature tab', severity: 'warning' },
+  overlap: { label: 'Overlapping tabs', severity: 'warning' },
+  tooSmall: { label: 'Too small', severity: 'warning' },
+  unmappedField: { label: 'Required field not mapped', severity: 'warning' },
+  overText: { label: 'Covers page text', severity: 'warning' }
+};
+
+// “Label” (page 2), naming the document too when the envelope has several
+const describer = (documentNames) => {
+  const named = Object.keys(documentNames).length > 1;
+  return (placement) => `“${placement.label}” (${named ? `${documentNames[placement.documentId]}, ` : ''}page ${placement.pageNum})`;
+};
+
+// Points are treated as a small square around their position
+const bounds = (placement) => (placement.kind === 'point'
+  ? { left: placement.x - OVERLAP_MARGIN, top: placement.y - OVERLAP_MARGIN, right: placement.x + OVERLAP_MARGIN, bottom: placement.y + OVERLAP_MARGIN }
+  : { left: placement.x, top: placement.y, right: placement.x + placement.width, bottom: placement.y + placement.height });
+
+// Whether two boxes overlap by more than `margin` in both directions
+const intersects = (a, b, margin) =>
+  Math.min(a.right, b.right) - Math.max(a.left, b.left) > margin &&
+  Math.min(a.bottom, b.bottom) - Math.max(a.top, b.top) > margin;
+
+const isOffPage = (placement, geometry) =>
+  placement.x < -BOUNDS_TOLERANCE ||
+  placement.y < -BOUNDS_TOLERANCE ||
+  placement.x + placement.width > geometry.width + BOUNDS_TOLERANCE ||
+  placement.y + placement.height > geometry.height + BOUNDS_TOLERANCE;
+
+/**
+ * Lint the placements.
+ *
+ * `geometries` is each document's page geometries by documentId and `words` each
+ * document's page words (see pageWords() in utils/textContent.js), index 0 = page 1,
+ * or null while the text is loading. `documentNames` names the documents by
+ * documentId. `requiredFields` are the catalog field names that must be mapped as regions.
+ * Returns the issues, errors first.
+ */
+export const lintPlacements = ({ placements, recipients, geometries, words = null, documentNames = {}, requiredFields = [] }) => {
+  const describe = describer(documentNames);
+  const issues = [];
+  const add = (rule, message, placementList = [], extra = {}) => {
+    issues.push({
+      id: `${rule}:${issues.length}`,
+      severity: LINT_RULES[rule].severity,
+      rule,
+      message,
+      placementIds: placementList.map(p => p.id),
+      documentId: placementList.length > 0 ? placementList[0].documentId : null,
+      pageNum: placementList.length > 0 ? placementList[0].pageNum : null,
+      field: null,
+      ...extra
+    });
+  };
+
+  placements.forEach((placement) => {
+    const geometry = (geometries[placement.documentId] || [])[placement.pageNum - 1];
+    if (!geometries[placement.documentId]) {
+      add('offPage', `${describe(placement)} is on a document that's no longer in the envelope`, [placement]);
+      return;
+    }
+    if (!geometry) {
+      add('offPage', `${describe(placement)} is on a page this PDF doesn't have`, [placement]);
+      return;
+    }
+    if (isOffPage(placement, geometry)) {
+      add('offPage', `${describe(placement)} extends past the edge of the page`, [placement]);
+    }
+    if (placement.kind === 'region' && (placement.width < MIN_TAB_WIDTH || placement.height < MIN_TAB_HEIGHT)) {
+      add(
+        'tooSmall',
+        `${describe(placement)} is ${Math.round(placement.width)} × ${Math.round(placement.height)} pt, smaller than ${MIN_TAB_WIDTH} × ${MIN_TAB_HEIGHT} pt`,
+        [placement]
+      );
+    }
+  });
+
+  // Overlaps, compared page by page
+  const byPage = {};
+  placements.forEach((placement) => {
+    const key = `${placement.documentId}:${placement.pageNum}`;
+    (byPage[key] = byPage[key] || []).push(placement);
+  });
+  Object.values(byPage).forEach((pagePlacements) => {
+    pagePlacements.forEach((a, index) => {
+      pagePlacements.slice(index + 1).forEach((b) => {
+        const margin = a.kind === 'point' || b.kind === 'point' ? 0 : OVERLAP_MARGIN;
+        if (intersects(bounds(a), bounds(b), margin)) {
+          add('overlap', `${describe(a)} overlaps “${b.label}”`, [a, b]);
+        }
+      });
+    });
+  });
+
+  // Labels key the saved field mappings, so they must be unique
+  const byLabel = {};
+  placements.forEach((placement) => {
+    const label = placement.label.trim();
+    (byLabel[label] = byLabel[label] || []).push(placement);
+  });
+  Object.entries(byLabel).forEach(([label, list]) => {
+    if (list.length > 1) {
+      add('duplicateLabel', `“${label}” is used by ${list.length} tabs`, list);
+    }
+  });
+
+  recipients.forEach((recipient) => {
+    const hasSignature = placements.some(p => p.recipientId === recipient.id && p.tabType === 'signHere');
+    if (!hasSignature) {
+      add('missingSignature', `${recipient.name || 'A recipient'} has no ${TAB_TYPES.signHere.label.toLowerCase()} tab`, [], {
+        recipientId: recipient.id
+      });
+    }
+  });
+
+  requiredFields.forEach((field) => {
+    if (!placements.some(p => p.kind === 'region' && p.label.trim() === field)) {
+      add('unmappedField', `“${field}” isn't mapped yet`, [], { field });
+    }
+  });
+
+  if (words) {
+    placements.forEach((placement) => {
+      const pageWords = (words[placement.documentId] || [])[placement.pageNum - 1] || [];
+      const box = bounds(placement);
+      const covered = pageWords.filter(word => intersects(
+        box,
+        { left: word.x, top: word.y, right: word.x + word.width, bottom: word.y + word.height },
+        placement.kind === 'point' ? 0 : OVERLAP_MARGIN
+      ));
+      if (covered.length > 0) {
+        const sample = covered.slice(0, 3).map(word => word.text).join(' ');
+        add('overText', `${describe(placement)} covers the text “${sample}${covered.length > 3 ? '…' : ''}”`, [placement]);
+      }
+    });
+  }
+
+  return issues.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+};
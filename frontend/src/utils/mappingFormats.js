@@ -0,0 +1,129 @@
+// Mapping files: reading placements from, and writing them to, the formats the app
+// exchanges. Shared by the UI and the command-line tool (cli/mapping.js), so this
+// module and everything it imports use explicit file extensions and no browser APIs.
+//
+// Formats:
+// - normalized: files saved by /save-fields, regions as [y1, x1, y2, x2, pageNumber]
+//               on the 0-1000 scale, with field_details, recipients and documents
+// - points:     every placement in top-left points (see utils/coordinates.js), with
+//               recipients and documents
+// - tabs:       DocuSign tabs JSON, positions in points
+//
+// Writers take the envelope as { placements, recipients, documents } where `documents`
+// are [{ documentId, name, pageGeometries }] in envelope order.
+import { importFieldFile, importPointsFile, importDocuSignTabs } from './importers.js';
+import { toFieldMappings, toFieldDetails } from './placements.js';
+import { buildDocuSignRecipients, countTabs } from './docusign.js';
+import { envelopeDocuments, geometriesByDocument } from './envelope.js';
+
+export const MAPPING_FORMATS = {
+  normalized: { label: 'Saved fields (0-1000 normalized)', regionsOnly: true },
+  points: { label: 'Points (top-left origin)', regionsOnly: false },
+  tabs: { label: 'DocuSign tabs', regionsOnly: false }
+};
+
+const IMPORTERS = {
+  normalized: importFieldFile,
+  points: importPointsFile,
+  tabs: importDocuSignTabs
+};
+
+// Which format a parsed mapping file is in, or null
+export const detectMappingFormat = (data) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+  if (data.format === 'points' || Array.isArray(data.placements)) return 'points';
+  if (data.recipients && Array.isArray(data.recipients.signers)) return 'tabs';
+  if (data.tabs && typeof data.tabs === 'object') return 'tabs';
+  if (Object.keys(data).some(key => key.endsWith('Tabs'))) return 'tabs';
+  if (data.fields && typeof data.fields === 'object') return 'normalized';
+  if (Object.values(data).length > 0 && Object.values(data).every(Array.isArray)) return 'normalized';
+  return null;
+};
+
+// Documents a mapping file lists with another page count than the PDF it's read against
+const pageCountProblems = (data, pageGeometries, { documentId, documents = {} }) => {
+  const listed = Array.isArray(data.documents) ? data.documents : [];
+  return listed.flatMap((entry) => {
+    if (!entry || entry.pageCount === undefined || entry.pageCount === null) return [];
+    const id = String(entry.documentId);
+    const geometries = id === String(documentId) ? pageGeometries : documents[id];
+    if (!geometries || Number(entry.pageCount) === geometries.length) return [];
+    return [
+      `Document ${id}${entry.name ? ` (${entry.name})` : ''} has ${entry.pageCount} pages in the mapping file, ` +
+      `but the PDF has ${geometries.length}`
+    ];
+  });
+};
+
+/**
+ * Read a parsed mapping file into placements, checked against the page sizes and
+ * counts of the envelope's PDFs. `pageGeometries` and `options` are as for the
+ * importers in utils/importers.js. `format` is detected when not given.
+ *
+ * Returns { format, placements, recipients, anchorRules, problems }; throws when the
+ * file is in none of the formats.
+ */
+export const readMapping = (data, pageGeometries, options, format = detectMappingFormat(data)) => {
+  if (!IMPORTERS[format]) {
+    throw new Error('Unrecognised JSON: expected a saved fields file, a points file or DocuSign tabs');
+  }
+  const result = IMPORTERS[format](data, pageGeometries, options);
+  return {
+    ...result,
+    format,
+    problems: [...pageCountProblems(data, pageGeometries, options), ...result.problems]
+  };
+};
+
+const savedRecipients = (recipients) => recipients.map(({ id, name, role, routingOrder }) => ({ id, name, role, routingOrder }));
+
+// Hundredths of a point, well below anything visible
+const roundPoints = (value) => Math.round(value * 100) / 100;
+
+// The /save-fields payload. Only regions have a normalized form
+export const toSavedFields = ({ placements, recipients, documents }) => ({
+  fields: toFieldMappings(placements, geometriesByDocument(documents)),
+  field_details: toFieldDetails(placements),
+  recipients: savedRecipients(recipients),
+  documents: envelopeDocuments(documents)
+});
+
+export const toPointsFile = ({ placements, recipients, documents }) => ({
+  format: 'points',
+  origin: 'top-left',
+  documents: envelopeDocuments(documents),
+  recipients: savedRecipients(recipients),
+  placements: placements.map(placement => ({
+    documentId: placement.documentId,
+    pageNumber: placement.pageNum,
+    kind: placement.kind,
+    x: roundPoints(placement.x),
+    y: roundPoints(placement.y),
+    width: roundPoints(placement.width),
+    height: roundPoints(placement.height),
+    label: placement.label,
+    tabType: placement.tabType,
+    recipientId: placement.recipientId,
+    ...(placement.validationPattern ? { validationPattern: placement.validationPattern } : {})
+  }))
+});
+
+const WRITERS = {
+  normalized: toSavedFields,
+  points: toPointsFile,
+  tabs: ({ placements, recipients, documents }) => buildDocuSignRecipients({
+    placements,
+    recipients,
+    documents: envelopeDocuments(documents)
+  })
+};
+
+// The envelope's placements as a mapping file in `format`
+export const writeMapping = (format, envelope) => WRITERS[format](envelope);
+
+// Number of fields, placements or tabs in a mapping file written in `format`
+export const countMappingEntries = (format, data) => {
+  if (format === 'normalized') return Object.keys(data.fields).length;
+  if (format === 'points') return data.placements.length;
+  return countTabs(data);
+};
@@ -0,0 +1,89 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { PDFDocument, degrees } from 'pdf-lib';
+import pdfjs from 'pdfjs-dist/legacy/build/pdf.js';
+import { loadPageGeometries } from './coordinates.js';
+import { createId, createRecipient } from './placements.js';
+import { detectMappingFormat, readMapping, writeMapping, countMappingEntries } from './mappingFormats.js';
+
+let documents;
+let options;
+const signer = createRecipient(0);
+
+// A two-page document whose second page is cropped and rotated, so the formats are
+// exercised on displayed pages that differ from the MediaBox
+before(async () => {
+  const pdf = await PDFDocument.create();
+  pdf.addPage([612, 792]);
+  const rotated = pdf.addPage([612, 792]);
+  rotated.setCropBox(36, 36, 540, 720);
+  rotated.setRotation(degrees(90));
+  const pdfDoc = await pdfjs.getDocument({ data: await pdf.save(), verbosity: 0 }).promise;
+
+  documents = [{ documentId: '1', name: 'form.pdf', pageGeometries: await loadPageGeometries(pdfDoc) }];
+  options = { recipientId: signer.id, recipients: [signer], documentId: '1', documents: {} };
+  await pdfDoc.destroy();
+});
+
+const placement = (fields) => ({
+  id: createId(),
+  documentId: '1',
+  kind: 'region',
+  tabType: 'text',
+  recipientId: signer.id,
+  ...fields
+});
+
+const comparable = (placements) => placements.map(({ pageNum, kind, x, y, width, height, label, tabType }) => (
+  { pageNum, kind, x, y, width, height, label, tabType }
+));
+
+test('detectMappingFormat tells the formats apart', () => {
+  assert.equal(detectMappingFormat({ 'Full Name': [100, 100, 150, 400, 1] }), 'normalized');
+  assert.equal(detectMappingFormat({ fields: {}, field_details: {} }), 'normalized');
+  assert.equal(detectMappingFormat({ format: 'points', placements: [] }), 'points');
+  assert.equal(detectMappingFormat({ recipients: { signers: [] } }), 'tabs');
+  assert.equal(detectMappingFormat({ signHereTabs: [] }), 'tabs');
+  assert.equal(detectMappingFormat([1, 2]), null);
+  assert.throws(() => readMapping([1, 2], documents[0].pageGeometries, options), /Unrecognised JSON/);
+});
+
+test('a points file reads back the placements it was written from', () => {
+  const placements = [
+    placement({ pageNum: 1, x: 72, y: 648, width: 200, height: 30, label: 'Signature 1', tabType: 'signHere' }),
+    placement({ pageNum: 2, x: 100.5, y: 50.25, width: 120, height: 20, label: 'Full Name' }),
+    placement({ pageNum: 2, kind: 'point', x: 300, y: 400, width: 0, height: 0, label: 'Date Signed 1', tabType: 'dateSigned' })
+  ];
+  const file = writeMapping('points', { placements, recipients: [signer], documents });
+  assert.equal(countMappingEntries('points', file), 3);
+
+  const result = readMapping(JSON.parse(JSON.stringify(file)), documents[0].pageGeometries, options);
+  assert.equal(result.format, 'points');
+  assert.deepEqual(result.problems, []);
+  assert.deepEqual(comparable(result.placements), comparable(placements));
+});
+
+test('normalized files keep regions only', () => {
+  const placements = [
+    placement({ pageNum: 2, x: 0, y: 0, width: 360, height: 54, label: 'Full Name' }),
+    placement({ pageNum: 1, kind: 'point', x: 300, y: 400, width: 0, height: 0, label: 'Date Signed 1', tabType: 'dateSigned' })
+  ];
+  const file = writeMapping('normalized', { placements, recipients: [signer], documents });
+
+  assert.equal(countMappingEntries('normalized', file), 1);
+  // Page 2 is displayed 720 × 540 points
+  assert.deepEqual(file.fields['Full Name'], [0, 0, 100, 500, 2]);
+});
+
+test('readMapping reports page counts and pages the PDF does not have', () => {
+  const result = readMapping(
+    { fields: { 'Full Name': [100, 100, 150, 400, 3] }, documents: [{ documentId: '1', name: 'form.pdf', pageCount: 3 }] },
+    documents[0].pageGeometries,
+    options
+  );
+
+  assert.deepEqual(result.placements, []);
+  assert.equal(result.problems.length, 2);
+  assert.match(result.problems[0], /has 3 pages in the mapping file, but the PDF has 2/);
+  assert.match(result.problems[1], /page 3/);
+});
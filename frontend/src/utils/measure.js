@@ -0,0 +1,195 @@
+// Measuring on the page: ruler ticks, the grid, the cursor readout and snapping of
+// new and moved placements.
+//
+// Everything works in top-left points (see utils/coordinates.js) and goes through
+// the same conversions as placements, so the rulers and readout show exactly what
+// gets saved and exported.
+import {
+  POINTS_PER_INCH,
+  clampNormalized,
+  pointsToCanvas,
+  pointsToNormalized,
+  pointsToPdf
+} from './coordinates';
+
+const MEASURE_STORAGE_KEY = 'measureSettings';
+
+const POINTS_PER_MM = POINTS_PER_INCH / 25.4;
+
+// Ruler units. `steps` are the candidate spacings of labelled ticks, each split into `subdivisions`
+export const MEASURE_UNITS = {
+  pt: { label: 'Points', pointsPerUnit: 1, steps: [1, 2, 5, 10, 25, 50, 100, 200], subdivisions: 5, decimals: 1 },
+  in: { label: 'Inches', pointsPerUnit: POINTS_PER_INCH, steps: [0.125, 0.25, 0.5, 1, 2], subdivisions: 4, decimals: 3 },
+  mm: { label: 'Millimetres', pointsPerUnit: POINTS_PER_MM, steps: [1, 2, 5, 10, 20, 50, 100], subdivisions: 5, decimals: 1 }
+};
+
+// gridSize is in points, whatever unit the rulers show
+export const DEFAULT_MEASURE = {
+  rulers: false,
+  unit: 'pt',
+  grid: false,
+  gridSize: 18,
+  snapGrid: false,
+  snapBaselines: false,
+  snapEdges: false
+};
+
+export const MIN_GRID_SIZE = 1; // points
+
+// Labelled ruler ticks are at least this far apart, in CSS pixels
+const MIN_LABEL_SPACING = 50;
+
+// Snapping pulls a position to a line within this many CSS pixels
+export const SNAP_DISTANCE = 6;
+
+export const toUnit = (points, unit) => points / MEASURE_UNITS[unit].pointsPerUnit;
+
+export const fromUnit = (value, unit) => value * MEASURE_UNITS[unit].pointsPerUnit;
+
+// 0.25 rather than 0.250, 12 rather than 12.000
+export const formatMeasure = (value, decimals) => String(Number(value.toFixed(decimals)));
+
+// CSS pixels per point on a rendered page
+export const pixelsPerPoint = (geometry) => geometry.canvasWidth / geometry.width;
+
+// Canvas offset of a position along one displayed axis of the page
+const canvasOffset = (geometry, axis, points) => (axis === 'x'
+  ? pointsToCanvas(geometry, { x: points, y: 0 }).x
+  : pointsToCanvas(geometry, { x: 0, y: points }).y);
+
+/**
+ * Ticks of the ruler along one displayed axis of a rendered page ('x' across the
+ * top, 'y' down the side): [{ offset, major, label }] with `offset` in canvas pixels
+ * from the page's top-left corner. Labelled (major) ticks are spaced by the first
+ * step of the unit that leaves room for their labels at the current zoom.
+ */
+export const rulerTicks = (geometry, axis, unit) => {
+  const { pointsPerUnit, steps, subdivisions } = MEASURE_UNITS[unit];
+  const pixelsPerUnit = pixelsPerPoint(geometry) * pointsPerUnit;
+  const major = steps.find(step => step * pixelsPerUnit >= MIN_LABEL_SPACING) || steps[steps.length - 1];
+  const minor = major / subdivisions;
+  const length = toUnit(axis === 'x' ? geometry.width : geometry.height, unit);
+
+  const ticks = [];
+  for (let index = 0; index * minor <= length + 1e-9; index++) {
+    const value = index * minor;
+    const isMajor = index % subdivisions === 0;
+    ticks.push({
+      offset: canvasOffset(geometry, axis, value * pointsPerUnit),
+      major: isMajor,
+      label: isMajor ? formatMeasure(value, 3) : null
+    });
+  }
+  return ticks;
+};
+
+// Grid lines of a rendered page every `gridSize` points, as canvas offsets: { xs, ys }
+export const gridLines = (geometry, gridSize) => {
+  const lines = (axis, length) => {
+    const offsets = [];
+    for (let points = gridSize; points < length; points += gridSize) {
+      offsets.push(canvasOffset(geometry, axis, points));
+    }
+    return offsets;
+  };
+  return { xs: lines('x', geometry.width), ys: lines('y', geometry.height) };
+};
+
+/**
+ * A position in top-left points in every unit: { points, inches, mm, normalized, pdf }.
+ * `normalized` is rounded like saved field mappings and `pdf` is PDF user space
+ * (bottom-left origin, as stored in the file).
+ */
+export const measurePoint = (geometry, points) => {
+  const normalized = pointsToNormalized(geometry, points);
+  return {
+    points,
+    inches: { x: points.x / POINTS_PER_INCH, y: points.y / POINTS_PER_INCH },
+    mm: { x: points.x / POINTS_PER_MM, y: points.y / POINTS_PER_MM },
+    normalized: { x: clampNormalized(normalized.x), y: clampNormalized(normalized.y) },
+    pdf: pointsToPdf(geometry, points)
+  };
+};
+
+/**
+ * What placements on one page can snap to, from the settings: { xs, ys, grid }.
+ * `xs` / `ys` are lines in points: text baselines ({ xs, ys } from pageBaselines in
+ * utils/textContent.js) and the edges of `placements` (the position of point tabs).
+ * `grid` is the grid size, or 0 when not snapping to the grid.
+ */
+export const snapTargets = ({ settings, baselines = null, placements = [] }) => {
+  const xs = [];
+  const ys = [];
+  if (settings.snapBaselines && baselines) {
+    xs.push(...baselines.xs);
+    ys.push(...baselines.ys);
+  }
+  if (settings.snapEdges) {
+    placements.forEach((placement) => {
+      xs.push(placement.x, placement.x + placement.width);
+      ys.push(placement.y, placement.y + placement.height);
+    });
+  }
+  return { xs, ys, grid: settings.snapGrid ? settings.gridSize : 0 };
+};
+
+// The line nearest to any of `values` within `distance`: { line, delta } to move by, or null
+const nearestLine = (values, lines, distance) => {
+  let best = null;
+  values.forEach((value) => {
+    lines.forEach((line) => {
+      const delta = line - value;
+      if (Math.abs(delta) <= distance && (!best || Math.abs(delta) < Math.abs(best.delta))) {
+        best = { line, delta };
+      }
+    });
+  });
+  return best;
+};
+
+// How far to move along one axis so one of `edges` lands on a line, or the first on the grid
+const snapAxis = (edges, lines, grid, distance) => {
+  const match = nearestLine(edges, lines, distance);
+  if (match) return { delta: match.delta, guide: match.line };
+  if (grid > 0) return { delta: Math.round(edges[0] / grid) * grid - edges[0], guide: null };
+  return { delta: 0, guide: null };
+};
+
+// Snap a rectangle being moved: any of its edges can land on a line within `distance`
+// points, otherwise the grid takes its top-left corner. Returns { x, y, guides } where
+// `guides` are the lines snapped to ([{ axis, value }]), to draw while dragging.
+export const snapRect = (rect, targets, distance) => {
+  const x = snapAxis([rect.x, rect.x + rect.width], targets.xs, targets.grid, distance);
+  const y = snapAxis([rect.y, rect.y + rect.height], targets.ys, targets.grid, distance);
+  const guides = [];
+  if (x.guide !== null) guides.push({ axis: 'x', value: x.guide });
+  if (y.guide !== null) guides.push({ axis: 'y', value: y.guide });
+  return { x: rect.x + x.delta, y: rect.y + y.delta, guides };
+};
+
+// Snap a position in points like snapRect, keeping it on the page
+export const snapPoint = (point, targets, distance, geometry) => {
+  const snapped = snapRect({ ...point, width: 0, height: 0 }, targets, distance);
+  return {
+    ...snapped,
+    x: Math.min(geometry.width, Math.max(0, snapped.x)),
+    y: Math.min(geometry.height, Math.max(0, snapped.y))
+  };
+};
+
+export const loadMeasureSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(MEASURE_STORAGE_KEY));
+    return stored ? { ...DEFAULT_MEASURE, ...stored } : DEFAULT_MEASURE;
+  } catch (error) {
+    return DEFAULT_MEASURE;
+  }
+};
+
+export const saveMeasureSettings = (settings) => {
+  try {
+    localStorage.setItem(MEASURE_STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.warn('Could not save the measure settings:', error);
+  }
+};
@@ -0,0 +1,256 @@
+// PDF output built in the browser from the loaded PDF's bytes with pdf-lib:
+// - a fillable PDF with every placement turned into an AcroForm field
+// - an annotated proof with coloured boxes and labels drawn onto the pages
+//
+// Placements are top-left points on the page as displayed; they're converted back
+// to PDF user space with each page's geometry (crop box and /Rotate included).
+// An envelope's documents are combined into one PDF in envelope order.
+import { PDFDocument, PDFDict, PDFName, PDFString, StandardFonts, degrees, rgb } from 'pdf-lib';
+import { pointsRectToPdf, pointsToPdf } from './coordinates';
+import { TAB_TYPES } from './placements';
+import { DEFAULT_FIELD_SIZES } from './fieldCatalog';
+
+// AcroForm field type each tab type becomes
+export const FIELD_KINDS = {
+  signHere: 'signature',
+  initialHere: 'signature',
+  dateSigned: 'text',
+  text: 'text',
+  checkbox: 'checkbox'
+};
+
+// Widget annotation flags: 4 = print
+const ANNOTATION_PRINT = 4;
+
+const PROOF_LABEL_SIZE = 7;
+
+// "#2563eb" → pdf-lib colour
+const hexToRgb = (hex) => {
+  const value = parseInt(hex.slice(1), 16);
+  return rgb(((value >> 16) & 255) / 255, ((value >> 8) & 255) / 255, (value & 255) / 255);
+};
+
+const loadPdf = async (pdfBytes) => {
+  try {
+    return await PDFDocument.load(pdfBytes);
+  } catch (error) {
+    if (error && error.name === 'EncryptedPDFError') {
+      throw new Error('This PDF is encrypted, so fields cannot be added to it');
+    }
+    throw error;
+  }
+};
+
+// Region of a placement in top-left points; point tabs get their tab type's default size
+const placementRect = (placement) => (placement.kind === 'region'
+  ? placement
+  : { ...placement, ...DEFAULT_FIELD_SIZES[placement.tabType] });
+
+// Field names must be unique and can't contain "." (pdf-lib reads it as a hierarchy)
+const uniqueFieldName = (label, takenNames) => {
+  const base = (label.trim() || 'Field').replace(/\./g, '_');
+  let name = base;
+  for (let n = 2; takenNames.has(name); n++) name = `${base} (${n})`;
+  takenNames.add(name);
+  return name;
+};
+
+// Turn a field's newest widget with the page, so its appearance reads upright on a rotated page.
+// (pdf-lib's own `rotate` option rotates the rectangle too, which is already in user space here.)
+const rotateWidget = (form, field, rotation) => {
+  if (!rotation) return;
+  const widgets = field.acroField.getWidgets();
+  widgets[widgets.length - 1].getOrCreateAppearanceCharacteristics().setRotation(rotation);
+  form.markFieldAsDirty(field.ref);
+};
+
+// pdf-lib has no API for signature fields, so build the merged field / widget dictionary by hand
+const addSignatureField = (pdfDoc, form, page, name, rect, rotation) => {
+  const widget = pdfDoc.context.obj({
+    Type: 'Annot',
+    Subtype: 'Widget',
+    FT: 'Sig',
+    T: PDFString.of(name),
+    Rect: [rect.x, rect.y, rect.x + rect.width, rect.y + rect.height],
+    F: ANNOTATION_PRINT,
+    P: page.ref,
+    MK: { R: rotation }
+  });
+  const ref = pdfDoc.context.register(widget);
+  page.node.addAnnot(ref);
+  form.acroForm.addField(ref);
+};
+
+// Root field dictionary of a widget annotation, following /Parent
+const fieldRoot = (context, ref) => {
+  let rootRef = ref;
+  let dict = context.lookup(ref, PDFDict);
+  while (dict.get(PDFName.of('Parent'))) {
+    rootRef = dict.get(PDFName.of('Parent'));
+    dict = context.lookup(rootRef, PDFDict);
+  }
+  return dict.get(PDFName.of('T')) ? rootRef : null;
+};
+
+/**
+ * Append the pages of `others` to `target`, keeping their form fields working.
+ * Annotations' /P (their page) is dropped while copying, otherwise pdf-lib would
+ * copy the whole source page tree along with it, and set again afterwards.
+ */
+const appendDocuments = async (target, others) => {
+  // Only touch the target's AcroForm when there are fields to add to it
+  let acroForm = null;
+  let registered = null;
+  const registerField = (root) => {
+    if (!acroForm) {
+      acroForm = target.getForm().acroForm;
+      registered = new Set(acroForm.getAllFields().map(([, ref]) => ref.toString()));
+    }
+    if (registered.has(root.toString())) return;
+    registered.add(root.toString());
+    acroForm.addField(root);
+  };
+
+  for (const source of others) {
+    source.getPages().forEach((page) => {
+      const annots = page.node.Annots();
+      if (!annots) return;
+      annots.asArray().forEach(ref => source.context.lookup(ref, PDFDict).delete(PDFName.of('P')));
+    });
+
+    const pages = await target.copyPages(source, source.getPageIndices());
+    pages.forEach((page) => {
+      target.addPage(page);
+      const annots = page.node.Annots();
+      if (!annots) return;
+      annots.asArray().forEach((ref) => {
+        const annot = target.context.lookup(ref, PDFDict);
+        annot.set(PDFName.of('P'), page.ref);
+        if (annot.get(PDFName.of('Subtype')) !== PDFName.of('Widget')) return;
+
+        const root = fieldRoot(target.context, ref);
+        if (root) registerField(root);
+      });
+    });
+  }
+  return target;
+};
+
+// Add a field for each placement of one document
+const addFields = (pdfDoc, placements, pageGeometries, takenNames) => {
+  const form = pdfDoc.getForm();
+  const pages = pdfDoc.getPages();
+  form.getFields().forEach(field => takenNames.add(field.getName()));
+
+  placements.forEach((placement) => {
+    const geometry = pageGeometries[placement.pageNum - 1];
+    const page = pages[placement.pageNum - 1];
+    if (!geometry || !page) return;
+
+    const rect = pointsRectToPdf(geometry, placementRect(placement));
+    const name = uniqueFieldName(placement.label, takenNames);
+    const appearance = {
+      ...rect,
+      borderColor: rgb(0.6, 0.6, 0.6),
+      borderWidth: 1
+    };
+
+    switch (FIELD_KINDS[placement.tabType]) {
+      case 'signature':
+        addSignatureField(pdfDoc, form, page, name, rect, geometry.rotation);
+        break;
+      case 'checkbox': {
+        const field = form.createCheckBox(name);
+        field.addToPage(page, appearance);
+        rotateWidget(form, field, geometry.rotation);
+        break;
+      }
+      default: {
+        const field = form.createTextField(name);
+        if (placement.tabType === 'dateSigned') field.setMaxLength(10);
+        field.addToPage(page, appearance);
+        rotateWidget(form, field, geometry.rotation);
+      }
+    }
+  });
+
+  // Appearances have to exist before the pages are copied into the combined PDF
+  form.updateFieldAppearances();
+};
+
+/**
+ * The envelope's documents ([{ pdfBytes, placements, pageGeometries }], in order)
+ * as one PDF with every placement added as an AcroForm field named after its label:
+ * signature and initials tabs become signature fields, checkboxes checkboxes and
+ * everything else text fields. Returns the new PDF's bytes.
+ */
+export const buildFillablePdf = async ({ documents }) => {
+  const takenNames = new Set();
+  const pdfDocs = [];
+  for (const document of documents) {
+    const pdfDoc = await loadPdf(document.pdfBytes);
+    addFields(pdfDoc, document.placements, document.pageGeometries, takenNames);
+    pdfDocs.push(pdfDoc);
+  }
+
+  const [first, ...others] = pdfDocs;
+  return (await appendDocuments(first, others)).save();
+};
+
+// Latin-1 only: the standard fonts can't encode anything else
+const encodable = (text) => text.replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+// Draw a labelled box for each placement of one document
+const drawProof = async (pdfDoc, placements, pageGeometries, recipientById) => {
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const pages = pdfDoc.getPages();
+
+  placements.forEach((placement) => {
+    const geometry = pageGeometries[placement.pageNum - 1];
+    const page = pages[placement.pageNum - 1];
+    if (!geometry || !page) return;
+
+    const recipient = recipientById[placement.recipientId];
+    const color = hexToRgb(recipient ? recipient.color : '#dc2626');
+    const box = placementRect(placement);
+
+    page.drawRectangle({
+      ...pointsRectToPdf(geometry, box),
+      color,
+      opacity: 0.12,
+      borderColor: color,
+      borderWidth: 1
+    });
+
+    // Label just above the box, upright on the displayed page
+    const label = [placement.label, TAB_TYPES[placement.tabType].label, recipient && recipient.name]
+      .filter(Boolean)
+      .join(' · ');
+    const origin = pointsToPdf(geometry, { x: box.x, y: Math.max(PROOF_LABEL_SIZE, box.y - 2) });
+    page.drawText(encodable(label), {
+      ...origin,
+      size: PROOF_LABEL_SIZE,
+      font,
+      color,
+      rotate: degrees(geometry.rotation)
+    });
+  });
+};
+
+/**
+ * The envelope's documents ([{ pdfBytes, placements, pageGeometries }], in order)
+ * as one PDF with each placement drawn as a box in its recipient's colour, labelled
+ * with its field, tab type and recipient, for review. Returns the new PDF's bytes.
+ */
+export const buildProofPdf = async ({ documents, recipients }) => {
+  const recipientById = Object.fromEntries(recipients.map(r => [r.id, r]));
+  const pdfDocs = [];
+  for (const document of documents) {
+    const pdfDoc = await loadPdf(document.pdfBytes);
+    await drawProof(pdfDoc, document.placements, document.pageGeometries, recipientById);
+    pdfDocs.push(pdfDoc);
+  }
+
+  const [first, ...others] = pdfDocs;
+  return (await appendDocuments(first, others)).save();
+};
@@ -0,0 +1,121 @@
+// Loading PDFs with pdf.js as envelope documents (see utils/envelope.js), from a
+// local file or a URL, with password prompts and download progress.
+import { loadPageGeometries } from './coordinates';
+// Bundled rather than loaded from a CDN, so PDFs open offline and on locked-down networks
+import pdfWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.js?url';
+
+// Thrown when the user cancels a load (the Cancel button or the password prompt)
+export class LoadCancelledError extends Error {
+  constructor() {
+    super('Loading cancelled');
+    this.name = 'LoadCancelledError';
+  }
+}
+
+/**
+ * Load a PDF as an envelope document: { documentId, name, file, pdfDoc, fingerprint, pageGeometries }.
+ *
+ * `source` is { file } or { url, name }. A PDF loaded from a URL gets a `file` made
+ * from its bytes, so it's stored for session restore and exported like an upload.
+ * Options:
+ * - onPassword(name, incorrect) resolves with the password, or null to cancel;
+ *   without it an encrypted PDF fails with pdf.js's PasswordException
+ * - onProgress(loaded, total) while the PDF is read; total is 0 when unknown
+ * - signal: an AbortSignal that cancels the load
+ */
+export const loadDocument = async (source, documentId, { onPassword, onProgress, signal } = {}) => {
+  const name = source.file ? source.file.name : source.name;
+  if (signal && signal.aborted) throw new LoadCancelledError();
+
+  // Initialize pdf.js with error handling
+  const pdfjsLib = await import('pdfjs-dist');
+  pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
+
+  const loadingTask = pdfjsLib.getDocument({
+    ...(source.file ? { data: await source.file.arrayBuffer() } : { url: source.url }),
+    verbosity: 0 // Reduce console noise
+  });
+  if (onProgress) {
+    loadingTask.onProgress = ({ loaded, total }) => onProgress(loaded, total || 0);
+  }
+
+  let cancel;
+  const pdf = await new Promise((resolve, reject) => {
+    cancel = () => {
+      reject(new LoadCancelledError());
+      loadingTask.destroy();
+    };
+    if (signal) signal.addEventListener('abort', cancel, { once: true });
+
+    if (onPassword) {
+      loadingTask.onPassword = async (updatePassword, reason) => {
+        const password = await onPassword(name, reason === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD);
+        if (password === null) cancel(); else updatePassword(password);
+      };
+    }
+    loadingTask.promise.then(resolve, reject);
+  }).finally(() => {
+    // The signal may be shared by a batch of loads: aborting a later one mustn't destroy this PDF
+    if (signal) signal.removeEventListener('abort', cancel);
+  });
+
+  if (!pdf || pdf.numPages === 0) {
+    throw new Error('Invalid or empty PDF file');
+  }
+
+  return {
+    documentId,
+    name,
+    file: source.file || new File([await pdf.getData()], name, { type: 'application/pdf' }),
+    pdfDoc: pdf,
+    fingerprint: pdf.fingerprints[0],
+    pageGeometries: await loadPageGeometries(pdf)
+  };
+};
+
+// Release pdf.js's copy of documents no longer in use (it lives in the worker until
+// destroyed). Documents may share a pdfDoc, e.g. when a session renumbers one
+export const destroyDocuments = (documents) => {
+  new Set(documents.map(d => d.pdfDoc)).forEach((pdfDoc) => {
+    pdfDoc.destroy().catch(error => console.warn('Could not release a PDF:', error));
+  });
+};
+
+// User-friendly reason a PDF failed to load
+export const pdfLoadErrorMessage = (error) => {
+  let errorMessage = 'Failed to load PDF. ';
+  if (error.name === 'PasswordException') {
+    errorMessage += 'The PDF is password-protected.';
+  } else if (error.name === 'InvalidPDFException') {
+    errorMessage += 'The file appears to be corrupted or not a valid PDF.';
+  } else if (error.name === 'MissingPDFException') {
+    errorMessage += 'The PDF file could not be found or read.';
+  } else if (error.name === 'UnexpectedResponseException') {
+    errorMessage += `The server answered with status ${error.status}: the address may not be a PDF, or the PDF is larger than 50MB.`;
+  } else if (error.message.includes('fetch')) {
+    errorMessage += 'Network error while loading PDF.';
+  } else {
+    errorMessage += 'Please try a different PDF file.';
+  }
+  return errorMessage;
+};
+
+// File name for a PDF opened from a URL: its last path segment
+export const pdfNameFromUrl = (url) => {
+  try {
+    const segment = decodeURIComponent(new URL(url).pathname.split('/').pop());
+    if (!segment) return 'document.pdf';
+    return segment.toLowerCase().endsWith('.pdf') ? segment : `${segment}.pdf`;
+  } catch (error) {
+    return 'document.pdf';
+  }
+};
+
+// Only http(s) URLs can be fetched through the backend
+export const isPdfUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
@@ -0,0 +1,98 @@
+// Placement and recipient model shared by the canvas, sidebar and exports.
+//
+// A placement is { id, documentId, pageNum, kind, x, y, width, height, label, tabType, recipientId }
+// where x / y / width / height are top-left PDF points (see utils/coordinates.js) on
+// page pageNum of the envelope document documentId (see utils/envelope.js).
+// kind is 'point' (a single click, width = height = 0) or 'region' (a drawn rectangle).
+// Text placements may also carry a `validationPattern` (from the field catalog).
+//
+// A recipient is { id, name, role, routingOrder, color, shape }.
+import { pointsToNormalized, clampNormalized } from './coordinates.js';
+
+// Tab types and the DocuSign tab collection each one is exported to
+export const TAB_TYPES = {
+  signHere: { label: 'Signature', collection: 'signHereTabs' },
+  initialHere: { label: 'Initials', collection: 'initialHereTabs' },
+  dateSigned: { label: 'Date Signed', collection: 'dateSignedTabs' },
+  text: { label: 'Text', collection: 'textTabs' },
+  checkbox: { label: 'Checkbox', collection: 'checkboxTabs' }
+};
+
+export const MARKER_SHAPES = ['cross', 'circle', 'square', 'diamond', 'triangle'];
+
+export const RECIPIENT_COLORS = ['#dc2626', '#2563eb', '#059669', '#d97706', '#7c3aed', '#db2777'];
+
+export const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// New recipient with the next colour and marker shape
+export const createRecipient = (index) => ({
+  id: createId(),
+  name: `Signer ${index + 1}`,
+  role: `Signer ${index + 1}`,
+  routingOrder: index + 1,
+  color: RECIPIENT_COLORS[index % RECIPIENT_COLORS.length],
+  shape: MARKER_SHAPES[index % MARKER_SHAPES.length]
+});
+
+// Guess the tab type for a mapped field from its name
+export const guessTabType = (label) => {
+  const name = label.toLowerCase();
+  if (name.includes('signature')) return 'signHere';
+  if (name.includes('initial')) return 'initialHere';
+  if (name === 'date' || name.includes('date signed')) return 'dateSigned';
+  if (name.includes('checkbox')) return 'checkbox';
+  return 'text';
+};
+
+// Default label for a new point placement, e.g. "Signature 3": the lowest number no
+// label uses yet, so a label freed by a deletion is reused rather than duplicated
+export const nextLabel = (placements, tabType) => {
+  const prefix = `${TAB_TYPES[tabType].label} `;
+  const used = new Set(placements.map(p => p.label));
+  let number = 1;
+  while (used.has(`${prefix}${number}`)) number += 1;
+  return `${prefix}${number}`;
+};
+
+// Region placement → [y1, x1, y2, x2, pageNum] on the 0-1000 scale
+export const toNormalizedCoords = (placement, geometry) => {
+  const topLeft = pointsToNormalized(geometry, { x: placement.x, y: placement.y });
+  const bottomRight = pointsToNormalized(geometry, {
+    x: placement.x + placement.width,
+    y: placement.y + placement.height
+  });
+
+  return [
+    clampNormalized(topLeft.y),
+    clampNormalized(topLeft.x),
+    clampNormalized(bottomRight.y),
+    clampNormalized(bottomRight.x),
+    placement.pageNum
+  ];
+};
+
+// Region placements → { label: [y1, x1, y2, x2, pageNum] } as stored by /save-fields.
+// `geometries` is each document's page geometries by documentId
+export const toFieldMappings = (placements, geometries) => {
+  const mappings = {};
+  placements.forEach((placement) => {
+    const geometry = (geometries[placement.documentId] || [])[placement.pageNum - 1];
+    if (placement.kind !== 'region' || !geometry) return;
+    mappings[placement.label] = toNormalizedCoords(placement, geometry);
+  });
+  return mappings;
+};
+
+// Region placements → { label: { tabType, recipientId, documentId } } to save alongside the field mappings
+export const toFieldDetails = (placements) => {
+  const details = {};
+  placements.forEach((placement) => {
+    if (placement.kind !== 'region') return;
+    details[placement.label] = {
+      tabType: placement.tabType,
+      recipientId: placement.recipientId,
+      documentId: placement.documentId
+    };
+  });
+  return details;
+};
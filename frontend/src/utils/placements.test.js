@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { nextLabel } from './placements.js';
+
+const tab = (label, tabType = 'signHere') => ({ label, tabType });
+
+test('nextLabel numbers tabs of a type from 1', () => {
+  assert.equal(nextLabel([], 'signHere'), 'Signature 1');
+  assert.equal(nextLabel([tab('Signature 1'), tab('Date Signed 1', 'dateSigned')], 'signHere'), 'Signature 2');
+});
+
+test('nextLabel reuses a number freed by a deletion instead of duplicating a label', () => {
+  // Signature 1 and 2 added, then Signature 1 deleted
+  const remaining = [tab('Signature 2')];
+  assert.equal(nextLabel(remaining, 'signHere'), 'Signature 1');
+  assert.equal(nextLabel([...remaining, tab('Signature 1')], 'signHere'), 'Signature 3');
+});
+
+test('nextLabel skips numbers taken by renamed tabs of another type', () => {
+  assert.equal(nextLabel([tab('Signature 1', 'text')], 'signHere'), 'Signature 2');
+});
@@ -0,0 +1,109 @@
+// Repeating a placement across pages, e.g. an initials tab on every page.
+//
+// Copies carry `repeat: { masterId }` and follow their master: the same position
+// relative to each page's size (so mixed page sizes line up), the same size, type,
+// recipient and label with the page number appended. Detaching a copy (or moving
+// it by hand) turns it into an ordinary placement. Copies stay on their master's document.
+import { createId } from './placements';
+
+export const PAGE_SELECTIONS = {
+  all: 'All pages',
+  odd: 'Odd pages',
+  even: 'Even pages',
+  range: 'Page range'
+};
+
+// Page numbers picked by { mode, from, to } in a document of `pageCount` pages
+export const selectPages = ({ mode, from, to }, pageCount) => {
+  const pages = Array.from({ length: pageCount }, (_, index) => index + 1);
+  if (mode === 'odd') return pages.filter(p => p % 2 === 1);
+  if (mode === 'even') return pages.filter(p => p % 2 === 0);
+  if (mode === 'range') {
+    const first = Math.max(1, Math.min(from, to));
+    const last = Math.min(pageCount, Math.max(from, to));
+    return pages.filter(p => p >= first && p <= last);
+  }
+  return pages;
+};
+
+const copyLabel = (master, pageNum) => `${master.label} · p${pageNum}`;
+
+// A copy of `master` on `pageNum`, keeping `id`
+const copyOf = (master, pageNum, id, pageGeometries) => {
+  const from = pageGeometries[master.pageNum - 1];
+  const to = pageGeometries[pageNum - 1];
+  const { anchor, context, repeat, ...rest } = master;
+
+  const width = Math.min(master.width, to.width);
+  const height = Math.min(master.height, to.height);
+  return {
+    ...rest,
+    id,
+    pageNum,
+    x: Math.min(to.width - width, (master.x / from.width) * to.width),
+    y: Math.min(to.height - height, (master.y / from.height) * to.height),
+    width,
+    height,
+    label: copyLabel(master, pageNum),
+    repeat: { masterId: master.id }
+  };
+};
+
+const samePlacement = (a, b) => Object.keys({ ...a, ...b }).every((key) => (
+  key === 'repeat' ? a.repeat && b.repeat && a.repeat.masterId === b.repeat.masterId : a[key] === b[key]
+));
+
+export const copiesOf = (placements, masterId) => placements.filter(p => p.repeat && p.repeat.masterId === masterId);
+
+// Detaching a copy keeps it where it is as an ordinary placement
+export const detachCopy = (placement) => {
+  if (!placement.repeat) return placement;
+  const { repeat, ...rest } = placement;
+  return rest;
+};
+
+/**
+ * Copy `master` to `pageNums` (its own page is skipped), replacing any copies it
+ * already has. Returns the new placements list.
+ */
+export const repeatPlacement = (placements, master, pageNums, pageGeometries) => {
+  const kept = placements.filter(p => !(p.repeat && p.repeat.masterId === master.id));
+  const copies = pageNums
+    .filter(pageNum => pageNum !== master.pageNum && pageGeometries[pageNum - 1])
+    .map(pageNum => copyOf(master, pageNum, createId(), pageGeometries));
+  return [...kept, ...copies];
+};
+
+/**
+ * Bring every copy in line with its master after the masters changed. Copies whose
+ * master is gone become ordinary placements. Unchanged placements (and the list
+ * itself, if nothing changed) keep their identity. `geometries` is each document's
+ * page geometries by documentId (see utils/envelope.js).
+ */
+export const syncRepeats = (placements, geometries) => {
+  if (!placements.some(p => p.repeat)) return placements;
+
+  const byId = new Map(placements.map(p => [p.id, p]));
+  let changed = false;
+  const synced = placements.map((placement) => {
+    if (!placement.repeat) return placement;
+
+    const master = byId.get(placement.repeat.masterId);
+    const pageGeometries = (master && geometries[master.documentId]) || [];
+    const next = master && !master.repeat && pageGeometries[master.pageNum - 1] && pageGeometries[placement.pageNum - 1]
+      ? copyOf(master, placement.pageNum, placement.id, pageGeometries)
+      : detachCopy(placement);
+    if (samePlacement(next, placement)) return placement;
+
+    changed = true;
+    return next;
+  });
+  return changed ? synced : placements;
+};
+
+// Point copies at their masters' new ids after every placement got a new id
+export const remapRepeatLinks = (placements, idMap) => placements.map((placement) => {
+  if (!placement.repeat) return placement;
+  const masterId = idMap.get(placement.repeat.masterId);
+  return masterId ? { ...placement, repeat: { masterId } } : detachCopy(placement);
+});
@@ -0,0 +1,171 @@
+// Re-targeting a template to a revised PDF: compare the text near each placement
+// between the template's document and the open one, and move placements whose
+// nearby text moved.
+//
+// When a template is saved, each placement gets `context: { text, x, y, dx, dy }`:
+// the nearest line of text on its page, where that text was (top-left points) and
+// the placement's offset from it. The old PDF isn't needed to re-target.
+import { createId } from './placements';
+import { findTextMatches, pageTextItems } from './textContent';
+import { compareTemplateLayout } from './templates';
+import { remapRepeatLinks } from './repeat';
+
+// How far from a placement (points) text still counts as its context
+const CONTEXT_RADIUS = 100;
+// Text that moved less than this (points) hasn't moved
+const MOVE_TOLERANCE = 2;
+// Two matches closer than this (points) to the old position can't be told apart
+const AMBIGUITY_MARGIN = 12;
+
+export const RETARGET_STATUSES = {
+  unchanged: { label: 'Unchanged', color: '#059669' },
+  shifted: { label: 'Shifted', color: '#2563eb' },
+  unresolved: { label: 'Needs review', color: '#dc2626' },
+  unverified: { label: 'Not checked', color: '#6b7280' }
+};
+
+// Blank lines, dot leaders and the like aren't useful context
+const contextText = (text) => text.replace(/[_.…-]{3,}/g, ' ').replace(/\s+/g, ' ').trim();
+
+const rectDistance = (a, b) => Math.hypot(
+  Math.max(0, a.x - (b.x + b.width), b.x - (a.x + a.width)),
+  Math.max(0, a.y - (b.y + b.height), b.y - (a.y + a.height))
+);
+
+const byDistanceTo = ({ x, y }) => (a, b) => Math.hypot(a.x - x, a.y - y) - Math.hypot(b.x - x, b.y - y);
+
+/**
+ * Attach the nearby-text context to each placement, for saving in a template.
+ * Placements without any text within CONTEXT_RADIUS get no context.
+ */
+export const withTextContext = (placements, documentText) => placements.map((placement) => {
+  const { context, ...rest } = placement;
+  const pageText = documentText[placement.pageNum - 1];
+  if (!pageText) return rest;
+
+  const nearest = pageTextItems(pageText)
+    .map(item => ({ ...item, text: contextText(item.text) }))
+    .filter(item => item.text.length >= 3 && /\p{L}/u.test(item.text))
+    .map(item => ({ item, distance: rectDistance(item, placement) }))
+    .filter(({ distance }) => distance <= CONTEXT_RADIUS)
+    .sort((a, b) => a.distance - b.distance)[0];
+  if (!nearest) return rest;
+
+  // Locate the text the same way re-targeting will, so the offsets line up
+  const [match] = findTextMatches([pageText], nearest.item.text).sort(byDistanceTo(nearest.item));
+  if (!match) return rest;
+
+  return {
+    ...rest,
+    context: {
+      text: nearest.item.text,
+      x: match.x,
+      y: match.y,
+      dx: placement.x - match.x,
+      dy: placement.y - match.y
+    }
+  };
+});
+
+// `placement` on `pageNum` at (x, y), clipped to the page, without its saved context
+const placeOnPage = ({ context, ...placement }, pageNum, x, y, geometry) => {
+  const left = Math.min(geometry.width, Math.max(0, x));
+  const top = Math.min(geometry.height, Math.max(0, y));
+  return {
+    ...placement,
+    id: createId(),
+    pageNum,
+    x: left,
+    y: top,
+    width: Math.min(placement.width, geometry.width - left),
+    height: Math.min(placement.height, geometry.height - top)
+  };
+};
+
+// Re-target one placement. Returns { original, placement, status, message }
+// where `placement` is null if it can't be kept
+const retargetPlacement = (original, documentText, pageGeometries) => {
+  const geometry = pageGeometries[original.pageNum - 1];
+  const keep = (status, message) => ({
+    original,
+    placement: geometry ? placeOnPage(original, original.pageNum, original.x, original.y, geometry) : null,
+    status,
+    message: geometry ? message : `${message}; page ${original.pageNum} no longer exists, so it will be dropped`
+  });
+
+  const { context } = original;
+  if (!context) {
+    return keep(geometry ? 'unverified' : 'unresolved', 'No nearby text to compare it with');
+  }
+
+  const matches = findTextMatches(documentText, context.text);
+  const samePage = matches.filter(m => m.pageNum === original.pageNum).sort(byDistanceTo(context));
+  const otherPages = matches.filter(m => m.pageNum !== original.pageNum);
+
+  let match = null;
+  if (samePage.length > 0) {
+    const [best, second] = samePage;
+    const distance = Math.hypot(best.x - context.x, best.y - context.y);
+    const secondDistance = second ? Math.hypot(second.x - context.x, second.y - context.y) : Infinity;
+    if (distance > MOVE_TOLERANCE && secondDistance - distance < AMBIGUITY_MARGIN) {
+      return keep('unresolved', `“${context.text}” appears ${samePage.length} times on page ${original.pageNum}`);
+    }
+    match = best;
+  } else if (otherPages.length === 1) {
+    match = otherPages[0];
+  } else if (otherPages.length > 1) {
+    return keep('unresolved', `“${context.text}” is no longer on page ${original.pageNum} and appears in ${otherPages.length} places on other pages`);
+  } else {
+    return keep('unresolved', `Nearby text “${context.text}” was not found`);
+  }
+
+  const dx = match.x - context.x;
+  const dy = match.y - context.y;
+  const placement = placeOnPage(
+    original,
+    match.pageNum,
+    match.x + context.dx,
+    match.y + context.dy,
+    pageGeometries[match.pageNum - 1]
+  );
+
+  if (match.pageNum === original.pageNum && Math.hypot(dx, dy) <= MOVE_TOLERANCE) {
+    return { original, placement, status: 'unchanged', message: `“${context.text}” is where it was` };
+  }
+  return {
+    original,
+    placement,
+    status: 'shifted',
+    message: match.pageNum === original.pageNum
+      ? `Moved with “${context.text}” by (${Math.round(dx)}, ${Math.round(dy)}) pt`
+      : `Moved with “${context.text}” to page ${match.pageNum}`
+  };
+};
+
+/**
+ * Compare a template with the open PDF and work out where each placement goes.
+ *
+ * Returns { differences, items, counts }: `differences` are page count and size
+ * changes in plain words, `items` one { original, placement, status, message } per
+ * template placement (see RETARGET_STATUSES) and `counts` the items per status.
+ */
+export const retargetTemplate = (template, documentText, pageGeometries) => {
+  const retargeted = template.placements.map(p => retargetPlacement(p, documentText, pageGeometries));
+
+  // Repeated copies stay linked to their master under its new id
+  const idMap = new Map(retargeted.filter(item => item.placement).map(item => [item.original.id, item.placement.id]));
+  const items = retargeted.map(item => ({
+    ...item,
+    placement: item.placement && remapRepeatLinks([item.placement], idMap)[0]
+  }));
+  const counts = Object.fromEntries(Object.keys(RETARGET_STATUSES).map(status => [status, 0]));
+  items.forEach((item) => {
+    counts[item.status] += 1;
+  });
+
+  return {
+    differences: compareTemplateLayout(template, pageGeometries),
+    items,
+    counts
+  };
+};
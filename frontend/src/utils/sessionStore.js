@@ -0,0 +1,106 @@
+// Local autosave of working sessions in IndexedDB, keyed by the pdf.js document
+// fingerprint so reopening the same file finds its session.
+//
+// A session is { fingerprint, fileName, placements, recipients, documents, activeDocumentId,
+// currentPage, totalPages, updatedAt }. For an envelope the key is the fingerprint of the
+// document it was started with and `documents` lists every document as { documentId,
+// name, fingerprint } (see utils/envelope.js); older sessions have no `documents`.
+// The PDFs themselves are kept in a separate store, each under its own fingerprint, so
+// listing sessions doesn't load every file.
+
+const DB_NAME = 'pdf-coordinates-selector';
+const DB_VERSION = 1;
+const SESSIONS_STORE = 'sessions';
+const FILES_STORE = 'files';
+
+// Older sessions (and their PDFs) are dropped beyond this many
+export const MAX_SESSIONS = 10;
+
+let dbPromise = null;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDb = () => {
+  if (!dbPromise) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('IndexedDB is not available'));
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(SESSIONS_STORE)) {
+        db.createObjectStore(SESSIONS_STORE, { keyPath: 'fingerprint' });
+      }
+      if (!db.objectStoreNames.contains(FILES_STORE)) {
+        db.createObjectStore(FILES_STORE, { keyPath: 'fingerprint' });
+      }
+    };
+    dbPromise = promisify(request).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+// Run `callback(stores)` in one transaction and resolve once it commits
+const withStores = async (names, mode, callback) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(names, mode);
+    const stores = names.map(name => transaction.objectStore(name));
+    let result;
+    Promise.resolve(callback(...stores)).then((value) => { result = value; }, reject);
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// Recent sessions, newest first
+export const listSessions = () => withStores([SESSIONS_STORE], 'readonly', async (sessions) => {
+  const all = await promisify(sessions.getAll());
+  return all.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+});
+
+export const getSession = (fingerprint) => withStores([SESSIONS_STORE], 'readonly',
+  sessions => promisify(sessions.get(fingerprint)).then(session => session || null));
+
+// The stored PDF for a session as a File, or null
+export const getSessionFile = (fingerprint) => withStores([FILES_STORE], 'readonly',
+  files => promisify(files.get(fingerprint)).then(entry => (entry ? entry.file : null)));
+
+export const saveSessionFile = (fingerprint, file) => withStores([FILES_STORE], 'readwrite',
+  files => promisify(files.put({ fingerprint, file })));
+
+// Save a session, then drop the oldest ones beyond MAX_SESSIONS
+export const saveSession = async (session) => {
+  await withStores([SESSIONS_STORE], 'readwrite',
+    sessions => promisify(sessions.put({ ...session, updatedAt: new Date().toISOString() })));
+
+  const stale = (await listSessions()).slice(MAX_SESSIONS);
+  await Promise.all(stale.map(({ fingerprint }) => deleteSession(fingerprint)));
+};
+
+// Fingerprints of every PDF a session needs
+const sessionFingerprints = (session) => [
+  session.fingerprint,
+  ...(session.documents || []).map(document => document.fingerprint)
+];
+
+// Delete a session and the PDFs no other session needs
+export const deleteSession = async (fingerprint) => {
+  const all = await listSessions();
+  const session = all.find(s => s.fingerprint === fingerprint) || { fingerprint };
+  const inUse = new Set(all.filter(s => s !== session).flatMap(sessionFingerprints));
+  const unused = [...new Set(sessionFingerprints(session))].filter(key => !inUse.has(key));
+
+  return withStores([SESSIONS_STORE, FILES_STORE], 'readwrite', (sessions, files) => Promise.all([
+    promisify(sessions.delete(fingerprint)),
+    ...unused.map(key => promisify(files.delete(key)))
+  ]));
+};
@@ -0,0 +1,45 @@
+// Writes to the backend made while it can't be reached (offline, or the backend is
+// down), kept in localStorage and replayed in order once it's back (see
+// replayQueue in utils/api.js and hooks/useBackendSync.js).
+//
+// An entry is { id, method, path, body, description, queuedAt } where `body` is the
+// JSON request body as a string and `description` says what the write was for the
+// sync status ("Save tabs").
+import { createId } from './placements';
+
+export const QUEUE_STORAGE_KEY = 'syncQueue';
+
+const listeners = new Set();
+
+export const loadQueue = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(QUEUE_STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const saveQueue = (queue) => {
+  try {
+    localStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(queue));
+  } catch (error) {
+    // Storage full: the write would be lost on reload, so say so rather than pretend it's kept
+    throw new Error('Could not keep the change for later: browser storage is full');
+  }
+  listeners.forEach(listener => listener(queue));
+};
+
+export const enqueueRequest = ({ method, path, body, description }) => {
+  saveQueue([...loadQueue(), { id: createId(), method, path, body, description, queuedAt: new Date().toISOString() }]);
+};
+
+export const removeQueued = (id) => {
+  saveQueue(loadQueue().filter(entry => entry.id !== id));
+};
+
+// Call `listener(queue)` whenever the queue changes; returns the unsubscribe function
+export const subscribeQueue = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
@@ -0,0 +1,76 @@
+// Named templates: a PDF form's placements and recipients, stored by the backend
+// (/templates) and keyed by the pdf.js fingerprint of the form they were made on.
+//
+// A template is { id, name, fingerprint, page_count, page_sizes: [{ width, height }],
+// placements, recipients, created_at, updated_at }. Page sizes are in points as
+// displayed, like the placements themselves (see utils/coordinates.js).
+import { createId } from './placements';
+import { remapRepeatLinks } from './repeat';
+
+// Page sizes within this many points are treated as the same
+const SIZE_TOLERANCE = 1;
+
+// Payload for POST /templates and PUT /templates/{id}
+export const buildTemplate = ({ name, fingerprint, pageGeometries, placements, recipients }) => ({
+  name: name.trim(),
+  fingerprint,
+  page_count: pageGeometries.length,
+  page_sizes: pageGeometries.map(({ width, height }) => ({ width, height })),
+  // A template describes one document, whichever envelope it ends up in
+  placements: placements.map(({ documentId, ...placement }) => placement),
+  recipients
+});
+
+// Differences between the template's pages and the open PDF's, in plain words.
+// Empty when the template fits the PDF as is
+export const compareTemplateLayout = (template, pageGeometries) => {
+  const differences = [];
+  if (template.page_count !== pageGeometries.length) {
+    differences.push(`The template has ${template.page_count} page${template.page_count === 1 ? '' : 's'}, this PDF has ${pageGeometries.length}`);
+  }
+
+  template.page_sizes.forEach((size, index) => {
+    const geometry = pageGeometries[index];
+    if (!geometry) return;
+    if (Math.abs(size.width - geometry.width) > SIZE_TOLERANCE || Math.abs(size.height - geometry.height) > SIZE_TOLERANCE) {
+      differences.push(
+        `Page ${index + 1} is ${Math.round(geometry.width)} × ${Math.round(geometry.height)} pt, the template's is ${Math.round(size.width)} × ${Math.round(size.height)} pt`
+      );
+    }
+  });
+  return differences;
+};
+
+/**
+ * Placements and recipients to load from a template into the open PDF.
+ * Placements get fresh ids; ones on pages the PDF doesn't have are dropped and
+ * the rest are clipped to their page. Returns { placements, recipients, problems }.
+ */
+export const applyTemplate = (template, pageGeometries) => {
+  const problems = [];
+  const placements = [];
+  const idMap = new Map(); // Template placement id → new id
+
+  template.placements.forEach((placement) => {
+    const geometry = pageGeometries[placement.pageNum - 1];
+    if (!geometry) {
+      problems.push(`"${placement.label}" is on page ${placement.pageNum}, which this PDF doesn't have`);
+      return;
+    }
+
+    const { context, ...rest } = placement; // Only needed for re-targeting, see utils/retarget.js
+    const x = Math.min(placement.x, geometry.width);
+    const y = Math.min(placement.y, geometry.height);
+    idMap.set(placement.id, createId());
+    placements.push({
+      ...rest,
+      id: idMap.get(placement.id),
+      x,
+      y,
+      width: Math.min(placement.width, geometry.width - x),
+      height: Math.min(placement.height, geometry.height - y)
+    });
+  });
+
+  return { placements: remapRepeatLinks(placements, idMap), recipients: template.recipients, problems };
+};
@@ -0,0 +1,181 @@
+// Page text from pdf.js getTextContent(), positioned in top-left PDF points
+// (the same space as placements, see utils/coordinates.js).
+//
+// A page's text is { text, segments } where `text` is the page's items joined in
+// reading order and each segment is { start, end, frame, geometry } locating one
+// item's characters [start, end) in `text`. Matches are { id, pageNum, text, x, y, width, height }.
+
+// Corner points of a text item in PDF user space: origin (baseline start), along
+// the text's width and up its height
+const itemFrame = (item) => {
+  const [a, b, c, d, e, f] = item.transform;
+  const scaleX = Math.hypot(a, b) || 1;
+  const scaleY = Math.hypot(c, d) || 1;
+  const height = item.height || scaleY;
+
+  return {
+    origin: [e, f],
+    along: [(a / scaleX) * item.width, (b / scaleX) * item.width],
+    up: [(c / scaleY) * height, (d / scaleY) * height]
+  };
+};
+
+// Bounding box in top-left points of the characters between fractions t0..t1 of an item
+const frameBox = (geometry, frame, t0, t1) => {
+  const { origin, along, up } = frame;
+  const start = [origin[0] + along[0] * t0, origin[1] + along[1] * t0];
+  const end = [origin[0] + along[0] * t1, origin[1] + along[1] * t1];
+  const corners = [
+    start,
+    end,
+    [start[0] + up[0], start[1] + up[1]],
+    [end[0] + up[0], end[1] + up[1]]
+  ].map(([x, y]) => geometry.pointViewport.convertToViewportPoint(x, y));
+
+  const xs = corners.map(([x]) => x);
+  const ys = corners.map(([, y]) => y);
+  const left = Math.min(...xs);
+  const top = Math.min(...ys);
+  return { x: left, y: top, width: Math.max(...xs) - left, height: Math.max(...ys) - top };
+};
+
+// Load one page's text. `geometry` is the page's point-scale geometry
+export const loadPageText = async (page, geometry) => {
+  const content = await page.getTextContent();
+  let text = '';
+  const segments = [];
+
+  content.items.forEach((item) => {
+    if (typeof item.str !== 'string') return; // Marked-content markers
+
+    if (item.str) {
+      segments.push({ start: text.length, end: text.length + item.str.length, frame: itemFrame(item), geometry });
+      text += item.str;
+    }
+    if (item.hasEOL) text += '\n';
+  });
+
+  return { text, segments };
+};
+
+// Load the text of every page, index 0 = page 1
+export const loadDocumentText = async (pdfDoc, pageGeometries) => {
+  const pages = [];
+  for (let pageNum = 1; pageNum <= pdfDoc.numPages; pageNum++) {
+    const page = await pdfDoc.getPage(pageNum);
+    pages.push(await loadPageText(page, pageGeometries[pageNum - 1]));
+  }
+  return pages;
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive pattern that tolerates any whitespace (or none) between words,
+// since pdf.js often splits or joins words differently from how they read
+export const phrasePattern = (phrase) => new RegExp(
+  phrase.trim().split(/\s+/).map(escapeRegExp).join('\\s*'),
+  'gi'
+);
+
+// Bounding box of characters [start, end) of a page's text, in top-left points
+const matchBox = (segments, start, end) => {
+  const boxes = segments
+    .filter(segment => segment.end > start && segment.start < end)
+    .map((segment) => {
+      const length = segment.end - segment.start;
+      const t0 = (Math.max(start, segment.start) - segment.start) / length;
+      const t1 = (Math.min(end, segment.end) - segment.start) / length;
+      return frameBox(segment.geometry, segment.frame, t0, t1);
+    });
+  if (boxes.length === 0) return null;
+
+  const left = Math.min(...boxes.map(b => b.x));
+  const top = Math.min(...boxes.map(b => b.y));
+  const right = Math.max(...boxes.map(b => b.x + b.width));
+  const bottom = Math.max(...boxes.map(b => b.y + b.height));
+  return { x: left, y: top, width: right - left, height: bottom - top };
+};
+
+// Each text item of a page with its bounding box in top-left points:
+// [{ text, x, y, width, height }]
+export const pageTextItems = ({ text, segments }) => segments.map(segment => ({
+  text: text.slice(segment.start, segment.end),
+  ...frameBox(segment.geometry, segment.frame, 0, 1)
+}));
+
+// Each word of a page with its bounding box in top-left points. Blank lines
+// ("_____") and other runs without letters or digits are left out
+export const pageWords = ({ text, segments }) => {
+  const words = [];
+  const pattern = /[^\s_]*[\p{L}\p{N}][^\s_]*/gu;
+  let result;
+  while ((result = pattern.exec(text)) !== null) {
+    const box = matchBox(segments, result.index, result.index + result[0].length);
+    if (box) words.push({ text: result[0], ...box });
+  }
+  return words;
+};
+
+// Each match of a global regular expression in a page's text with its bounding box
+// in top-left points: [{ text, index, x, y, width, height }]
+export const pagePatternBoxes = ({ text, segments }, pattern) => {
+  const boxes = [];
+  let result;
+  pattern.lastIndex = 0;
+  while ((result = pattern.exec(text)) !== null) {
+    if (result[0].length === 0) {
+      pattern.lastIndex += 1;
+      continue;
+    }
+    const box = matchBox(segments, result.index, result.index + result[0].length);
+    if (box) boxes.push({ text: result[0], index: result.index, ...box });
+  }
+  return boxes;
+};
+
+// Text line baselines of a page in top-left points, for snapping (see utils/measure.js):
+// { xs, ys } where horizontal lines give a y and vertical (rotated) text an x
+export const pageBaselines = ({ segments }) => {
+  const xs = new Set();
+  const ys = new Set();
+  const round = (value) => Math.round(value * 10) / 10;
+
+  segments.forEach(({ frame, geometry }) => {
+    const { origin, along } = frame;
+    const [x0, y0] = geometry.pointViewport.convertToViewportPoint(origin[0], origin[1]);
+    const [x1, y1] = geometry.pointViewport.convertToViewportPoint(origin[0] + along[0], origin[1] + along[1]);
+    if (Math.abs(y1 - y0) < 0.5) {
+      ys.add(round(y0));
+    } else if (Math.abs(x1 - x0) < 0.5) {
+      xs.add(round(x0));
+    }
+  });
+  return { xs: [...xs], ys: [...ys] };
+};
+
+// Every occurrence of `phrase` across the document's pages, in page order
+export const findTextMatches = (documentText, phrase) => {
+  if (!phrase || !phrase.trim()) return [];
+
+  const matches = [];
+  documentText.forEach(({ text, segments }, index) => {
+    const pattern = phrasePattern(phrase);
+    let result;
+    while ((result = pattern.exec(text)) !== null) {
+      if (result[0].length === 0) {
+        pattern.lastIndex += 1;
+        continue;
+      }
+      const box = matchBox(segments, result.index, result.index + result[0].length);
+      if (box) {
+        matches.push({
+          id: `${index + 1}:${result.index}`,
+          pageNum: index + 1,
+          text: result[0],
+          ...box
+        });
+      }
+    }
+  });
+  return matches;
+};
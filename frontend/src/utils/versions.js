@@ -0,0 +1,136 @@
+// Saved versions of the field mappings (the timestamped files written by /save-fields)
+// and the differences between two of them.
+//
+// A version is a saved fields payload: { fields, field_details, recipients, documents }
+// with fields as { label: [y1, x1, y2, x2, pageNum] } on the 0-1000 scale. Fields are
+// matched between versions by label, since a label maps to a single region.
+import { NORMALIZED_SCALE, normalizedToPoints } from './coordinates';
+import { toFieldMappings, toFieldDetails } from './placements';
+
+// Diff statuses in the order rows are listed, with their overlay and table colours
+export const DIFF_STATUSES = {
+  added: { label: 'Added', color: '#059669' },
+  removed: { label: 'Removed', color: '#dc2626' },
+  moved: { label: 'Moved', color: '#d97706' },
+  changed: { label: 'Changed', color: '#2563eb' },
+  unchanged: { label: 'Unchanged', color: '#9ca3af' }
+};
+
+// The working set as a version, to compare saved versions against
+export const currentVersion = (placements, geometries, recipients) => ({
+  fields: toFieldMappings(placements, geometries),
+  field_details: toFieldDetails(placements),
+  recipients
+});
+
+// label → { documentId, pageNum, coords, tabType, recipient } for one version.
+// documentId is null in files saved before envelopes had several documents
+const versionEntries = (version) => {
+  const fields = (version && typeof version.fields === 'object' ? version.fields : version) || {};
+  const details = (version && version.field_details) || {};
+  const recipientNames = Object.fromEntries(
+    (Array.isArray(version.recipients) ? version.recipients : []).map(r => [r.id, r.name])
+  );
+
+  const entries = new Map();
+  Object.entries(fields).forEach(([label, coords]) => {
+    if (!Array.isArray(coords) || coords.length !== 5) return;
+    const detail = details[label] || {};
+    entries.set(label, {
+      documentId: detail.documentId === undefined || detail.documentId === null ? null : String(detail.documentId),
+      pageNum: Number(coords[4]),
+      coords: coords.slice(0, 4).map(Number),
+      tabType: detail.tabType || null,
+      recipient: recipientNames[detail.recipientId] || null
+    });
+  });
+  return entries;
+};
+
+// What differs between two entries of the same field: [description]
+const positionChanges = (before, after) => {
+  const changes = [];
+  if (before.documentId !== null && after.documentId !== null && before.documentId !== after.documentId) {
+    changes.push(`document ${before.documentId} → ${after.documentId}`);
+  }
+  if (before.pageNum !== after.pageNum) {
+    changes.push(`page ${before.pageNum} → ${after.pageNum}`);
+  }
+  if (before.coords.some((value, index) => value !== after.coords[index])) {
+    changes.push('position');
+  }
+  return changes;
+};
+
+const detailChanges = (before, after) => {
+  const changes = [];
+  if (before.tabType && after.tabType && before.tabType !== after.tabType) {
+    changes.push(`tab type ${before.tabType} → ${after.tabType}`);
+  }
+  if (before.recipient && after.recipient && before.recipient !== after.recipient) {
+    changes.push(`recipient ${before.recipient} → ${after.recipient}`);
+  }
+  return changes;
+};
+
+/**
+ * Field-by-field differences from version `from` to version `to`:
+ * [{ label, status, before, after, changes }] where status is a DIFF_STATUSES key,
+ * before / after are the field's entries in each version (null when absent) and
+ * changes describes a moved or changed field. Rows are ordered by status, then label.
+ */
+export const diffVersions = (from, to) => {
+  const before = versionEntries(from);
+  const after = versionEntries(to);
+  const labels = new Set([...before.keys(), ...after.keys()]);
+
+  const rows = [...labels].map((label) => {
+    const a = before.get(label) || null;
+    const b = after.get(label) || null;
+    if (!a) return { label, status: 'added', before: null, after: b, changes: [] };
+    if (!b) return { label, status: 'removed', before: a, after: null, changes: [] };
+
+    const moved = positionChanges(a, b);
+    const changed = detailChanges(a, b);
+    const status = moved.length > 0 ? 'moved' : changed.length > 0 ? 'changed' : 'unchanged';
+    return { label, status, before: a, after: b, changes: [...moved, ...changed] };
+  });
+
+  const order = Object.keys(DIFF_STATUSES);
+  return rows.sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status) || a.label.localeCompare(b.label));
+};
+
+// Number of rows of each status: { added: 2, moved: 1, ... }
+export const diffCounts = (rows) => rows.reduce((counts, row) => ({
+  ...counts,
+  [row.status]: (counts[row.status] || 0) + 1
+}), {});
+
+/**
+ * An entry's rectangle in top-left points, { documentId, pageNum, x, y, width, height },
+ * or null when its document or page isn't loaded. Entries without a documentId are on
+ * `activeDocumentId`, as when importing them. `geometries` is each document's page
+ * geometries by documentId.
+ */
+export const entryRect = (entry, geometries, activeDocumentId) => {
+  const documentId = entry.documentId === null ? activeDocumentId : entry.documentId;
+  const geometry = (geometries[documentId] || [])[entry.pageNum - 1];
+  if (!geometry || entry.coords.some(c => !isFinite(c) || c < 0 || c > NORMALIZED_SCALE)) return null;
+
+  const [y1, x1, y2, x2] = entry.coords;
+  const topLeft = normalizedToPoints(geometry, { x: x1, y: y1 });
+  const bottomRight = normalizedToPoints(geometry, { x: x2, y: y2 });
+  return {
+    documentId,
+    pageNum: entry.pageNum,
+    x: Math.min(topLeft.x, bottomRight.x),
+    y: Math.min(topLeft.y, bottomRight.y),
+    width: Math.abs(bottomRight.x - topLeft.x),
+    height: Math.abs(bottomRight.y - topLeft.y)
+  };
+};
+
+// Short name of a version in the history list
+export const versionName = (summary) => (
+  summary.timestamp ? new Date(summary.timestamp).toLocaleString() : summary.filename
+);
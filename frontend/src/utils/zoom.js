@@ -0,0 +1,34 @@
+// Zoom levels for the PDF viewer.
+//
+// A zoom level of 1 is "100%": one PDF point is drawn as 96/72 CSS pixels, the
+// same convention as pdf.js' own viewer. The viewport scale passed to pdf.js is
+// zoomLevel * CSS_UNITS.
+
+export const CSS_UNITS = 96 / 72;
+
+export const MIN_ZOOM = 0.25;
+export const MAX_ZOOM = 6;
+
+// Zoom in/out buttons step through these levels
+export const ZOOM_STEPS = [0.25, 0.33, 0.5, 0.67, 0.75, 0.9, 1, 1.1, 1.25, 1.5, 1.75, 2, 2.5, 3, 4, 5, 6];
+
+export const clampZoom = (level) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, level));
+
+// Viewport scale for a page. `pageSize` is the page's size at scale 1 (points) and
+// `availableSize` the space left in the viewer (CSS pixels).
+export const computeScale = (zoom, pageSize, availableSize) => {
+  if (zoom.mode === 'fit-width' && availableSize.width > 0) {
+    return clampZoom(availableSize.width / pageSize.width / CSS_UNITS) * CSS_UNITS;
+  }
+  if (zoom.mode === 'fit-page' && availableSize.width > 0 && availableSize.height > 0) {
+    const fit = Math.min(availableSize.width / pageSize.width, availableSize.height / pageSize.height);
+    return clampZoom(fit / CSS_UNITS) * CSS_UNITS;
+  }
+  return clampZoom(zoom.level) * CSS_UNITS;
+};
+
+export const zoomLevelFromScale = (scale) => scale / CSS_UNITS;
+
+export const nextZoomStep = (level) => ZOOM_STEPS.find(step => step > level + 0.001) || MAX_ZOOM;
+
+export const previousZoomStep = (level) => [...ZOOM_STEPS].reverse().find(step => step < level - 0.001) || MIN_ZOOM;
@@ -1,11 +1,37 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync } from 'node:fs'
+
+// Builds the service worker (src/sw.js) to /sw.js with the list of built and public
+// files to cache for offline use, and a version that changes with every build
+const serviceWorker = () => ({
+  name: 'service-worker',
+  apply: 'build',
+  enforce: 'post',
+  generateBundle(options, bundle) {
+    const hash = createHash('sha256')
+    const files = Object.values(bundle).map((output) => {
+      hash.update(output.fileName)
+      hash.update(output.type === 'chunk' ? output.code : output.source)
+      return `/${output.fileName}`
+    })
+    readdirSync('public').forEach((name) => {
+      hash.update(name)
+      files.push(`/${name}`)
+    })
+
+    const source = readFileSync('src/sw.js', 'utf8')
+      .replace('__BUILD_VERSION__', hash.digest('hex').slice(0, 12))
+      .replace('__PRECACHE_FILES__', JSON.stringify(files.sort(), null, 2))
+    this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+  }
+})
 
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   server: {
     port: 3000
   }
 })
-